@@ -0,0 +1,67 @@
+// Local webhook receiver for development
+// Prints every delivery and checks its signature.
+//
+// Usage: WEBHOOK_SECRET=<secret from POST /session/:sessionId/webhook> npm run webhook-receiver
+// Then point the session's webhook at http://localhost:4000/webhook
+//
+// Options (environment variables):
+//   WEBHOOK_RECEIVER_PORT - Port to listen on (default 4000)
+//   WEBHOOK_SECRET        - Secret used to verify X-WhatsBerry-Signature (unset = not verified)
+//   WEBHOOK_FAIL_RATE     - Fraction of requests answered with 500, to exercise retries (default 0)
+
+const http = require('http');
+const WebhookDispatcher = require('../src/core/WebhookDispatcher');
+
+const port = parseInt(process.env.WEBHOOK_RECEIVER_PORT) || 4000;
+const secret = process.env.WEBHOOK_SECRET || null;
+const failRate = parseFloat(process.env.WEBHOOK_FAIL_RATE) || 0;
+
+const server = http.createServer((req, res) => {
+    if (req.method !== 'POST') {
+        res.writeHead(405);
+        return res.end();
+    }
+
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        const body = Buffer.concat(chunks).toString('utf8');
+        const event = req.headers['x-whatsberry-event'];
+        const deliveryId = req.headers['x-whatsberry-delivery'];
+        const timestamp = req.headers['x-whatsberry-timestamp'];
+        const signature = req.headers['x-whatsberry-signature'];
+
+        let signatureStatus = 'not checked (WEBHOOK_SECRET not set)';
+        if (secret) {
+            signatureStatus = WebhookDispatcher.verifySignature(secret, timestamp, body, signature) ? 'valid' : 'INVALID';
+        }
+
+        console.log(`\n[${new Date().toISOString()}] ${req.method} ${req.url}`);
+        console.log(`Event: ${event}  Delivery: ${deliveryId}  Signature: ${signatureStatus}`);
+
+        try {
+            console.log(JSON.stringify(JSON.parse(body), null, 2));
+        } catch (error) {
+            console.log(body);
+        }
+
+        if (secret && signatureStatus !== 'valid') {
+            res.writeHead(401);
+            return res.end();
+        }
+
+        if (Math.random() < failRate) {
+            console.log('Simulating failure (500)');
+            res.writeHead(500);
+            return res.end();
+        }
+
+        res.writeHead(204);
+        res.end();
+    });
+});
+
+server.listen(port, () => {
+    console.log(`Webhook receiver listening on http://localhost:${port}/webhook`);
+    console.log(secret ? 'Verifying signatures with WEBHOOK_SECRET' : 'WEBHOOK_SECRET not set, signatures will not be verified');
+});
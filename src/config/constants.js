@@ -8,6 +8,9 @@ module.exports = {
     SESSION_TIMEOUT: 24 * 60 * 60 * 1000, // 24 hours
     UNFINISHED_SESSION_TIMEOUT: 15 * 60 * 1000, // 15 minutes
 
+    // Pairing code login
+    PAIRING_CODE_INTERVAL: 3 * 60 * 1000, // WhatsApp issues a new pairing code every 3 minutes
+
     // Audio conversion settings
     AUDIO_CONVERSION_TTL: 2 * 60 * 60 * 1000, // 2 hours TTL for converted audio
     AUDIO_BITRATE: 128,
@@ -15,11 +18,116 @@ module.exports = {
     AUDIO_CHANNELS: 2, // Stereo
     AUDIO_CONVERSION_TIMEOUT: 60000, // 60 seconds max for conversion
 
+    // Image variants for ?format= on media downloads (JPEG, longest side capped at maxDimension)
+    IMAGE_VARIANTS: {
+        thumb: { maxDimension: 160, quality: 60 },
+        small: { maxDimension: 480, quality: 70 },
+        medium: { maxDimension: 960, quality: 80 }
+    },
+    IMAGE_CONVERSION_TIMEOUT: 20000, // 20 seconds max per image
+
+    // Video conversion for ?format= on media downloads
+    VIDEO_FORMATS: {
+        // Baseline-profile H.264/AAC, playable by BB10 and Android 4.x
+        mp4: { maxDimension: 640, videoBitrate: 600, audioBitrate: 96, frameRate: 30 },
+        // H.263/AMR-NB at QCIF for BlackBerry OS 7 and other old players
+        '3gp': { width: 176, height: 144, videoBitrate: 128, frameRate: 15 }
+    },
+    VIDEO_CONVERSION_TTL: 24 * 60 * 60 * 1000, // 24 hours, video is expensive to convert
+    VIDEO_CONVERSION_TIMEOUT: 5 * 60 * 1000, // 5 minutes max per video
+
+    // Outgoing voice notes (OGG/Opus, as recorded by WhatsApp itself)
+    VOICE_NOTE_BITRATE: 32, // kbps, plenty for speech
+    VOICE_NOTE_FREQUENCY: 48000,
+    VOICE_NOTE_CHANNELS: 1, // Mono
+
+    // Media uploads for send-media (multipart and chunked)
+    MEDIA_UPLOAD_MAX_SIZE: 64 * 1024 * 1024, // 64 MB per file
+    UPLOAD_CHUNK_MAX_SIZE: 8 * 1024 * 1024, // 8 MB per chunk
+    UPLOAD_TTL: 60 * 60 * 1000, // Unfinished or unsent uploads are dropped after 1 hour of inactivity
+    UPLOAD_MAX_PENDING: 5, // Chunked uploads held per session, finished or not, until sent or expired
+    UPLOAD_MAX_SESSION_BYTES: 128 * 1024 * 1024, // 128 MB of held uploads per session
+
+    // Chat exports (ZIP with text, HTML and JSON transcripts and media)
+    EXPORT_MAX_MESSAGES: 50000, // Messages loaded from WhatsApp Web per export
+    EXPORT_MEDIA_TIMEOUT: 30000, // 30 seconds per media download
+    EXPORT_TTL: 24 * 60 * 60 * 1000, // Finished exports can be downloaded for 24 hours
+    EXPORT_MAX_PENDING: 1, // Exports running at once per session
+
+    // Scheduled messages
+    SCHEDULED_MAX_PENDING: 100, // Messages waiting to be sent per session
+    SCHEDULED_MAX_AHEAD: 365 * 24 * 60 * 60 * 1000, // Messages can be scheduled up to a year ahead
+    SCHEDULED_RETRY_BASE_DELAY: 30000, // Doubles after each attempt while the session is unavailable
+    SCHEDULED_RETRY_MAX_DELAY: 5 * 60 * 1000, // Never wait more than 5 minutes between attempts
+    SCHEDULED_MAX_DELAY: 24 * 60 * 60 * 1000, // Give up on messages more than 24 hours overdue
+    SCHEDULED_HISTORY_TTL: 7 * 24 * 60 * 60 * 1000, // Sent and failed messages are listed for 7 days
+    SCHEDULED_TIMER_MAX_DELAY: 60 * 60 * 1000, // Longer waits are split, setTimeout overflows after ~24.8 days
+
+    // Queued send-message (clientMessageId), delivered by the scheduler once the session is back
+    OUTBOX_MAX_PENDING: 100, // Queued messages waiting to be sent per session
+    CLIENT_MESSAGE_ID_MAX_LENGTH: 128,
+
     // Cleanup intervals
     SESSION_CLEANUP_INTERVAL: 60 * 60 * 1000, // Check every hour
     UNFINISHED_CLEANUP_INTERVAL: 5 * 60 * 1000, // Check every 5 minutes
     AUDIO_CLEANUP_INTERVAL: 30 * 60 * 1000, // Check every 30 minutes
+    UPLOAD_CLEANUP_INTERVAL: 10 * 60 * 1000, // Check every 10 minutes
+    EXPORT_CLEANUP_INTERVAL: 30 * 60 * 1000, // Check every 30 minutes
+    SCHEDULED_CLEANUP_INTERVAL: 60 * 60 * 1000, // Check every hour
     HEALTH_CHECK_INTERVAL: 5 * 60 * 1000, // Check every 5 minutes
+    SESSION_PERSIST_INTERVAL: 60 * 1000, // Flush session metadata to disk every minute
+
+    // Session persistence
+    SESSION_PERSIST_DEBOUNCE: 1000, // Coalesce lifecycle saves within 1 second
+
+    // Offline event replay
+    EVENT_LOG_MAX_EVENTS: 500, // Events kept per session for replay on reconnect
+    REPLAYABLE_EVENTS: [
+        'message', 'message_ack', 'message_revoke', 'message_reaction', 'message_edit', 'vote_update',
+        'group_join', 'group_leave', 'group_admin_changed', 'group_update',
+        'scheduled_sent', 'scheduled_failed', 'outbox_ack'
+    ],
+
+    // Outbound webhooks
+    WEBHOOK_EVENTS: [
+        'message', 'message_ack', 'message_revoke', 'message_reaction', 'vote_update',
+        'group_join', 'group_leave', 'group_admin_changed', 'group_update',
+        'scheduled_sent', 'scheduled_failed', 'outbox_ack',
+        'ready', 'disconnected'
+    ],
+    WEBHOOK_TIMEOUT: 10000, // 10 seconds per delivery attempt
+    WEBHOOK_MAX_ATTEMPTS: 6, // First attempt plus 5 retries
+    WEBHOOK_RETRY_BASE_DELAY: 2000, // Doubles after each failed attempt
+    WEBHOOK_RETRY_MAX_DELAY: 5 * 60 * 1000, // Never wait more than 5 minutes between attempts
+    WEBHOOK_DELIVERY_LOG_SIZE: 100, // Deliveries kept per session for the delivery log
+    WEBHOOK_ALLOWED_HOSTS: process.env.WEBHOOK_ALLOWED_HOSTS || '', // Comma-separated hosts allowed to resolve to internal addresses
+
+    // Groups
+    GROUP_PICTURE_MAX_SIZE: 5 * 1024 * 1024, // 5 MB, WhatsApp Web scales it down to 640px
+
+    // Polls
+    POLL_MAX_OPTIONS: 12, // WhatsApp's limit
+
+    // Message history paging
+    MESSAGE_PAGE_MAX_LIMIT: 200, // Max messages returned per page
+    MESSAGE_HISTORY_MAX_FETCH: 1000, // Max messages loaded from WhatsApp Web to resolve a cursor
+
+    // Local message archive and search
+    ARCHIVE_MAX_MESSAGES: 50000, // Messages kept per session, oldest are dropped first
+    ARCHIVE_TRIM_RATIO: 0.9, // Past the limit, the oldest are dropped down to 90% of it in one go
+    ARCHIVE_IDLE_TIMEOUT: 30 * 60 * 1000, // Unload a session's archive from memory after 30 minutes unused
+    ARCHIVE_CLEANUP_INTERVAL: 10 * 60 * 1000, // Check every 10 minutes
+    SEARCH_PAGE_MAX_LIMIT: 100, // Max search results returned per page
+
+    // Prometheus metrics (/metrics)
+    METRICS_HTTP_BUCKETS: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30], // Seconds
+    METRICS_INIT_BUCKETS: [1, 2.5, 5, 10, 20, 30, 45, 60], // Seconds, initialization times out after 45
+    METRICS_CONVERSION_BUCKETS: [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300], // Seconds, videos may take 5 minutes
+    METRICS_CHROMIUM_TIMEOUT: 2000, // Max time to read one session's page memory per scrape
+
+    // Logging (JSON lines on stdout, warnings and errors on stderr)
+    LOG_LEVEL: process.env.LOG_LEVEL || 'info', // debug, info, warn, error or silent
+    LOG_MODULE_LEVELS: process.env.LOG_MODULE_LEVELS || '', // Per-module overrides, e.g. "whatsapp=debug,audio=warn"
 
     // Server settings
     DEFAULT_PORT: 3000,
@@ -2,43 +2,70 @@ const fs = require('fs').promises;
 const path = require('path');
 const ffmpeg = require('fluent-ffmpeg');
 const { execSync } = require('child_process');
-const { AUDIO_CONVERSION_TTL, AUDIO_BITRATE, AUDIO_FREQUENCY, AUDIO_CHANNELS, AUDIO_CONVERSION_TIMEOUT } = require('../config/constants');
+const { v4: uuidv4 } = require('uuid');
+const {
+    AUDIO_CONVERSION_TTL,
+    AUDIO_BITRATE,
+    AUDIO_FREQUENCY,
+    AUDIO_CHANNELS,
+    AUDIO_CONVERSION_TIMEOUT,
+    VOICE_NOTE_BITRATE,
+    VOICE_NOTE_FREQUENCY,
+    VOICE_NOTE_CHANNELS,
+    IMAGE_VARIANTS,
+    IMAGE_CONVERSION_TIMEOUT,
+    VIDEO_FORMATS,
+    VIDEO_CONVERSION_TTL,
+    VIDEO_CONVERSION_TIMEOUT
+} = require('../config/constants');
+const Logger = require('./Logger');
+
+const logger = Logger.forModule('audio');
 
 class AudioConverter {
-    constructor(audioConversionDir) {
-        this.audioConversionCache = new Map(); // mediaId -> { filePath, timestamp, originalSize, convertedSize }
+    constructor(audioConversionDir, metrics = null) {
+        this.audioConversionCache = new Map(); // mediaId -> { filePath, timestamp, originalSize, convertedSize, ttl }
         this.audioConversionTTL = AUDIO_CONVERSION_TTL;
         this.audioConversionDir = audioConversionDir || path.join(__dirname, '../audio_cache');
 
+        // In-flight video conversions, so concurrent requests for the same video share one FFmpeg run
+        this.pendingConversions = new Map(); // cacheKey -> Promise<Buffer>
+
+        // Prometheus metrics for conversion counts and durations (optional)
+        this.metrics = metrics;
+
         // FFmpeg settings
         this.ffmpegPath = null;
         this.ffmpegAvailable = false;
 
         // Initialize FFmpeg
         this.initializeFFmpeg();
+
+        // Pick up videos converted before the last restart and remove other leftover files
+        this.restoreCache();
     }
 
     // Initialize audio conversion directory
     async initializeAudioCache() {
         try {
             await fs.mkdir(this.audioConversionDir, { recursive: true });
-            console.log(`Audio conversion cache directory initialized: ${this.audioConversionDir}`);
+            logger.info('Audio conversion cache directory initialized', { path: this.audioConversionDir });
         } catch (error) {
-            console.error('Failed to create audio conversion directory:', error);
+            logger.error('Failed to create audio conversion directory', { path: this.audioConversionDir, err: error });
         }
     }
 
     // Initialize FFmpeg with multiple fallback methods
     async initializeFFmpeg() {
-        console.log('Initializing FFmpeg...');
+        logger.debug('Initializing FFmpeg');
 
         // Method 1: Try @ffmpeg-installer/ffmpeg package
         try {
             const ffmpegInstaller = require('@ffmpeg-installer/ffmpeg');
             this.ffmpegPath = ffmpegInstaller.path;
-            console.log(`Found FFmpeg via installer package: ${this.ffmpegPath}`);
+            logger.info('Found FFmpeg via installer package', { path: this.ffmpegPath });
         } catch (error) {
-            console.log('@ffmpeg-installer/ffmpeg not available');
+            logger.debug('@ffmpeg-installer/ffmpeg not available');
         }
 
         // Method 2: Try system FFmpeg
@@ -52,9 +79,9 @@ class AudioConverter {
                     execSync('which ffmpeg', { stdio: 'ignore' });
                     this.ffmpegPath = 'ffmpeg';
                 }
-                console.log('Found system FFmpeg in PATH');
+                logger.info('Found system FFmpeg in PATH');
             } catch (error) {
-                console.log('System FFmpeg not found in PATH');
+                logger.debug('System FFmpeg not found in PATH');
             }
         }
 
@@ -76,7 +103,7 @@ class AudioConverter {
                     const fs = require('fs');
                     if (fs.existsSync(testPath)) {
                         this.ffmpegPath = testPath;
-                        console.log(`Found FFmpeg at: ${testPath}`);
+                        logger.info('Found FFmpeg', { path: testPath });
                         break;
                     }
                 } catch (error) {
@@ -97,17 +124,17 @@ class AudioConverter {
                         timeout: 5000
                     });
                     this.ffmpegAvailable = true;
-                    console.log('FFmpeg is working correctly.');
+                    logger.info('FFmpeg is working');
                 } catch (versionError) {
-                    console.log(`FFmpeg version test failed: ${versionError.message}`);
+                    logger.warn('FFmpeg version test failed', { err: versionError });
                     this.ffmpegAvailable = false;
                 }
             } catch (error) {
-                console.log(`FFmpeg test failed: ${error.message}`);
+                logger.warn('FFmpeg test failed', { err: error });
                 this.ffmpegAvailable = false;
             }
         } else {
-            console.log('FFmpeg not found! Audio conversion will be disabled.');
+            logger.warn('FFmpeg not found, audio conversion will be disabled');
         }
     }
 
@@ -118,7 +145,7 @@ class AudioConverter {
         let freedSpace = 0;
 
         for (const [mediaId, cacheInfo] of this.audioConversionCache.entries()) {
-            if (now - cacheInfo.timestamp > this.audioConversionTTL) {
+            if (now - cacheInfo.timestamp > (cacheInfo.ttl || this.audioConversionTTL)) {
                 try {
                     // Delete the converted file
                     await fs.unlink(cacheInfo.filePath);
@@ -161,6 +188,14 @@ class AudioConverter {
             formats.push('mp3');
         }
 
+        if (mimetype.startsWith('image/') && this.ffmpegAvailable) {
+            formats.push(...Object.keys(IMAGE_VARIANTS));
+        }
+
+        if (mimetype.startsWith('video/') && this.ffmpegAvailable) {
+            formats.push(...Object.keys(VIDEO_FORMATS));
+        }
+
         return formats;
     }
 
@@ -170,8 +205,8 @@ class AudioConverter {
         return supportedFormats.includes(format);
     }
 
-    // Convert audio to MP3
-    async convertAudioToMp3(inputBuffer, originalMimetype, mediaId) {
+    // Convert audio to MP3 (filename is kept with the cached file for later downloads)
+    async convertAudioToMp3(inputBuffer, originalMimetype, mediaId, filename = null) {
         // Check if FFmpeg is available
         if (!this.ffmpegAvailable) {
             throw new Error('FFmpeg is not available on this server. Please install FFmpeg to enable audio conversion.');
@@ -182,7 +217,7 @@ class AudioConverter {
                 // Check cache first
                 const cacheEntry = this.audioConversionCache.get(mediaId);
                 if (cacheEntry && (Date.now() - cacheEntry.timestamp < this.audioConversionTTL)) {
-                    console.log(`Using cached MP3 conversion for: ${mediaId}`);
+                    logger.debug('Using cached MP3 conversion', { mediaId: mediaId });
                     const cachedBuffer = await fs.readFile(cacheEntry.filePath);
                     return resolve(cachedBuffer);
                 }
@@ -195,13 +230,14 @@ class AudioConverter {
                 const inputPath = path.join(this.audioConversionDir, inputFileName);
                 const outputPath = path.join(this.audioConversionDir, outputFileName);
 
-                console.log(`Converting audio to MP3: ${mediaId} (${originalMimetype})`);
+                logger.info('Converting audio to MP3', { mediaId: mediaId, mimetype: originalMimetype });
 
                 // Write input buffer to temporary file
                 await fs.writeFile(inputPath, inputBuffer);
 
                 // Convert using FFmpeg
                 const ffmpegCommand = ffmpeg(inputPath);
+                const finishMetric = this.metrics ? this.metrics.startConversion('mp3') : () => {};
 
                 ffmpegCommand
                     .audioBitrate(AUDIO_BITRATE)
@@ -210,16 +246,17 @@ class AudioConverter {
                     .audioCodec('libmp3lame')
                     .format('mp3')
                     .on('start', (commandLine) => {
-                        console.log(`FFmpeg started: ${commandLine}`);
+                        logger.debug('FFmpeg started', { command: commandLine });
                     })
                     .on('progress', (progress) => {
                         if (progress.percent) {
-                            console.log(`Conversion progress: ${Math.round(progress.percent)}%`);
+                            logger.debug('Conversion progress', { mediaId: mediaId, percent: Math.round(progress.percent) });
                         }
                     })
                     .on('end', async () => {
+                        finishMetric('success');
                         try {
-                            console.log(`Audio conversion completed: ${mediaId}`);
+                            logger.info('Audio conversion completed', { mediaId: mediaId });
 
                             // Read the converted file
                             const convertedBuffer = await fs.readFile(outputPath);
@@ -230,25 +267,29 @@ class AudioConverter {
                                 filePath: outputPath,
                                 timestamp: Date.now(),
                                 originalSize: inputBuffer.length,
-                                convertedSize: stats.size
+                                convertedSize: stats.size,
+                                mimetype: 'audio/mpeg',
+                                originalMimetype: originalMimetype,
+                                filename: filename
                             });
 
                             // Clean up input file
                             try {
                                 await fs.unlink(inputPath);
                             } catch (cleanupError) {
-                                console.log(`Input file cleanup warning: ${cleanupError.message}`);
+                                logger.warn('Could not remove conversion input file', { err: cleanupError });
                             }
 
                             resolve(convertedBuffer);
 
                         } catch (readError) {
-                            console.error(`Error reading converted file: ${readError.message}`);
+                            logger.error('Error reading converted file', { mediaId: mediaId, err: readError });
                             reject(readError);
                         }
                     })
                     .on('error', async (error) => {
-                        console.error(`FFmpeg conversion error: ${error.message}`);
+                        finishMetric('failure');
+                        logger.error('FFmpeg conversion error', { mediaId: mediaId, err: error });
 
                         // Clean up files on error
                         try {
@@ -269,10 +310,11 @@ class AudioConverter {
 
                 // Set a timeout for conversion
                 const conversionTimeout = setTimeout(() => {
+                    finishMetric('failure');
                     try {
                         ffmpegCommand.kill('SIGKILL');
                     } catch (killError) {
-                        console.log(`Could not kill FFmpeg process: ${killError.message}`);
+                        logger.warn('Could not kill FFmpeg process', { err: killError });
                     }
                     reject(new Error(`Audio conversion timeout after ${AUDIO_CONVERSION_TIMEOUT / 1000} seconds`));
                 }, AUDIO_CONVERSION_TIMEOUT);
@@ -287,12 +329,505 @@ class AudioConverter {
                 });
 
             } catch (error) {
-                console.error(`Audio conversion setup error: ${error.message}`);
+                logger.error('Audio conversion setup error', { mediaId: mediaId, err: error });
                 reject(error);
             }
         });
     }
 
+    /**
+     * Re-encode an image as a downscaled JPEG variant (thumb, small or medium)
+     * Images smaller than the variant's max dimension are re-encoded but never upscaled
+     * @param {Buffer} inputBuffer - Image file contents
+     * @param {string} originalMimetype - MIME type of the input image
+     * @param {string} mediaId - Message ID, used as the cache key together with the variant
+     * @param {string} variant - Key of IMAGE_VARIANTS
+     * @param {string} [filename] - Download filename, kept with the cached file
+     * @returns {Promise<Buffer>} JPEG image
+     */
+    async convertImage(inputBuffer, originalMimetype, mediaId, variant, filename = null) {
+        if (!this.ffmpegAvailable) {
+            throw new Error('FFmpeg is not available on this server. Please install FFmpeg to enable image conversion.');
+        }
+
+        const settings = IMAGE_VARIANTS[variant];
+        if (!settings) {
+            throw new Error(`Unknown image variant: ${variant}`);
+        }
+
+        // Variants share the conversion cache (and its cleanup) with MP3s under a per-variant key
+        const cacheKey = `${mediaId}:${variant}`;
+        const cacheEntry = this.audioConversionCache.get(cacheKey);
+        if (cacheEntry && (Date.now() - cacheEntry.timestamp < this.audioConversionTTL)) {
+            try {
+                logger.debug('Using cached image variant', { mediaId: mediaId, variant: variant });
+                return await fs.readFile(cacheEntry.filePath);
+            } catch (error) {
+                // Cached file was removed, convert again
+                this.audioConversionCache.delete(cacheKey);
+            }
+        }
+
+        await this.initializeAudioCache();
+
+        const inputPath = path.join(this.audioConversionDir, `image_input_${uuidv4()}`);
+        const outputPath = path.join(this.audioConversionDir, `image_${mediaId}_${variant}.jpg`);
+        const { maxDimension, quality } = settings;
+
+        // Map quality (1-100) onto the MJPEG quantizer scale, where 2 is best and 31 is worst
+        const qscale = Math.round(2 + (100 - quality) * 29 / 100);
+
+        logger.info('Converting image', { mediaId: mediaId, variant: variant, maxDimension: maxDimension, quality: quality, mimetype: originalMimetype });
+
+        try {
+            await fs.writeFile(inputPath, inputBuffer);
+
+            // Scale the longest side down to maxDimension, keeping the aspect ratio
+            const scaleFilter = `scale='if(gte(iw,ih),min(iw,${maxDimension}),-2)':'if(gte(iw,ih),-2,min(ih,${maxDimension}))'`;
+
+            const ffmpegCommand = ffmpeg(inputPath)
+                .outputOptions([
+                    '-frames:v 1',
+                    `-vf ${scaleFilter}`,
+                    `-q:v ${qscale}`,
+                    '-pix_fmt yuvj420p',
+                    '-map_metadata -1'
+                ])
+                .format('mjpeg')
+                .output(outputPath);
+
+            await this.runConversion(ffmpegCommand, IMAGE_CONVERSION_TIMEOUT, 'Image conversion', 'image');
+
+            const convertedBuffer = await fs.readFile(outputPath);
+
+            this.audioConversionCache.set(cacheKey, {
+                filePath: outputPath,
+                timestamp: Date.now(),
+                originalSize: inputBuffer.length,
+                convertedSize: convertedBuffer.length,
+                mimetype: 'image/jpeg',
+                originalMimetype: originalMimetype,
+                filename: filename
+            });
+
+            logger.info('Image conversion completed', { mediaId: mediaId, variant: variant, inputBytes: inputBuffer.length, outputBytes: convertedBuffer.length });
+            return convertedBuffer;
+        } catch (error) {
+            try {
+                await fs.unlink(outputPath);
+            } catch (cleanupError) {
+                // Ignore cleanup errors
+            }
+            throw error;
+        } finally {
+            try {
+                await fs.unlink(inputPath);
+            } catch (cleanupError) {
+                // Ignore cleanup errors
+            }
+        }
+    }
+
+    /**
+     * Transcode a video to a format old BlackBerry players can decode and stream
+     * mp4: baseline-profile H.264/AAC with the moov atom up front for progressive playback
+     * 3gp: H.263/AMR-NB at QCIF, letterboxed to 176x144
+     * Converted files persist in the cache directory across restarts (see restoreCache)
+     * @param {Buffer} inputBuffer - Video file contents
+     * @param {string} originalMimetype - MIME type of the input video
+     * @param {string} mediaId - Message ID, used as the cache key together with the format
+     * @param {string} format - Key of VIDEO_FORMATS
+     * @param {string} [filename] - Download filename, kept with the cached file
+     * @returns {Promise<Buffer>} Converted video
+     */
+    async convertVideo(inputBuffer, originalMimetype, mediaId, format, filename = null) {
+        if (!this.ffmpegAvailable) {
+            throw new Error('FFmpeg is not available on this server. Please install FFmpeg to enable video conversion.');
+        }
+
+        if (!VIDEO_FORMATS[format]) {
+            throw new Error(`Unknown video format: ${format}`);
+        }
+
+        const cacheKey = `${mediaId}:${format}`;
+        const cacheEntry = this.audioConversionCache.get(cacheKey);
+        if (cacheEntry && (Date.now() - cacheEntry.timestamp < cacheEntry.ttl)) {
+            try {
+                logger.debug('Using cached video conversion', { mediaId: mediaId, format: format });
+                return await fs.readFile(cacheEntry.filePath);
+            } catch (error) {
+                // Cached file was removed, convert again
+                this.audioConversionCache.delete(cacheKey);
+            }
+        }
+
+        // Join a conversion of the same video that is already running
+        if (this.pendingConversions.has(cacheKey)) {
+            logger.debug('Waiting for in-progress video conversion', { mediaId: mediaId, format: format });
+            return this.pendingConversions.get(cacheKey);
+        }
+
+        const conversion = this.runVideoConversion(inputBuffer, originalMimetype, mediaId, format, cacheKey, filename);
+        this.pendingConversions.set(cacheKey, conversion);
+
+        try {
+            return await conversion;
+        } finally {
+            this.pendingConversions.delete(cacheKey);
+        }
+    }
+
+    // Run the FFmpeg conversion for convertVideo and register the result in the cache
+    async runVideoConversion(inputBuffer, originalMimetype, mediaId, format, cacheKey, filename) {
+        await this.initializeAudioCache();
+
+        const conversionId = uuidv4();
+        const inputPath = path.join(this.audioConversionDir, `video_input_${conversionId}.${this.getFileExtension(originalMimetype)}`);
+        // Write under a temporary name so an interrupted conversion is never mistaken for a cached one
+        const tempPath = path.join(this.audioConversionDir, `video_tmp_${conversionId}.${format}`);
+        const outputPath = this.getVideoCachePath(mediaId, format);
+
+        logger.info('Converting video', { mediaId: mediaId, format: format, mimetype: originalMimetype });
+
+        try {
+            await fs.writeFile(inputPath, inputBuffer);
+
+            const ffmpegCommand = ffmpeg(inputPath);
+
+            if (format === 'mp4') {
+                const { maxDimension, videoBitrate, audioBitrate, frameRate } = VIDEO_FORMATS.mp4;
+                // Cap the longest side, keeping both sides even as H.264 requires
+                const scaleFilter = `scale='if(gte(iw,ih),trunc(min(iw,${maxDimension})/2)*2,-2)':'if(gte(iw,ih),-2,trunc(min(ih,${maxDimension})/2)*2)'`;
+
+                ffmpegCommand
+                    .videoCodec('libx264')
+                    .videoBitrate(videoBitrate)
+                    .audioCodec('aac')
+                    .audioBitrate(audioBitrate)
+                    .audioChannels(2)
+                    .audioFrequency(44100)
+                    .outputOptions([
+                        `-vf ${scaleFilter}`,
+                        // Drop frames above frameRate without duplicating frames of slower videos
+                        `-r ${frameRate}`,
+                        '-vsync vfr',
+                        '-profile:v baseline',
+                        '-level 3.0',
+                        '-preset veryfast',
+                        '-pix_fmt yuv420p',
+                        `-maxrate ${videoBitrate}k`,
+                        `-bufsize ${videoBitrate * 2}k`,
+                        '-movflags +faststart'
+                    ])
+                    .format('mp4');
+            } else {
+                const { width, height, videoBitrate, frameRate } = VIDEO_FORMATS['3gp'];
+
+                // H.263 only supports a few fixed frame sizes, so the picture is letterboxed
+                ffmpegCommand
+                    .videoCodec('h263')
+                    .videoBitrate(videoBitrate)
+                    .fps(frameRate)
+                    .audioCodec('libopencore_amrnb')
+                    .audioBitrate('12.2k')
+                    .audioChannels(1)
+                    .audioFrequency(8000)
+                    .outputOptions([
+                        `-vf scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1`,
+                        '-pix_fmt yuv420p'
+                    ])
+                    .format('3gp');
+            }
+
+            ffmpegCommand.output(tempPath);
+
+            await this.runConversion(ffmpegCommand, VIDEO_CONVERSION_TIMEOUT, 'Video conversion', 'video');
+            await fs.rename(tempPath, outputPath);
+
+            const convertedBuffer = await fs.readFile(outputPath);
+
+            this.audioConversionCache.set(cacheKey, {
+                filePath: outputPath,
+                timestamp: Date.now(),
+                originalSize: inputBuffer.length,
+                convertedSize: convertedBuffer.length,
+                ttl: VIDEO_CONVERSION_TTL,
+                mimetype: this.getVideoMimetype(format),
+                originalMimetype: originalMimetype,
+                filename: filename
+            });
+
+            logger.info('Video conversion completed', { mediaId: mediaId, format: format, inputBytes: inputBuffer.length, outputBytes: convertedBuffer.length });
+            return convertedBuffer;
+        } finally {
+            for (const filePath of [inputPath, tempPath]) {
+                try {
+                    await fs.unlink(filePath);
+                } catch (cleanupError) {
+                    // Ignore cleanup errors
+                }
+            }
+        }
+    }
+
+    // MIME type of a VIDEO_FORMATS output
+    getVideoMimetype(format) {
+        return format === '3gp' ? 'video/3gpp' : 'video/mp4';
+    }
+
+    // Cache file for a converted video; the message ID is encoded so it can be recovered after a restart
+    getVideoCachePath(mediaId, format) {
+        return path.join(this.audioConversionDir, `video_${encodeURIComponent(mediaId)}.${format}`);
+    }
+
+    /**
+     * Re-register converted videos left in the cache directory by a previous run, and delete everything else
+     * Videos are renamed into place when complete, so they are never partial; their age is taken from the
+     * file's modification time, so the normal TTL cleanup still applies. MP3s and image variants are written
+     * in place and may have been cut short, and cached originals have lost their MIME type and filename, so
+     * they are deleted along with the input and temporary files of interrupted conversions
+     */
+    async restoreCache() {
+        let files;
+        try {
+            files = await fs.readdir(this.audioConversionDir);
+        } catch (error) {
+            // No cache directory yet
+            return;
+        }
+
+        let restoredCount = 0;
+        let removedCount = 0;
+        for (const file of files) {
+            const match = file.match(/^video_(?!input_|tmp_)(.+)\.([^.]+)$/);
+            if (!match || !VIDEO_FORMATS[match[2]]) {
+                try {
+                    await fs.rm(path.join(this.audioConversionDir, file), { recursive: true, force: true });
+                    removedCount++;
+                } catch (error) {
+                    logger.warn('Could not remove stale cache file', { file: file, err: error });
+                }
+                continue;
+            }
+
+            try {
+                const filePath = path.join(this.audioConversionDir, file);
+                const stats = await fs.stat(filePath);
+                const mediaId = decodeURIComponent(match[1]);
+
+                this.audioConversionCache.set(`${mediaId}:${match[2]}`, {
+                    filePath: filePath,
+                    timestamp: stats.mtimeMs,
+                    originalSize: null,
+                    convertedSize: stats.size,
+                    ttl: VIDEO_CONVERSION_TTL,
+                    mimetype: this.getVideoMimetype(match[2]),
+                    originalMimetype: null,
+                    filename: null
+                });
+                restoredCount++;
+            } catch (error) {
+                logger.warn('Could not restore cached video', { file: file, err: error });
+            }
+        }
+
+        if (restoredCount > 0 || removedCount > 0) {
+            logger.info('Restored cached video conversions', { count: restoredCount, removedFiles: removedCount });
+        }
+    }
+
+    /**
+     * Transcode outgoing audio to OGG/Opus so WhatsApp shows it as a voice note
+     * WhatsApp reads the duration from the Ogg stream itself, so recordings in other
+     * containers (AMR, MP3, WAV...) arrive as 0:00 file attachments unless transcoded
+     * @param {Buffer} inputBuffer - Audio file contents
+     * @param {string} originalMimetype - MIME type of the input audio
+     * @returns {Promise<Object>} { buffer, mimetype, duration } with duration in seconds (null if unknown)
+     */
+    async convertAudioToVoiceNote(inputBuffer, originalMimetype) {
+        if (!this.ffmpegAvailable) {
+            throw new Error('FFmpeg is not available on this server. Please install FFmpeg to enable audio conversion.');
+        }
+
+        await this.initializeAudioCache();
+
+        // Outgoing audio is sent once, so it is converted under a throwaway name instead of being cached
+        const conversionId = uuidv4();
+        const inputPath = path.join(this.audioConversionDir, `voice_input_${conversionId}.${this.getFileExtension(originalMimetype)}`);
+        const outputPath = path.join(this.audioConversionDir, `voice_output_${conversionId}.ogg`);
+
+        logger.info('Converting audio to voice note', { conversionId: conversionId, mimetype: originalMimetype });
+
+        try {
+            await fs.writeFile(inputPath, inputBuffer);
+
+            const ffmpegCommand = ffmpeg(inputPath)
+                .noVideo()
+                .audioCodec('libopus')
+                .audioBitrate(VOICE_NOTE_BITRATE)
+                .audioFrequency(VOICE_NOTE_FREQUENCY)
+                .audioChannels(VOICE_NOTE_CHANNELS)
+                .outputOptions(['-application voip', '-map_metadata -1'])
+                .format('ogg')
+                .output(outputPath);
+
+            const { duration } = await this.runConversion(ffmpegCommand, AUDIO_CONVERSION_TIMEOUT, 'Voice note conversion', 'voice_note');
+            const buffer = await fs.readFile(outputPath);
+
+            logger.info('Voice note conversion completed', { conversionId: conversionId, durationSeconds: duration });
+
+            return {
+                buffer: buffer,
+                mimetype: 'audio/ogg; codecs=opus',
+                duration: duration
+            };
+        } finally {
+            for (const filePath of [inputPath, outputPath]) {
+                try {
+                    await fs.unlink(filePath);
+                } catch (cleanupError) {
+                    // Ignore cleanup errors
+                }
+            }
+        }
+    }
+
+    /**
+     * Run a prepared FFmpeg command, killing it if it exceeds the timeout
+     * @param {Object} ffmpegCommand - fluent-ffmpeg command with its output already set
+     * @param {number} timeout - Max conversion time in milliseconds
+     * @param {string} label - Used in log and error messages
+     * @param {string} [kind] - Conversion kind for metrics (mp3, image, video or voice_note)
+     * @returns {Promise<Object>} { duration } - media duration in seconds reported by FFmpeg (null if unknown)
+     */
+    runConversion(ffmpegCommand, timeout, label, kind = null) {
+        const conversion = new Promise((resolve, reject) => {
+            let inputDuration = null;
+            let processedDuration = null;
+            let settled = false;
+
+            const conversionTimeout = setTimeout(() => {
+                settled = true;
+                try {
+                    ffmpegCommand.kill('SIGKILL');
+                } catch (killError) {
+                    logger.warn('Could not kill FFmpeg process', { label: label, err: killError });
+                }
+                reject(new Error(`${label} timeout after ${timeout / 1000} seconds`));
+            }, timeout);
+
+            ffmpegCommand
+                .on('start', (commandLine) => {
+                    logger.debug('FFmpeg started', { label: label, command: commandLine });
+                })
+                .on('codecData', (data) => {
+                    inputDuration = this.parseTimemark(data.duration);
+                })
+                .on('progress', (progress) => {
+                    processedDuration = this.parseTimemark(progress.timemark);
+                })
+                .on('end', () => {
+                    clearTimeout(conversionTimeout);
+                    if (settled) {
+                        return;
+                    }
+                    settled = true;
+                    // The last progress timemark is the output length; the input header can be missing or wrong
+                    resolve({ duration: processedDuration || inputDuration });
+                })
+                .on('error', (error) => {
+                    clearTimeout(conversionTimeout);
+                    if (settled) {
+                        return;
+                    }
+                    settled = true;
+                    logger.error('FFmpeg conversion error', { label: label, err: error });
+                    reject(new Error(`${label} failed: ${error.message}`));
+                })
+                .run();
+        });
+
+        return this.metrics && kind ? this.metrics.timeConversion(kind, conversion) : conversion;
+    }
+
+    // Parse an FFmpeg "HH:MM:SS.ss" timemark into seconds
+    parseTimemark(timemark) {
+        if (typeof timemark !== 'string') {
+            return null;
+        }
+
+        const parts = timemark.split(':').map(parseFloat);
+        if (parts.length !== 3 || parts.some(isNaN)) {
+            return null;
+        }
+
+        const seconds = parts[0] * 3600 + parts[1] * 60 + parts[2];
+        return seconds > 0 ? seconds : null;
+    }
+
+    // Conversion cache key for a message's media in a given format (MP3s predate formats and use the bare ID)
+    getConversionCacheKey(mediaId, format) {
+        return format === 'mp3' ? mediaId : `${mediaId}:${format}`;
+    }
+
+    /**
+     * Look up a cached file for a message's media in a given format
+     * @param {string} mediaId - Message ID
+     * @param {string} format - 'original' or a conversion format
+     * @returns {Promise<Object|null>} The cache entry plus its current size, or null if missing or expired
+     */
+    async getCachedConversion(mediaId, format) {
+        const cacheKey = this.getConversionCacheKey(mediaId, format);
+        const cacheEntry = this.audioConversionCache.get(cacheKey);
+
+        if (!cacheEntry || Date.now() - cacheEntry.timestamp > (cacheEntry.ttl || this.audioConversionTTL)) {
+            return null;
+        }
+
+        try {
+            const stats = await fs.stat(cacheEntry.filePath);
+            return { ...cacheEntry, size: stats.size };
+        } catch (error) {
+            // File was removed behind our back
+            this.audioConversionCache.delete(cacheKey);
+            return null;
+        }
+    }
+
+    /**
+     * Store downloaded original media in the cache directory so it can be streamed and
+     * range-requested without downloading it from WhatsApp again
+     * @param {Buffer} buffer - Media file contents
+     * @param {string} mimetype - Media MIME type
+     * @param {string} mediaId - Message ID
+     * @param {string} [filename] - Download filename
+     * @returns {Promise<Object>} The cache entry
+     */
+    async cacheOriginal(buffer, mimetype, mediaId, filename = null) {
+        await this.initializeAudioCache();
+
+        const cacheKey = this.getConversionCacheKey(mediaId, 'original');
+        const outputPath = path.join(this.audioConversionDir, `original_${encodeURIComponent(mediaId)}`);
+        const tempPath = `${outputPath}.${uuidv4()}.tmp`;
+
+        // Rename into place so a concurrent reader never sees a partial file
+        await fs.writeFile(tempPath, buffer);
+        await fs.rename(tempPath, outputPath);
+
+        const cacheEntry = {
+            filePath: outputPath,
+            timestamp: Date.now(),
+            originalSize: buffer.length,
+            convertedSize: buffer.length,
+            mimetype: mimetype,
+            originalMimetype: mimetype,
+            filename: filename
+        };
+        this.audioConversionCache.set(cacheKey, cacheEntry);
+
+        return cacheEntry;
+    }
+
     // Get file extension from MIME type
     getFileExtension(mimetype) {
         const extensions = {
@@ -305,7 +840,18 @@ class AudioConverter {
             'audio/wav': 'wav',
             'audio/flac': 'flac',
             'audio/mpeg': 'mp3',
-            'audio/mp3': 'mp3'
+            'audio/mp3': 'mp3',
+            'audio/amr': 'amr',
+            'audio/3gpp': '3gp',
+            'audio/mp4': 'm4a',
+            'audio/x-m4a': 'm4a',
+            'audio/x-wav': 'wav',
+            'audio/wave': 'wav',
+            'video/mp4': 'mp4',
+            'video/3gpp': '3gp',
+            'video/quicktime': 'mov',
+            'video/webm': 'webm',
+            'video/x-matroska': 'mkv'
         };
 
         // Handle MIME types with parameters (like "audio/ogg; codecs=opus")
@@ -0,0 +1,575 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const { v4: uuidv4 } = require('uuid');
+const {
+    EXPORT_MAX_MESSAGES,
+    EXPORT_MEDIA_TIMEOUT,
+    EXPORT_TTL
+} = require('../config/constants');
+const Logger = require('./Logger');
+
+const logger = Logger.forModule('export');
+
+// File extensions for exported media, by base MIME type
+const MEDIA_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+    'video/mp4': 'mp4',
+    'video/3gpp': '3gp',
+    'video/quicktime': 'mov',
+    'audio/ogg': 'opus',
+    'audio/mpeg': 'mp3',
+    'audio/mp4': 'm4a',
+    'audio/aac': 'aac',
+    'audio/amr': 'amr',
+    'application/pdf': 'pdf'
+};
+
+// Media file name prefixes, as in WhatsApp's own exports (00000012-PHOTO-2024-01-31-21-41-05.jpg)
+const MEDIA_KINDS = {
+    image: 'PHOTO',
+    video: 'VIDEO',
+    audio: 'AUDIO',
+    ptt: 'AUDIO',
+    sticker: 'STICKER'
+};
+
+// Share of the progress bar for each step of an export
+const PROGRESS_STEPS = {
+    fetching: [0, 5],
+    formatting: [5, 35],
+    media: [35, 90],
+    writing: [90, 99]
+};
+
+// Escape text for the HTML transcript
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Short text for messages without a body, used in both transcripts
+function describeMessage(record) {
+    if (record.type === 'revoked') {
+        return 'This message was deleted';
+    }
+    if (record.poll) {
+        return [`POLL: ${record.poll.name}`, ...record.poll.options.map(option => `OPTION: ${option.name}`)].join('\n');
+    }
+    if (record.location) {
+        const { latitude, longitude } = record.location;
+        const name = record.location.description ? `${record.location.description}: ` : '';
+        return `Location: ${name}https://maps.google.com/?q=${latitude},${longitude}`;
+    }
+    if (record.hasMedia && !record.mediaFile) {
+        return '<Media omitted>';
+    }
+    return '';
+}
+
+// ExportManager - Builds chat export ZIPs (WhatsApp-style .txt, HTML transcript, JSON dump and media)
+// Exports run in the background and report progress with export_progress socket events
+class ExportManager {
+    /**
+     * @param {SessionManager} sessionManager - Used to format messages, read the archive and emit progress
+     * @param {string} [exportDir] - Directory for export files
+     */
+    constructor(sessionManager, exportDir = null) {
+        this.sessionManager = sessionManager;
+        this.exportDir = exportDir || path.join(__dirname, '../data/exports');
+
+        // exportId -> { id, sessionId, chatId, status, percent, filePath, ... }
+        this.exports = new Map();
+
+        // Export records only live in memory, so files from a previous run can't be downloaded
+        this.ready = this.initializeExportDir();
+    }
+
+    // Create the export directory, removing files from a previous run
+    async initializeExportDir() {
+        try {
+            await fs.rm(this.exportDir, { recursive: true, force: true });
+            await fs.mkdir(this.exportDir, { recursive: true });
+            logger.info('Export directory initialized', { path: this.exportDir });
+        } catch (error) {
+            logger.error('Failed to create export directory', { path: this.exportDir, err: error });
+        }
+    }
+
+    /**
+     * Start exporting a chat in the background
+     * The pending-export limit is checked by the route
+     * @param {string} sessionId - The session ID
+     * @param {Chat} chat - The whatsapp-web.js chat to export
+     * @param {Object} options - { includeMedia, timeZone }
+     * @returns {Promise<Object>} The export record
+     */
+    async startExport(sessionId, chat, { includeMedia = true, timeZone = null } = {}) {
+        await this.ready;
+
+        const id = uuidv4();
+        const job = {
+            id: id,
+            sessionId: sessionId,
+            chatId: chat.id._serialized,
+            chatName: chat.name || chat.id.user,
+            isGroup: chat.isGroup || false,
+            includeMedia: includeMedia,
+            timeZone: timeZone,
+            status: 'pending',
+            percent: 0,
+            messageCount: 0,
+            mediaCount: 0,
+            mediaFailed: 0,
+            size: null,
+            error: null,
+            cancelled: false,
+            filePath: path.join(this.exportDir, `${id}.zip`),
+            workDir: path.join(this.exportDir, id),
+            createdAt: Date.now(),
+            completedAt: null,
+            lastProgressAt: 0
+        };
+        this.exports.set(id, job);
+
+        logger.info('Export started', { sessionId: sessionId, exportId: id, chatId: job.chatId });
+
+        this.runExport(job, chat).catch(error => {
+            logger.error('Export crashed', { sessionId: sessionId, exportId: id, err: error });
+        });
+
+        return job;
+    }
+
+    /**
+     * Get an export belonging to a session
+     * @param {string} sessionId - The session ID
+     * @param {string} exportId - The export ID
+     * @returns {Object|null} The export record, or null if unknown, expired or owned by another session
+     */
+    getExport(sessionId, exportId) {
+        const job = this.exports.get(exportId);
+        if (!job || job.sessionId !== sessionId) {
+            return null;
+        }
+
+        return job;
+    }
+
+    // All exports of a session, newest first
+    getSessionExports(sessionId) {
+        return Array.from(this.exports.values())
+            .filter(job => job.sessionId === sessionId)
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    // Whether an export is still being built
+    isRunning(job) {
+        return !['complete', 'failed', 'cancelled'].includes(job.status);
+    }
+
+    // Format an export for API responses and progress events
+    describeExport(job) {
+        return {
+            exportId: job.id,
+            chatId: job.chatId,
+            chatName: job.chatName,
+            status: job.status,
+            percent: job.percent,
+            messageCount: job.messageCount,
+            mediaCount: job.mediaCount,
+            mediaFailed: job.mediaFailed,
+            includeMedia: job.includeMedia,
+            size: job.size,
+            error: job.error,
+            createdAt: job.createdAt,
+            completedAt: job.completedAt,
+            expiresAt: job.completedAt ? job.completedAt + EXPORT_TTL : null,
+            downloadUrl: job.status === 'complete' ? `/session/${job.sessionId}/exports/${job.id}/download` : null
+        };
+    }
+
+    /**
+     * Update an export's progress and emit export_progress
+     * Within a step, events are sent at most once a second
+     * @param {Object} job - The export record
+     * @param {string} status - Current step
+     * @param {number} [fraction] - How much of the step is done (0-1)
+     */
+    setProgress(job, status, fraction = 0) {
+        const stepChanged = job.status !== status;
+        job.status = status;
+
+        if (PROGRESS_STEPS[status]) {
+            const [start, end] = PROGRESS_STEPS[status];
+            job.percent = Math.round(start + (end - start) * Math.min(fraction, 1));
+        } else if (status === 'complete') {
+            job.percent = 100;
+        }
+
+        const now = Date.now();
+        if (stepChanged || now - job.lastProgressAt >= 1000) {
+            job.lastProgressAt = now;
+            this.sessionManager.emitSessionEvent(job.sessionId, 'export_progress', this.describeExport(job));
+        }
+    }
+
+    // Stop a running export at its next step
+    throwIfCancelled(job) {
+        if (job.cancelled) {
+            throw new Error('Export cancelled');
+        }
+    }
+
+    // Build the export: load history, format, download media, write the ZIP
+    async runExport(job, chat) {
+        const client = chat.client;
+
+        try {
+            await fs.mkdir(path.join(job.workDir, 'media'), { recursive: true });
+
+            // Loading the full history happens inside WhatsApp Web and reports no progress of its own
+            this.setProgress(job, 'fetching');
+            const messages = await chat.fetchMessages({ limit: EXPORT_MAX_MESSAGES });
+            this.throwIfCancelled(job);
+
+            const records = [];
+            const messagesById = new Map();
+            for (const [i, message] of messages.entries()) {
+                const formatted = await this.sessionManager.formatMessage(message, job.sessionId, false, true);
+                if (formatted) {
+                    records.push({ ...formatted, mediaData: null, mediaFile: null });
+                    messagesById.set(formatted.id, message);
+                }
+                this.setProgress(job, 'formatting', (i + 1) / messages.length);
+                this.throwIfCancelled(job);
+            }
+
+            // Older messages WhatsApp Web no longer has, from the local archive
+            const archived = await this.sessionManager.archive.search(job.sessionId, {
+                chatId: job.chatId,
+                limit: EXPORT_MAX_MESSAGES
+            });
+            for (const record of archived.messages) {
+                if (!messagesById.has(record.id)) {
+                    records.push({ ...record, mediaFile: null });
+                }
+            }
+            records.sort((a, b) => a.timestamp - b.timestamp);
+            job.messageCount = records.length;
+
+            await this.resolveSenderNames(job, client, records);
+
+            if (job.includeMedia) {
+                const withMedia = records.filter(record => record.hasMedia && messagesById.has(record.id));
+                for (const [i, record] of withMedia.entries()) {
+                    await this.saveMedia(job, messagesById.get(record.id), record, i + 1);
+                    this.setProgress(job, 'media', (i + 1) / withMedia.length);
+                    this.throwIfCancelled(job);
+                }
+            }
+
+            this.setProgress(job, 'writing');
+            await this.writeZip(job, records);
+
+            const stats = await fs.stat(job.filePath);
+            // Last check; from here to 'complete' nothing awaits, so a later cancel deletes a finished export
+            this.throwIfCancelled(job);
+            job.size = stats.size;
+            job.completedAt = Date.now();
+            this.setProgress(job, 'complete');
+
+            logger.info('Export complete', {
+                sessionId: job.sessionId,
+                exportId: job.id,
+                messages: job.messageCount,
+                media: job.mediaCount,
+                size: job.size
+            });
+        } catch (error) {
+            job.completedAt = Date.now();
+            await fs.rm(job.filePath, { force: true }).catch(() => {});
+
+            if (job.cancelled) {
+                this.setProgress(job, 'cancelled');
+                logger.info('Export cancelled', { sessionId: job.sessionId, exportId: job.id });
+            } else {
+                job.error = error.message;
+                this.setProgress(job, 'failed');
+                logger.error('Export failed', { sessionId: job.sessionId, exportId: job.id, err: error });
+            }
+        } finally {
+            await fs.rm(job.workDir, { recursive: true, force: true }).catch(() => {});
+
+            // A cancelled export stays listed (and counts towards EXPORT_MAX_PENDING) until it has stopped
+            if (job.cancelled) {
+                this.exports.delete(job.id);
+            }
+        }
+    }
+
+    // Add senderName to every record, looking each sender up once
+    async resolveSenderNames(job, client, records) {
+        const names = new Map();
+
+        for (const record of records) {
+            if (record.fromMe) {
+                record.senderName = 'You';
+                continue;
+            }
+
+            const senderId = job.isGroup ? (record.author || record.from) : record.from;
+            if (!names.has(senderId)) {
+                let name = job.isGroup ? senderId.split('@')[0] : job.chatName;
+                if (job.isGroup) {
+                    try {
+                        const contact = await Promise.race([
+                            client.getContactById(senderId),
+                            new Promise((_, reject) =>
+                                setTimeout(() => reject(new Error('Contact timeout')), 500)
+                            )
+                        ]);
+                        name = contact.name || contact.pushname || contact.verifiedName || contact.number || name;
+                    } catch (error) {
+                        // Keep the number
+                    }
+                }
+                names.set(senderId, name);
+            }
+            record.senderName = names.get(senderId);
+        }
+    }
+
+    // Download one message's media into the work directory; failures are counted, not fatal
+    async saveMedia(job, message, record, number) {
+        try {
+            const media = await Promise.race([
+                message.downloadMedia(),
+                new Promise((_, reject) =>
+                    setTimeout(() => reject(new Error('Media download timeout')), EXPORT_MEDIA_TIMEOUT)
+                )
+            ]);
+            if (!media) {
+                throw new Error('Media no longer available');
+            }
+
+            const baseMimetype = media.mimetype.toLowerCase().split(';')[0].trim();
+            const prefix = String(number).padStart(8, '0');
+            let filename;
+            if (media.filename) {
+                filename = `${prefix}-${media.filename.replace(/[/\\:*?"<>|]/g, '_')}`;
+            } else {
+                const kind = MEDIA_KINDS[record.type] || 'FILE';
+                const extension = MEDIA_EXTENSIONS[baseMimetype] || baseMimetype.split('/')[1].replace(/[^a-z0-9]/g, '') || 'bin';
+                filename = `${prefix}-${kind}-${this.formatDate(job, record.timestamp, true)}.${extension}`;
+            }
+
+            await fs.writeFile(path.join(job.workDir, 'media', filename), Buffer.from(media.data, 'base64'));
+            record.mediaFile = `media/${filename}`;
+            record.mimetype = media.mimetype;
+            job.mediaCount++;
+        } catch (error) {
+            job.mediaFailed++;
+            logger.warn('Could not save export media', { sessionId: job.sessionId, exportId: job.id, messageId: record.id, err: error });
+        }
+    }
+
+    /**
+     * Format a message timestamp in the export's time zone
+     * @param {Object} job - The export record
+     * @param {number} timestamp - Unix timestamp in seconds
+     * @param {boolean} [forFilename] - "2024-01-31-21-41-05" instead of "31/01/2024, 21:41:05"
+     * @returns {string} The formatted date
+     */
+    formatDate(job, timestamp, forFilename = false) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-GB', {
+            timeZone: job.timeZone || undefined,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(new Date(timestamp * 1000)).forEach(part => {
+            parts[part.type] = part.value;
+        });
+
+        if (forFilename) {
+            return `${parts.year}-${parts.month}-${parts.day}-${parts.hour}-${parts.minute}-${parts.second}`;
+        }
+        return `${parts.day}/${parts.month}/${parts.year}, ${parts.hour}:${parts.minute}:${parts.second}`;
+    }
+
+    // WhatsApp-style plain text transcript: "[31/01/2024, 21:41:05] Alice: Hello"
+    buildText(job, records) {
+        return records.map(record => {
+            let text = record.body || '';
+            if (record.mediaFile) {
+                const attached = `<attached: ${record.mediaFile.slice('media/'.length)}>`;
+                text = text ? `${attached}\n${text}` : attached;
+            } else if (!text || record.type === 'revoked') {
+                text = describeMessage(record);
+            }
+
+            return `[${this.formatDate(job, record.timestamp)}] ${record.senderName}: ${text}`;
+        }).join('\n') + '\n';
+    }
+
+    // Self-contained HTML transcript; media is linked from the ZIP's media folder
+    buildHtml(job, records) {
+        let lastDay = null;
+        const rows = [];
+
+        for (const record of records) {
+            const [day, time] = this.formatDate(job, record.timestamp).split(', ');
+            if (day !== lastDay) {
+                rows.push(`<div class="day">${escapeHtml(day)}</div>`);
+                lastDay = day;
+            }
+
+            let media = '';
+            if (record.mediaFile) {
+                const src = escapeHtml(record.mediaFile);
+                const mimetype = record.mimetype || '';
+                if (mimetype.startsWith('image/')) {
+                    media = `<a href="${src}"><img src="${src}" alt=""></a>`;
+                } else if (mimetype.startsWith('video/')) {
+                    media = `<video src="${src}" controls></video>`;
+                } else if (mimetype.startsWith('audio/')) {
+                    media = `<audio src="${src}" controls></audio>`;
+                } else {
+                    media = `<a href="${src}">${escapeHtml(record.mediaFile.slice('media/'.length))}</a>`;
+                }
+            }
+
+            const body = record.type === 'revoked' || (!record.body && !record.mediaFile)
+                ? `<em>${escapeHtml(describeMessage(record))}</em>`
+                : escapeHtml(record.body || '');
+            const sender = job.isGroup && !record.fromMe ? `<div class="sender">${escapeHtml(record.senderName)}</div>` : '';
+
+            const bodyHtml = body ? `<div class="body">${body}</div>` : '';
+
+            rows.push(`<div class="msg ${record.fromMe ? 'out' : 'in'}">${sender}${media}${bodyHtml}<div class="time">${time}</div></div>`);
+        }
+
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(job.chatName)}</title>
+<style>
+body { margin: 0; background: #efeae2; font: 14px/1.4 sans-serif; color: #111; }
+h1 { margin: 0; padding: 12px 16px; background: #075e54; color: #fff; font-size: 18px; }
+.chat { max-width: 800px; margin: 0 auto; padding: 8px 12px; }
+.day { margin: 12px auto; padding: 4px 10px; width: fit-content; background: #e1f2fb; border-radius: 6px; font-size: 12px; }
+.msg { clear: both; max-width: 75%; margin: 3px 0; padding: 6px 8px; border-radius: 7px; background: #fff; white-space: pre-wrap; word-wrap: break-word; }
+.msg.in { float: left; }
+.msg.out { float: right; background: #d9fdd3; }
+.sender { font-weight: bold; color: #075e54; font-size: 13px; }
+.time { text-align: right; color: #667781; font-size: 11px; }
+img, video { display: block; max-width: 100%; border-radius: 5px; }
+.end { clear: both; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(job.chatName)}</h1>
+<div class="chat">
+${rows.join('\n')}
+<div class="end"></div>
+</div>
+</body>
+</html>
+`;
+    }
+
+    // Write the transcripts and downloaded media into the export's ZIP file
+    async writeZip(job, records) {
+        const output = fsSync.createWriteStream(job.filePath);
+        const zip = archiver('zip', { zlib: { level: 6 } });
+
+        const finished = new Promise((resolve, reject) => {
+            output.on('close', resolve);
+            output.on('error', reject);
+            zip.on('error', reject);
+        });
+
+        zip.pipe(output);
+
+        zip.append(this.buildText(job, records), { name: 'chat.txt' });
+        zip.append(this.buildHtml(job, records), { name: 'chat.html' });
+        zip.append(JSON.stringify({
+            chat: { id: job.chatId, name: job.chatName, isGroup: job.isGroup },
+            exportedAt: Math.floor(Date.now() / 1000),
+            timeZone: job.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+            messageCount: records.length,
+            mediaCount: job.mediaCount,
+            messages: records
+        }, null, 2), { name: 'messages.json' });
+
+        // Media is already compressed, so it is stored as is
+        for (const record of records) {
+            if (record.mediaFile) {
+                zip.file(path.join(job.workDir, record.mediaFile), { name: record.mediaFile, store: true });
+            }
+        }
+
+        await zip.finalize();
+        await finished;
+    }
+
+    /**
+     * Cancel a running export, or remove a finished one and its file
+     * @param {string} exportId - The export ID
+     */
+    async deleteExport(exportId) {
+        const job = this.exports.get(exportId);
+        if (!job) {
+            return;
+        }
+
+        job.cancelled = true;
+
+        // A running export stops at its next step, emits its cancelled state and removes itself and its files
+        if (this.isRunning(job)) {
+            return;
+        }
+
+        this.exports.delete(exportId);
+        await fs.rm(job.filePath, { force: true }).catch(error => {
+            logger.error('Failed to delete export file', { sessionId: job.sessionId, exportId: job.id, path: job.filePath, err: error });
+        });
+    }
+
+    /**
+     * Remove all exports of a session
+     * @param {string} sessionId - The session ID
+     */
+    async clearSession(sessionId) {
+        await Promise.all(this.getSessionExports(sessionId).map(job => this.deleteExport(job.id)));
+    }
+
+    // Remove finished exports older than EXPORT_TTL
+    async cleanupExpiredExports() {
+        const now = Date.now();
+        const expired = Array.from(this.exports.values())
+            .filter(job => !this.isRunning(job) && now - job.completedAt > EXPORT_TTL);
+
+        await Promise.all(expired.map(job => this.deleteExport(job.id)));
+
+        if (expired.length > 0) {
+            logger.info('Cleaned up expired exports', { count: expired.length });
+        }
+    }
+}
+
+module.exports = ExportManager;
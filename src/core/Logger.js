@@ -0,0 +1,172 @@
+const { LOG_LEVEL, LOG_MODULE_LEVELS } = require('../config/constants');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Fields whose values are credentials
+const SECRET_FIELDS = ['apikey', 'x-api-key', 'token', 'sessiontoken', 'authorization', 'password', 'secret'];
+
+// Fields whose values are message content or device details
+const CONTENT_FIELDS = ['body', 'message', 'caption', 'text', 'query', 'deviceinfo'];
+
+// Bare phone numbers, also inside chat and message IDs (1234567890@c.us, false_1234567890@c.us_3EB0...);
+// UUID and hex ID fragments are left alone
+const PHONE_PATTERN = /(?<![A-Za-z0-9-])\+?\d{7,15}(?![A-Za-z0-9-])/g;
+
+// Parse "module=level,module=level" overrides, ignoring unknown levels
+function parseModuleLevels(value) {
+    const levels = new Map();
+    for (const entry of value.split(',')) {
+        const [name, level] = entry.split('=').map(part => part && part.trim());
+        if (name && LEVELS[level] !== undefined) {
+            levels.set(name, level);
+        }
+    }
+    return levels;
+}
+
+const defaultLevel = LEVELS[LOG_LEVEL] !== undefined ? LOG_LEVEL : 'info';
+const moduleLevels = parseModuleLevels(LOG_MODULE_LEVELS);
+
+/**
+ * Mask phone numbers in a string, keeping the last 4 digits
+ * @param {string} value - Text that may contain phone numbers or chat IDs
+ * @returns {string} Text with numbers masked (1234567890@c.us -> ***7890@c.us)
+ */
+function maskPhoneNumbers(value) {
+    return value.replace(PHONE_PATTERN, number => `***${number.slice(-4)}`);
+}
+
+// Redact a field value for output; errors keep their message and stack
+function redactValue(key, value, depth = 0) {
+    const lowerKey = key.toLowerCase();
+
+    if (value === undefined || value === null) {
+        return value;
+    }
+
+    if (SECRET_FIELDS.includes(lowerKey)) {
+        return '[REDACTED]';
+    }
+
+    if (CONTENT_FIELDS.includes(lowerKey)) {
+        return typeof value === 'string' ? `[REDACTED ${value.length} chars]` : '[REDACTED]';
+    }
+
+    if (value instanceof Error) {
+        const error = { name: value.name, message: maskPhoneNumbers(value.message || '') };
+        if (value.code !== undefined) {
+            error.code = value.code;
+        }
+        if (value.stack) {
+            error.stack = maskPhoneNumbers(value.stack);
+        }
+        return error;
+    }
+
+    if (typeof value === 'string') {
+        return maskPhoneNumbers(value);
+    }
+
+    if (typeof value === 'object') {
+        // Deeply nested values are dropped rather than written unredacted
+        if (depth >= 4) {
+            return '[Object]';
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => redactValue(key, item, depth + 1));
+        }
+        return redactFields(value, depth + 1);
+    }
+
+    return value;
+}
+
+function redactFields(fields, depth = 0) {
+    const redacted = {};
+    for (const [key, value] of Object.entries(fields)) {
+        redacted[key] = redactValue(key, value, depth);
+    }
+    return redacted;
+}
+
+// Logger - leveled JSON logger, one line per entry
+// Every entry carries the module name and the logger's context (sessionId, userId, requestId, ...);
+// phone numbers, message content and credentials are redacted before writing
+class Logger {
+    /**
+     * @param {string} module - Module name, used for per-module levels (LOG_MODULE_LEVELS)
+     * @param {Object} [context] - Fields added to every entry
+     */
+    constructor(module, context = {}) {
+        this.module = module;
+        this.context = context;
+        this.level = moduleLevels.get(module) || defaultLevel;
+    }
+
+    /**
+     * Get the logger for a module
+     * @param {string} module - Module name (session, whatsapp, audio, http, ...)
+     * @returns {Logger} Logger without context
+     */
+    static forModule(module) {
+        return new Logger(module);
+    }
+
+    /**
+     * Create a logger that adds fields to every entry
+     * @param {Object} context - Fields such as sessionId, userId or requestId
+     * @returns {Logger} Logger for the same module
+     */
+    child(context) {
+        return new Logger(this.module, { ...this.context, ...context });
+    }
+
+    isLevelEnabled(level) {
+        return LEVELS[level] >= LEVELS[this.level];
+    }
+
+    debug(message, fields) {
+        this.write('debug', message, fields);
+    }
+
+    info(message, fields) {
+        this.write('info', message, fields);
+    }
+
+    warn(message, fields) {
+        this.write('warn', message, fields);
+    }
+
+    error(message, fields) {
+        this.write('error', message, fields);
+    }
+
+    write(level, message, fields = {}) {
+        if (!this.isLevelEnabled(level)) {
+            return;
+        }
+
+        const entry = {
+            time: new Date().toISOString(),
+            level: level,
+            module: this.module,
+            msg: maskPhoneNumbers(String(message)),
+            ...redactFields({ ...this.context, ...fields })
+        };
+
+        let line;
+        try {
+            line = JSON.stringify(entry);
+        } catch (error) {
+            // Circular field values
+            line = JSON.stringify({ time: entry.time, level: level, module: this.module, msg: entry.msg, logError: error.message });
+        }
+
+        const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+        stream.write(line + '\n');
+    }
+}
+
+Logger.maskPhoneNumbers = maskPhoneNumbers;
+
+module.exports = Logger;
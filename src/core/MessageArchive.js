@@ -0,0 +1,462 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { ARCHIVE_MAX_MESSAGES, ARCHIVE_TRIM_RATIO, ARCHIVE_IDLE_TIMEOUT } = require('../config/constants');
+const Logger = require('./Logger');
+
+const logger = Logger.forModule('archive');
+
+/**
+ * Split text into lowercase search terms, ignoring accents ("Café" matches "cafe")
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Terms in order of appearance
+ */
+function tokenize(text) {
+    if (!text) {
+        return [];
+    }
+
+    return text.normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// Text a message can be found by: body or caption, poll question and options, location name
+function getSearchableText(message) {
+    const parts = [message.body];
+
+    if (message.poll) {
+        parts.push(message.poll.name, ...message.poll.options.map(option => option.name));
+    }
+
+    if (message.location) {
+        parts.push(message.location.description, message.location.name, message.location.address);
+    }
+
+    return parts.filter(part => typeof part === 'string').join(' ');
+}
+
+// MessageArchive - Per-session local copy of formatted messages with full-text search
+// Each session's messages are kept in memory with an inverted index and persisted as an
+// append-only JSON lines file next to its LocalAuth data, so they are deleted with the session.
+// Archives unused for ARCHIVE_IDLE_TIMEOUT are unloaded and read back from the file on next use
+class MessageArchive {
+    constructor(dataDir = null, maxMessages = ARCHIVE_MAX_MESSAGES) {
+        this.dataDir = dataDir || path.join(__dirname, '../data');
+        this.maxMessages = maxMessages;
+
+        // sessionId -> { messages: Map(id -> record), index: Map(term -> Set(id)), lineCount, pendingWrites, compactQueued, lastUsed, ready, writeChain, closed }
+        this.archives = new Map();
+    }
+
+    // Path of a session's archive file
+    getFilePath(sessionId) {
+        return path.join(this.dataDir, sessionId, 'messages.jsonl');
+    }
+
+    // Get a session's archive, loading it from disk on first use
+    async getArchive(sessionId) {
+        let archive = this.archives.get(sessionId);
+        if (!archive) {
+            archive = {
+                messages: new Map(),
+                index: new Map(),
+                lineCount: 0,
+                pendingWrites: 0,
+                compactQueued: false,
+                lastUsed: Date.now(),
+                writeChain: Promise.resolve(),
+                closed: false
+            };
+            archive.ready = this.loadArchive(sessionId, archive);
+            this.archives.set(sessionId, archive);
+        }
+
+        archive.lastUsed = Date.now();
+        await archive.ready;
+        return archive;
+    }
+
+    // Read a session's archive file; later lines for the same message replace earlier ones
+    async loadArchive(sessionId, archive) {
+        let raw;
+        try {
+            raw = await fs.readFile(this.getFilePath(sessionId), 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error('Failed to read message archive', { sessionId: sessionId, err: error });
+            }
+            return;
+        }
+
+        for (const line of raw.split('\n')) {
+            if (!line) {
+                continue;
+            }
+
+            archive.lineCount++;
+            try {
+                const record = JSON.parse(line);
+                if (record.deleted) {
+                    this.deleteRecord(archive, record.id);
+                } else {
+                    this.putRecord(archive, record);
+                }
+            } catch (error) {
+                // A line cut short by a crash; the rest of the file is still usable
+            }
+        }
+
+        logger.debug('Loaded archived messages', { sessionId: sessionId, count: archive.messages.size });
+
+        await this.compactIfNeeded(sessionId, archive);
+    }
+
+    // Drop superseded lines once they make up most of the file
+    compactIfNeeded(sessionId, archive) {
+        if (archive.lineCount <= archive.messages.size * 2) {
+            return archive.writeChain;
+        }
+
+        return this.compact(sessionId, archive);
+    }
+
+    // Add or replace a record in memory, keeping the index in step
+    putRecord(archive, record) {
+        const existing = archive.messages.get(record.id);
+        if (existing) {
+            this.unindexRecord(archive, existing);
+        }
+
+        archive.messages.set(record.id, record);
+
+        for (const term of new Set(tokenize(getSearchableText(record)))) {
+            let ids = archive.index.get(term);
+            if (!ids) {
+                ids = new Set();
+                archive.index.set(term, ids);
+            }
+            ids.add(record.id);
+        }
+    }
+
+    // Remove a record from memory and the index
+    deleteRecord(archive, messageId) {
+        const existing = archive.messages.get(messageId);
+        if (existing) {
+            this.unindexRecord(archive, existing);
+            archive.messages.delete(messageId);
+        }
+        return !!existing;
+    }
+
+    // Remove a record from the index (not from the messages Map)
+    unindexRecord(archive, record) {
+        for (const term of new Set(tokenize(getSearchableText(record)))) {
+            const ids = archive.index.get(term);
+            if (ids) {
+                ids.delete(record.id);
+                if (ids.size === 0) {
+                    archive.index.delete(term);
+                }
+            }
+        }
+    }
+
+    // Append records to the archive file; writes for a session never interleave
+    appendRecords(sessionId, archive, records) {
+        const lines = records.map(record => JSON.stringify(record) + '\n').join('');
+        archive.lineCount += records.length;
+        archive.pendingWrites++;
+
+        archive.writeChain = archive.writeChain.then(async () => {
+            if (archive.closed) {
+                return;
+            }
+            try {
+                const filePath = this.getFilePath(sessionId);
+                await fs.mkdir(path.dirname(filePath), { recursive: true });
+                await fs.appendFile(filePath, lines, 'utf8');
+            } catch (error) {
+                logger.error('Failed to write message archive', { sessionId: sessionId, err: error });
+            }
+        }).finally(() => {
+            archive.pendingWrites--;
+        });
+
+        return this.compactIfNeeded(sessionId, archive);
+    }
+
+    // Rewrite the archive file with only the current records; a rewrite already queued covers later changes too
+    compact(sessionId, archive) {
+        if (archive.compactQueued) {
+            return archive.writeChain;
+        }
+
+        archive.compactQueued = true;
+        archive.pendingWrites++;
+        archive.writeChain = archive.writeChain.then(async () => {
+            archive.compactQueued = false;
+            if (archive.closed) {
+                return;
+            }
+            const filePath = this.getFilePath(sessionId);
+            const tmpPath = `${filePath}.tmp`;
+            try {
+                const lines = Array.from(archive.messages.values()).map(record => JSON.stringify(record) + '\n');
+                await fs.mkdir(path.dirname(filePath), { recursive: true });
+                await fs.writeFile(tmpPath, lines.join(''), 'utf8');
+                await fs.rename(tmpPath, filePath);
+                archive.lineCount = lines.length;
+            } catch (error) {
+                logger.error('Failed to compact message archive', { sessionId: sessionId, err: error });
+            }
+        }).finally(() => {
+            archive.pendingWrites--;
+        });
+
+        return archive.writeChain;
+    }
+
+    /**
+     * Build the stored record for a formatted message
+     * Media data is never stored (it is downloaded on demand); chatId is added for filtering
+     * @param {Object} message - Message formatted by SessionManager.formatMessage
+     * @returns {Object} The archive record
+     */
+    toRecord(message) {
+        return {
+            ...message,
+            chatId: message.fromMe ? message.to : message.from,
+            mediaData: null
+        };
+    }
+
+    /**
+     * Store formatted messages, replacing earlier copies of the same messages
+     * Unchanged messages are skipped, so storing the same history page again writes nothing
+     * @param {string} sessionId - The session ID
+     * @param {Array<Object>} messages - Messages formatted by SessionManager.formatMessage
+     * @returns {Promise<number>} Number of messages added or updated
+     */
+    async storeMessages(sessionId, messages) {
+        const archive = await this.getArchive(sessionId);
+
+        const records = messages
+            .filter(message => message && message.id && !message.isStatus)
+            .map(message => this.toRecord(message))
+            .filter(record => {
+                const existing = archive.messages.get(record.id);
+                return !existing || JSON.stringify(existing) !== JSON.stringify(record);
+            });
+
+        if (records.length === 0) {
+            return 0;
+        }
+
+        records.forEach(record => this.putRecord(archive, record));
+        await this.appendRecords(sessionId, archive, records);
+
+        if (archive.messages.size > this.maxMessages) {
+            await this.dropOldest(sessionId, archive);
+        }
+
+        return records.length;
+    }
+
+    /**
+     * Update fields of an archived message, e.g. after an edit or revoke
+     * @param {string} sessionId - The session ID
+     * @param {string} messageId - The message ID
+     * @param {Object} changes - Fields to overwrite
+     * @returns {Promise<boolean>} False if the message isn't archived
+     */
+    async updateMessage(sessionId, messageId, changes) {
+        const archive = await this.getArchive(sessionId);
+
+        const existing = archive.messages.get(messageId);
+        if (!existing) {
+            return false;
+        }
+
+        const record = { ...existing, ...changes };
+        this.putRecord(archive, record);
+        await this.appendRecords(sessionId, archive, [record]);
+        return true;
+    }
+
+    /**
+     * Remove an archived message (after it is deleted for me)
+     * @param {string} sessionId - The session ID
+     * @param {string} messageId - The message ID
+     * @returns {Promise<boolean>} False if the message isn't archived
+     */
+    async removeMessage(sessionId, messageId) {
+        const archive = await this.getArchive(sessionId);
+
+        if (!this.deleteRecord(archive, messageId)) {
+            return false;
+        }
+
+        // A tombstone line; the message's earlier lines are dropped at the next compaction
+        await this.appendRecords(sessionId, archive, [{ id: messageId, deleted: true }]);
+        return true;
+    }
+
+    // Drop the oldest messages, down to ARCHIVE_TRIM_RATIO of maxMessages so the archive
+    // isn't sorted and rewritten again for every message that arrives past the limit
+    async dropOldest(sessionId, archive) {
+        const byAge = Array.from(archive.messages.values()).sort((a, b) => a.timestamp - b.timestamp);
+        const keep = Math.floor(this.maxMessages * ARCHIVE_TRIM_RATIO);
+
+        for (const record of byAge.slice(0, archive.messages.size - keep)) {
+            this.deleteRecord(archive, record.id);
+        }
+
+        await this.compact(sessionId, archive);
+    }
+
+    /**
+     * Remove all archived messages of a chat (after it is cleared or deleted)
+     * @param {string} sessionId - The session ID
+     * @param {string} chatId - The chat ID
+     * @returns {Promise<number>} Number of messages removed
+     */
+    async removeChat(sessionId, chatId) {
+        const archive = await this.getArchive(sessionId);
+
+        let removed = 0;
+        for (const record of Array.from(archive.messages.values())) {
+            if (record.chatId === chatId) {
+                this.deleteRecord(archive, record.id);
+                removed++;
+            }
+        }
+
+        if (removed > 0) {
+            await this.compact(sessionId, archive);
+        }
+
+        return removed;
+    }
+
+    /**
+     * Search a session's archived messages, newest first
+     * Every term in the query must match the start of a word in the message, so
+     * "meet tom" finds "Meeting with Tomás"; without a query all messages matching the filters are listed
+     * @param {string} sessionId - The session ID
+     * @param {Object} options - { query, chatId, sender, type, since, until, limit, before }
+     * sender is a contact ID or "me"; since/until are Unix timestamps in seconds (inclusive);
+     * before is the ID of the last message of the previous page
+     * @returns {Promise<Object>} { messages, total, nextCursor, hasMore, cursorNotFound }
+     */
+    async search(sessionId, { query = '', chatId = null, sender = null, type = null, since = null, until = null, limit = 20, before = null } = {}) {
+        const archive = await this.getArchive(sessionId);
+
+        let candidates;
+        const terms = Array.from(new Set(tokenize(query)));
+        if (terms.length > 0) {
+            // Ids matching each term (by prefix), intersected across terms
+            for (const term of terms) {
+                const matches = new Set();
+                for (const [indexed, ids] of archive.index) {
+                    if (indexed.startsWith(term)) {
+                        ids.forEach(id => matches.add(id));
+                    }
+                }
+                candidates = candidates ? new Set([...candidates].filter(id => matches.has(id))) : matches;
+                if (candidates.size === 0) {
+                    break;
+                }
+            }
+            candidates = Array.from(candidates).map(id => archive.messages.get(id));
+        } else {
+            candidates = Array.from(archive.messages.values());
+        }
+
+        const results = candidates
+            .filter(record => {
+                if (chatId && record.chatId !== chatId) {
+                    return false;
+                }
+                if (sender === 'me' && !record.fromMe) {
+                    return false;
+                }
+                if (sender && sender !== 'me' && (record.fromMe || (record.author || record.from) !== sender)) {
+                    return false;
+                }
+                if (type && record.type !== type) {
+                    return false;
+                }
+                if (since !== null && record.timestamp < since) {
+                    return false;
+                }
+                if (until !== null && record.timestamp > until) {
+                    return false;
+                }
+                return true;
+            })
+            .sort((a, b) => b.timestamp - a.timestamp || (a.id < b.id ? 1 : -1));
+
+        let start = 0;
+        if (before) {
+            const cursorIndex = results.findIndex(record => record.id === before);
+            if (cursorIndex === -1) {
+                return { messages: [], total: results.length, nextCursor: null, hasMore: false, cursorNotFound: true };
+            }
+            start = cursorIndex + 1;
+        }
+
+        const page = results.slice(start, start + limit);
+        const hasMore = start + limit < results.length;
+
+        return {
+            messages: page,
+            total: results.length,
+            nextCursor: hasMore && page.length > 0 ? page[page.length - 1].id : null,
+            hasMore: hasMore,
+            cursorNotFound: false
+        };
+    }
+
+    /**
+     * Unload archives that haven't been used for ARCHIVE_IDLE_TIMEOUT
+     * Their files stay on disk and are read again on next use
+     * @returns {number} Number of archives unloaded
+     */
+    evictIdleArchives() {
+        const now = Date.now();
+        let evicted = 0;
+
+        for (const [sessionId, archive] of this.archives.entries()) {
+            // Archives with writes in flight are left for the next pass, so a reload never reads a half-written file
+            if (now - archive.lastUsed <= ARCHIVE_IDLE_TIMEOUT || archive.pendingWrites > 0) {
+                continue;
+            }
+
+            this.archives.delete(sessionId);
+            evicted++;
+        }
+
+        if (evicted > 0) {
+            logger.debug('Unloaded idle message archives', { count: evicted });
+        }
+
+        return evicted;
+    }
+
+    /**
+     * Forget a session's archive (its file is removed with the session data folder)
+     * Pending writes are dropped so the file isn't recreated after the folder is deleted
+     * @param {string} sessionId - The session ID
+     */
+    clearSession(sessionId) {
+        const archive = this.archives.get(sessionId);
+        if (archive) {
+            archive.closed = true;
+            this.archives.delete(sessionId);
+        }
+    }
+}
+
+module.exports = MessageArchive;
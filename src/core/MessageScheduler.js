@@ -0,0 +1,569 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { MessageMedia } = require('whatsapp-web.js');
+const { v4: uuidv4 } = require('uuid');
+const {
+    isDisconnectError,
+    getSendableSession,
+    sendTextMessage,
+    sendMediaMessage
+} = require('../services/send.service');
+const Logger = require('./Logger');
+
+const logger = Logger.forModule('scheduler');
+const {
+    SCHEDULED_RETRY_BASE_DELAY,
+    SCHEDULED_RETRY_MAX_DELAY,
+    SCHEDULED_MAX_DELAY,
+    SCHEDULED_HISTORY_TTL,
+    SCHEDULED_TIMER_MAX_DELAY
+} = require('../config/constants');
+
+// MessageScheduler - Sends text and media messages at a later time, and holds queued sends
+// (send-message with a clientMessageId) until the session can deliver them
+// Jobs are persisted to disk (media alongside them) so they survive restarts, and are sent through
+// the same path as send-message and send-media. While the session is missing, not ready or
+// reconnecting the send is retried with backoff, and right away once the session is ready again.
+// Results arrive as scheduled_sent/scheduled_failed events, or outbox_ack for queued sends
+class MessageScheduler {
+    /**
+     * @param {SessionManager} sessionManager - Used to look up sessions, send and emit events
+     * @param {string} [storeDir] - Directory for the job store and scheduled media
+     */
+    constructor(sessionManager, storeDir = null) {
+        this.sessionManager = sessionManager;
+        this.storeDir = storeDir || path.join(__dirname, '../data/scheduled');
+        this.filePath = path.join(this.storeDir, 'scheduled.json');
+
+        // jobId -> { id, sessionId, chatId, type, sendAt, status, attempts, ... }
+        this.jobs = new Map();
+
+        // One timer for the next due job
+        this.timer = null;
+        this.processing = false;
+
+        // Serialize writes so concurrent saves never interleave on disk
+        this.writeChain = Promise.resolve();
+    }
+
+    /**
+     * Load persisted jobs and start the timer
+     * Jobs that were mid-send when the server stopped are failed rather than retried, since the
+     * message may already have been delivered
+     * @returns {Promise<number>} Number of jobs still waiting to be sent
+     */
+    async start() {
+        try {
+            const raw = await fs.readFile(this.filePath, 'utf8');
+            const data = JSON.parse(raw);
+            for (const job of Array.isArray(data.jobs) ? data.jobs : []) {
+                this.jobs.set(job.id, job);
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error('Failed to read scheduled message store', { path: this.filePath, err: error });
+            }
+        }
+
+        const interrupted = Array.from(this.jobs.values()).filter(job => job.status === 'sending');
+        for (const job of interrupted) {
+            await this.finishJob(job, 'failed', { error: 'Interrupted by a server restart while sending' });
+        }
+
+        const pending = Array.from(this.jobs.values()).filter(job => job.status === 'pending').length;
+        logger.info('Loaded scheduled messages', { pending: pending });
+
+        this.arm();
+        return pending;
+    }
+
+    // Stop the timer; jobs are already on disk
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Schedule a message
+     * Limits and the send time are validated by the route; voice notes are converted before scheduling
+     * @param {string} sessionId - The session ID
+     * @param {Object} options - Message options
+     * @param {string} options.chatId - Recipient chat ID
+     * @param {number} options.sendAt - When to send (Unix ms)
+     * @param {string} [options.message] - Text to send (text messages)
+     * @param {string} [options.quotedMessageId] - Message to reply to (text messages)
+     * @param {Array<string>} [options.mentions] - Mentioned contact IDs (text messages)
+     * @param {MessageMedia} [options.media] - Media to send (media messages)
+     * @param {string} [options.caption] - Media caption
+     * @param {boolean} [options.sendAudioAsVoice] - Send audio as a voice note
+     * @param {string} [options.clientMessageId] - Client-generated ID of a queued send; the caller sends it with sendNow
+     * @returns {Promise<Object>} The job record
+     */
+    async schedule(sessionId, { chatId, sendAt, message = null, quotedMessageId = null, mentions = null, media = null, caption = '', sendAudioAsVoice = false, clientMessageId = null }) {
+        const id = uuidv4();
+        const job = {
+            id: id,
+            sessionId: sessionId,
+            clientMessageId: clientMessageId,
+            chatId: chatId,
+            type: media ? 'media' : 'text',
+            message: media ? null : message,
+            quotedMessageId: media ? null : quotedMessageId,
+            mentions: media ? null : mentions,
+            caption: media && !sendAudioAsVoice ? caption : null,
+            sendAudioAsVoice: Boolean(media && sendAudioAsVoice),
+            media: null,
+            sendAt: sendAt,
+            nextAttemptAt: sendAt,
+            status: 'pending',
+            attempts: 0,
+            lastError: null,
+            messageId: null,
+            createdAt: Date.now(),
+            completedAt: null
+        };
+
+        if (media) {
+            const buffer = Buffer.from(media.data, 'base64');
+            const filePath = path.join(this.storeDir, `${id}.media`);
+            await fs.mkdir(this.storeDir, { recursive: true });
+            await fs.writeFile(filePath, buffer);
+            job.media = {
+                mimetype: media.mimetype,
+                filename: media.filename || null,
+                size: buffer.length,
+                filePath: filePath
+            };
+        }
+
+        this.jobs.set(id, job);
+        await this.save();
+
+        if (clientMessageId) {
+            logger.info('Queued message', { sessionId: sessionId, clientMessageId: clientMessageId, type: job.type });
+            return job;
+        }
+
+        logger.info('Scheduled message', { sessionId: sessionId, scheduledId: id, type: job.type, sendAt: new Date(sendAt).toISOString() });
+
+        this.arm();
+        return job;
+    }
+
+    /**
+     * Send a pending job right away instead of waiting for the timer
+     * Used for queued sends, so a healthy session answers like a plain send-message
+     * @param {Object} job - The job record
+     * @returns {Promise<Object>} Outcome of sendJob, or { status } if the job isn't pending
+     */
+    async sendNow(job) {
+        if (job.status !== 'pending') {
+            return { status: job.status };
+        }
+
+        try {
+            return await this.sendJob(job);
+        } finally {
+            this.arm();
+        }
+    }
+
+    /**
+     * Retry a session's overdue jobs now, called when its client becomes ready
+     * @param {string} sessionId - The session ID
+     */
+    retrySession(sessionId) {
+        const now = Date.now();
+        const overdue = this.getSessionJobs(sessionId)
+            .filter(job => job.status === 'pending' && job.sendAt <= now && job.nextAttemptAt > now);
+
+        if (overdue.length === 0) {
+            return;
+        }
+
+        for (const job of overdue) {
+            job.nextAttemptAt = now;
+        }
+
+        logger.info('Session is ready, retrying waiting messages', { sessionId: sessionId, count: overdue.length });
+        this.arm();
+    }
+
+    /**
+     * Get a scheduled message belonging to a session
+     * @param {string} sessionId - The session ID
+     * @param {string} jobId - The scheduled message ID
+     * @returns {Object|null} The job record, or null if unknown or owned by another session
+     */
+    getJob(sessionId, jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job || job.sessionId !== sessionId) {
+            return null;
+        }
+
+        return job;
+    }
+
+    /**
+     * Find a queued send by its client-generated ID
+     * @param {string} sessionId - The session ID
+     * @param {string} clientMessageId - Client-generated message ID
+     * @returns {Object|null} The job record, or null if the ID hasn't been seen (or was cleaned up)
+     */
+    getQueuedJob(sessionId, clientMessageId) {
+        for (const job of this.jobs.values()) {
+            if (job.sessionId === sessionId && job.clientMessageId === clientMessageId) {
+                return job;
+            }
+        }
+
+        return null;
+    }
+
+    // All jobs of a session (scheduled and queued), soonest first
+    getSessionJobs(sessionId) {
+        return Array.from(this.jobs.values())
+            .filter(job => job.sessionId === sessionId)
+            .sort((a, b) => a.sendAt - b.sendAt);
+    }
+
+    // Whether a session still has scheduled or queued messages waiting to be sent
+    hasPendingJobs(sessionId) {
+        for (const job of this.jobs.values()) {
+            if (job.sessionId === sessionId && (job.status === 'pending' || job.status === 'sending')) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    // Format a scheduled message for API responses and events
+    describeJob(job) {
+        return {
+            scheduledId: job.id,
+            clientMessageId: job.clientMessageId,
+            chatId: job.chatId,
+            type: job.type,
+            message: job.message,
+            quotedMessageId: job.quotedMessageId,
+            mentions: job.mentions,
+            caption: job.caption,
+            sendAudioAsVoice: job.sendAudioAsVoice,
+            media: job.media ? {
+                mimetype: job.media.mimetype,
+                filename: job.media.filename,
+                size: job.media.size
+            } : null,
+            sendAt: job.sendAt,
+            status: job.status,
+            attempts: job.attempts,
+            nextAttemptAt: job.status === 'pending' ? job.nextAttemptAt : null,
+            lastError: job.lastError,
+            messageId: job.messageId,
+            createdAt: job.createdAt,
+            completedAt: job.completedAt
+        };
+    }
+
+    /**
+     * Cancel a pending scheduled message, or remove a finished one from the list
+     * Messages being sent right now can't be cancelled (checked by the route)
+     * @param {string} jobId - The scheduled message ID
+     */
+    async deleteJob(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job) {
+            return;
+        }
+
+        this.jobs.delete(jobId);
+        await this.removeMedia(job);
+        await this.save();
+        this.arm();
+    }
+
+    /**
+     * Remove all scheduled messages of a session
+     * @param {string} sessionId - The session ID
+     */
+    async clearSession(sessionId) {
+        const jobs = this.getSessionJobs(sessionId);
+        if (jobs.length === 0) {
+            return;
+        }
+
+        for (const job of jobs) {
+            this.jobs.delete(job.id);
+            await this.removeMedia(job);
+        }
+
+        await this.save();
+        this.arm();
+    }
+
+    // Remove sent and failed messages older than SCHEDULED_HISTORY_TTL
+    async cleanupFinishedJobs() {
+        const now = Date.now();
+        const expired = Array.from(this.jobs.values())
+            .filter(job => job.completedAt && now - job.completedAt > SCHEDULED_HISTORY_TTL);
+
+        if (expired.length === 0) {
+            return;
+        }
+
+        for (const job of expired) {
+            this.jobs.delete(job.id);
+        }
+        await this.save();
+
+        logger.info('Cleaned up finished scheduled messages', { count: expired.length });
+    }
+
+    // Delete a job's media file
+    async removeMedia(job) {
+        if (!job.media) {
+            return;
+        }
+
+        await fs.rm(job.media.filePath, { force: true }).catch(error => {
+            logger.error('Failed to delete scheduled media', { sessionId: job.sessionId, scheduledId: job.id, path: job.media.filePath, err: error });
+        });
+    }
+
+    // Set the timer for the next due job; long waits are split so the timer never overflows
+    arm() {
+        this.stop();
+
+        let next = null;
+        for (const job of this.jobs.values()) {
+            if (job.status === 'pending' && (next === null || job.nextAttemptAt < next)) {
+                next = job.nextAttemptAt;
+            }
+        }
+
+        if (next === null) {
+            return;
+        }
+
+        const delay = Math.min(Math.max(next - Date.now(), 0), SCHEDULED_TIMER_MAX_DELAY);
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.processDueJobs().catch(error => {
+                logger.error('Error processing scheduled messages', { err: error });
+            });
+        }, delay);
+
+        // Don't keep the process alive just for a scheduled message
+        this.timer.unref();
+    }
+
+    // Send every job that is due, one at a time, then re-arm the timer
+    async processDueJobs() {
+        if (this.processing) {
+            return;
+        }
+        this.processing = true;
+
+        try {
+            const due = Array.from(this.jobs.values())
+                .filter(job => job.status === 'pending' && job.nextAttemptAt <= Date.now())
+                .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt);
+
+            for (const job of due) {
+                // Cancelled, or sent with sendNow, while earlier jobs were being sent
+                if (!this.jobs.has(job.id) || job.status !== 'pending') {
+                    continue;
+                }
+                await this.sendJob(job);
+            }
+        } finally {
+            this.processing = false;
+            this.arm();
+        }
+    }
+
+    /**
+     * Send a due job through the send-message/send-media path
+     * @param {Object} job - The job record
+     * @returns {Promise<Object>} { status: 'sent', result, message }, { status: 'pending' } if it will be retried,
+     * or { status: 'failed', error, notFound } (notFound when the quoted message doesn't exist)
+     */
+    async sendJob(job) {
+        job.status = 'sending';
+        job.attempts++;
+        await this.save();
+
+        const check = await getSendableSession(this.sessionManager, job.sessionId, 'scheduled message');
+        if (check.error) {
+            // Missing (not restored yet), not ready or reconnecting: all may recover
+            return this.retryJob(job, check.error);
+        }
+
+        try {
+            let result;
+            let formattedMessage;
+
+            if (job.type === 'text') {
+                const sent = await sendTextMessage(this.sessionManager, job.sessionId, check.session, {
+                    to: job.chatId,
+                    message: job.message,
+                    quotedMessageId: job.quotedMessageId,
+                    mentions: job.mentions
+                });
+                if (sent.error) {
+                    await this.finishJob(job, 'failed', { error: sent.error });
+                    return { status: 'failed', error: sent.error, notFound: sent.status === 404 };
+                }
+                result = sent.result;
+                formattedMessage = sent.message;
+            } else {
+                const buffer = await fs.readFile(job.media.filePath);
+                const media = new MessageMedia(job.media.mimetype, buffer.toString('base64'), job.media.filename);
+                const sent = await sendMediaMessage(this.sessionManager, job.sessionId, check.session, {
+                    to: job.chatId,
+                    media: media,
+                    caption: job.caption || '',
+                    sendAudioAsVoice: job.sendAudioAsVoice
+                });
+                result = sent.result;
+                formattedMessage = await sent.formatted.catch(() => null);
+            }
+
+            await this.finishJob(job, 'sent', { messageId: result.id._serialized, message: formattedMessage, ack: result.ack });
+            return { status: 'sent', result, message: formattedMessage };
+        } catch (error) {
+            if (isDisconnectError(error)) {
+                logger.warn('Session appears disconnected during scheduled message, triggering reconnection', { sessionId: job.sessionId, scheduledId: job.id });
+                this.sessionManager.reconnectSession(job.sessionId).catch(reconnectError => {
+                    logger.error('Immediate reconnection failed', { sessionId: job.sessionId, err: reconnectError });
+                });
+                return this.retryJob(job, 'Session disconnected, reconnection in progress');
+            }
+
+            logger.error('Error sending scheduled message', { sessionId: job.sessionId, scheduledId: job.id, err: error });
+            await this.finishJob(job, 'failed', { error: error.message });
+            return { status: 'failed', error: error.message };
+        }
+    }
+
+    /**
+     * Put a job back in the queue with backoff, or fail it once it is SCHEDULED_MAX_DELAY overdue
+     * @param {Object} job - The job record
+     * @param {string} reason - Why the send couldn't happen
+     * @returns {Promise<Object>} { status: 'pending' } or { status: 'failed', error }
+     */
+    async retryJob(job, reason) {
+        // Removed while the send was being attempted
+        if (!this.jobs.has(job.id)) {
+            return { status: 'cancelled' };
+        }
+
+        const now = Date.now();
+        if (now - job.sendAt > SCHEDULED_MAX_DELAY) {
+            const error = `Gave up after ${job.attempts} attempts: ${reason}`;
+            await this.finishJob(job, 'failed', { error: error });
+            return { status: 'failed', error: error };
+        }
+
+        const delay = Math.min(SCHEDULED_RETRY_BASE_DELAY * Math.pow(2, job.attempts - 1), SCHEDULED_RETRY_MAX_DELAY);
+        job.status = 'pending';
+        job.lastError = reason;
+        job.nextAttemptAt = now + delay;
+        await this.save();
+
+        logger.info('Message could not be sent, retrying', {
+            sessionId: job.sessionId,
+            scheduledId: job.id,
+            clientMessageId: job.clientMessageId || undefined,
+            reason: reason,
+            retryInMs: delay
+        });
+        return { status: 'pending' };
+    }
+
+    /**
+     * Mark a job sent or failed, drop its media and emit scheduled_sent/scheduled_failed
+     * (outbox_ack for queued sends)
+     * @param {Object} job - The job record
+     * @param {string} status - 'sent' or 'failed'
+     * @param {Object} result - { messageId, message, ack } when sent, { error } when failed
+     */
+    async finishJob(job, status, { messageId = null, message = null, ack = null, error = null } = {}) {
+        // Removed while the send was being attempted
+        if (!this.jobs.has(job.id)) {
+            return;
+        }
+
+        job.status = status;
+        job.completedAt = Date.now();
+        job.messageId = messageId;
+        if (error) {
+            job.lastError = error;
+        }
+
+        await this.removeMedia(job);
+        await this.save();
+
+        // Queued sends report like message_ack, so the client can match later acks by messageId
+        if (job.clientMessageId) {
+            logger.info(`Queued message ${status}`, { sessionId: job.sessionId, clientMessageId: job.clientMessageId, error: status === 'failed' ? job.lastError : undefined });
+            this.sessionManager.emitSessionEvent(job.sessionId, 'outbox_ack', {
+                clientMessageId: job.clientMessageId,
+                messageId: job.messageId,
+                chatId: job.chatId,
+                status: status,
+                ack: status === 'sent' ? (typeof ack === 'number' ? ack : 0) : -1,
+                error: status === 'failed' ? job.lastError : null,
+                attempts: job.attempts,
+                message: message,
+                timestamp: Date.now()
+            });
+            return;
+        }
+
+        if (status === 'sent') {
+            logger.info('Scheduled message sent', { sessionId: job.sessionId, scheduledId: job.id });
+            this.sessionManager.emitSessionEvent(job.sessionId, 'scheduled_sent', {
+                scheduled: this.describeJob(job),
+                message: message
+            });
+        } else {
+            logger.warn('Scheduled message failed', { sessionId: job.sessionId, scheduledId: job.id, error: job.lastError });
+            this.sessionManager.emitSessionEvent(job.sessionId, 'scheduled_failed', {
+                scheduled: this.describeJob(job),
+                error: job.lastError
+            });
+        }
+    }
+
+    /**
+     * Write all jobs to disk
+     * Writes to a temporary file first and renames it so a crash never leaves a truncated store
+     * @returns {Promise<void>}
+     */
+    save() {
+        const payload = JSON.stringify({
+            version: 1,
+            savedAt: Date.now(),
+            jobs: Array.from(this.jobs.values())
+        }, null, 2);
+
+        this.writeChain = this.writeChain.then(async () => {
+            const tmpPath = `${this.filePath}.tmp`;
+            try {
+                await fs.mkdir(this.storeDir, { recursive: true });
+                await fs.writeFile(tmpPath, payload, 'utf8');
+                await fs.rename(tmpPath, this.filePath);
+            } catch (error) {
+                logger.error('Failed to write scheduled message store', { path: this.filePath, err: error });
+            }
+        });
+
+        return this.writeChain;
+    }
+}
+
+module.exports = MessageScheduler;
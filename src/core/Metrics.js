@@ -0,0 +1,336 @@
+const {
+    METRICS_HTTP_BUCKETS,
+    METRICS_INIT_BUCKETS,
+    METRICS_CONVERSION_BUCKETS
+} = require('../config/constants');
+
+// Escape a label value for the Prometheus text format
+function escapeLabel(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/\n/g, '\\n')
+        .replace(/"/g, '\\"');
+}
+
+// Format a sample value; Prometheus spells infinities +Inf/-Inf
+function formatValue(value) {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+    if (value === -Infinity) {
+        return '-Inf';
+    }
+    return String(value);
+}
+
+// Render a label set as {a="1",b="2"} (empty string without labels)
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return '';
+    }
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// One metric with a value (or histogram state) per label combination
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+
+        // Serialized label values -> { labels, ...state }
+        this.series = new Map();
+    }
+
+    // Get or create the series for a label set; unknown labels are dropped, missing ones are empty
+    getSeries(labels, create) {
+        const picked = {};
+        for (const name of this.labelNames) {
+            picked[name] = labels[name] !== undefined && labels[name] !== null ? String(labels[name]) : '';
+        }
+
+        const key = JSON.stringify(picked);
+        let series = this.series.get(key);
+        if (!series) {
+            series = create(picked);
+            this.series.set(key, series);
+        }
+        return series;
+    }
+
+    // Drop all series, for gauges refilled on every scrape
+    reset() {
+        this.series.clear();
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        for (const series of this.series.values()) {
+            lines.push(...this.renderSeries(series));
+        }
+        return lines.join('\n');
+    }
+
+    renderSeries(series) {
+        return [`${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+
+        // Counters without labels are exported as 0 before the first increment
+        if (labelNames.length === 0) {
+            this.inc({}, 0);
+        }
+    }
+
+    inc(labels = {}, value = 1) {
+        this.getSeries(labels, (picked) => ({ labels: picked, value: 0 })).value += value;
+    }
+}
+
+// A counter whose total is kept elsewhere (e.g. process.cpuUsage()) and copied in on each scrape
+class SampledCounter extends Counter {
+    set(labels = {}, value) {
+        this.getSeries(labels, (picked) => ({ labels: picked, value: 0 })).value = value;
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, labelNames) {
+        super('gauge', name, help, labelNames);
+    }
+
+    set(labels = {}, value) {
+        this.getSeries(labels, (picked) => ({ labels: picked, value: 0 })).value = value;
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets) {
+        super('histogram', name, help, labelNames);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels = {}, value) {
+        const series = this.getSeries(labels, (picked) => ({
+            labels: picked,
+            counts: this.buckets.map(() => 0),
+            sum: 0,
+            count: 0
+        }));
+
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                series.counts[index]++;
+            }
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    /**
+     * Start timing something; call the returned function with its final labels to record the duration
+     * @param {Object} [labels] - Labels known up front
+     * @returns {Function} (extraLabels) => seconds elapsed
+     */
+    startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return (extraLabels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            this.observe({ ...labels, ...extraLabels }, seconds);
+            return seconds;
+        };
+    }
+
+    renderSeries(series) {
+        const lines = this.buckets.map((bound, index) =>
+            `${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[index]}`
+        );
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+        lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+        lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+        return lines;
+    }
+}
+
+// Metrics - Prometheus metrics for the server, rendered in the text exposition format by /metrics
+// Counters and histograms are updated where things happen; gauges (sessions, sockets, Chromium
+// memory) are filled in by the /metrics route on each scrape
+class Metrics {
+    constructor() {
+        this.metrics = [];
+
+        // Sessions and reconnection
+        this.sessions = this.gauge('whatsberry_sessions', 'Sessions by state', ['state']);
+        this.reconnectAttempts = this.counter('whatsberry_session_reconnect_attempts_total', 'Session reconnection attempts');
+        this.reconnectFailures = this.counter('whatsberry_session_reconnect_failures_total', 'Session reconnections that failed, including the fallback');
+        this.initializationDuration = this.histogram(
+            'whatsberry_session_initialization_duration_seconds',
+            'WhatsApp client initialization time by method (primary or fallback) and result',
+            ['method', 'result'],
+            METRICS_INIT_BUCKETS
+        );
+
+        // HTTP
+        this.httpRequestDuration = this.histogram(
+            'whatsberry_http_request_duration_seconds',
+            'HTTP request latency by route and status code',
+            ['method', 'route', 'status'],
+            METRICS_HTTP_BUCKETS
+        );
+        this.httpRequestErrors = this.counter(
+            'whatsberry_http_request_errors_total',
+            'HTTP responses with a 4xx or 5xx status by route',
+            ['method', 'route', 'status']
+        );
+
+        // Media conversion
+        this.conversions = this.counter(
+            'whatsberry_media_conversions_total',
+            'FFmpeg conversions by kind (mp3, image, video, voice_note) and result',
+            ['kind', 'result']
+        );
+        this.conversionDuration = this.histogram(
+            'whatsberry_media_conversion_duration_seconds',
+            'FFmpeg conversion time by kind',
+            ['kind'],
+            METRICS_CONVERSION_BUCKETS
+        );
+        this.conversionCacheLookups = this.counter(
+            'whatsberry_media_conversion_cache_lookups_total',
+            'Conversion cache lookups by result (hit or miss)',
+            ['result']
+        );
+        this.conversionCacheHitRatio = this.gauge(
+            'whatsberry_media_conversion_cache_hit_ratio',
+            'Share of conversion cache lookups that were hits since the server started'
+        );
+        this.conversionCacheEntries = this.gauge('whatsberry_media_conversion_cache_entries', 'Files in the conversion cache');
+
+        // WebSockets
+        this.websocketConnections = this.gauge('whatsberry_websocket_connections', 'Connected Socket.IO clients');
+        this.websocketConnectionsTotal = this.counter('whatsberry_websocket_connections_total', 'Socket.IO connections accepted');
+
+        // Chromium, per session
+        this.chromiumRss = this.gauge(
+            'whatsberry_session_chromium_rss_bytes',
+            'Resident memory of the session\'s Chromium processes (Linux only)',
+            ['session']
+        );
+        this.chromiumJsHeap = this.gauge(
+            'whatsberry_session_chromium_js_heap_bytes',
+            'JavaScript heap of the session\'s WhatsApp Web page by type (used or total)',
+            ['session', 'type']
+        );
+
+        // Server process
+        this.processRss = this.gauge('process_resident_memory_bytes', 'Resident memory size in bytes');
+        this.processHeap = this.gauge('nodejs_heap_size_used_bytes', 'Node.js heap used in bytes');
+        this.processCpu = this.sampledCounter('process_cpu_seconds_total', 'User and system CPU time spent in seconds');
+        this.processUptime = this.gauge('process_uptime_seconds', 'Seconds since the server started');
+
+        // Conversion cache lookups, for the hit ratio
+        this.cacheHits = 0;
+        this.cacheMisses = 0;
+    }
+
+    counter(name, help, labelNames = []) {
+        const metric = new Counter(name, help, labelNames);
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    sampledCounter(name, help, labelNames = []) {
+        const metric = new SampledCounter(name, help, labelNames);
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    gauge(name, help, labelNames = []) {
+        const metric = new Gauge(name, help, labelNames);
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        const metric = new Histogram(name, help, labelNames, buckets);
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    /**
+     * Record a conversion cache lookup
+     * @param {boolean} hit - Whether a cached file was found
+     */
+    recordCacheLookup(hit) {
+        this.conversionCacheLookups.inc({ result: hit ? 'hit' : 'miss' });
+        if (hit) {
+            this.cacheHits++;
+        } else {
+            this.cacheMisses++;
+        }
+    }
+
+    /**
+     * Start timing an FFmpeg conversion
+     * @param {string} kind - mp3, image, video or voice_note
+     * @returns {Function} (result) => void, records 'success' or 'failure'; later calls are ignored
+     */
+    startConversion(kind) {
+        const end = this.conversionDuration.startTimer({ kind: kind });
+        let recorded = false;
+
+        return (result) => {
+            if (recorded) {
+                return;
+            }
+            recorded = true;
+            end();
+            this.conversions.inc({ kind: kind, result: result });
+        };
+    }
+
+    /**
+     * Time an FFmpeg conversion and count its result
+     * @param {string} kind - mp3, image, video or voice_note
+     * @param {Promise} conversion - The running conversion
+     * @returns {Promise} The conversion's result
+     */
+    async timeConversion(kind, conversion) {
+        const finish = this.startConversion(kind);
+        try {
+            const result = await conversion;
+            finish('success');
+            return result;
+        } catch (error) {
+            finish('failure');
+            throw error;
+        }
+    }
+
+    // Update process metrics and the cache hit ratio
+    collectProcess() {
+        const memory = process.memoryUsage();
+        const cpu = process.cpuUsage();
+        const lookups = this.cacheHits + this.cacheMisses;
+
+        this.processRss.set({}, memory.rss);
+        this.processHeap.set({}, memory.heapUsed);
+        this.processCpu.set({}, (cpu.user + cpu.system) / 1e6);
+        this.processUptime.set({}, process.uptime());
+        this.conversionCacheHitRatio.set({}, lookups > 0 ? this.cacheHits / lookups : 0);
+    }
+
+    // All metrics in the Prometheus text exposition format
+    render() {
+        this.collectProcess();
+        return this.metrics.map(metric => metric.render()).join('\n') + '\n';
+    }
+}
+
+module.exports = Metrics;
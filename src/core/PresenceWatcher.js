@@ -0,0 +1,109 @@
+// Chat states reported by WhatsApp Web, mapped to the states clients receive
+const CHATSTATES = {
+    typing: 'typing',
+    recording_audio: 'recording'
+};
+
+// PresenceWatcher - Forwards contacts' online, typing and recording state from WhatsApp Web
+// whatsapp-web.js can send chat states but emits nothing for incoming ones, so listeners are
+// installed on WhatsApp Web's own presence collection
+class PresenceWatcher {
+    /**
+     * @param {Client} client - The whatsapp-web.js client
+     * @param {Function} onUpdate - Called with each formatted presence update
+     */
+    constructor(client, onUpdate) {
+        this.client = client;
+        this.onUpdate = onUpdate;
+    }
+
+    /**
+     * Format a raw in-page presence change for clients
+     * @param {Object} raw - { chatId, participant, isOnline, chatstate, lastSeen }
+     * @returns {Object} { chatId, participant, state, isOnline, lastSeen }
+     */
+    static formatPresence(raw) {
+        const state = CHATSTATES[raw.chatstate] || (raw.isOnline ? 'online' : 'offline');
+
+        return {
+            chatId: raw.chatId,
+            // Set for group chats: the member who is typing or recording
+            participant: raw.participant || null,
+            state: state,
+            isOnline: state !== 'offline',
+            // Only known when the contact shares it and is offline (seconds)
+            lastSeen: state === 'offline' && raw.lastSeen ? raw.lastSeen : null
+        };
+    }
+
+    /**
+     * Install the in-page presence listeners
+     * Safe to call repeatedly: listeners are only added once per page load
+     */
+    async start() {
+        const page = this.client.pupPage;
+
+        // The exposed binding survives page reloads, the listeners below do not
+        const isExposed = await page.evaluate(() => !!window.onPresenceUpdateEvent);
+        if (!isExposed) {
+            await page.exposeFunction('onPresenceUpdateEvent', (raw) => {
+                this.onUpdate(PresenceWatcher.formatPresence(raw));
+            });
+        }
+
+        await page.evaluate(() => {
+            if (window.PresenceWatcher) {
+                return;
+            }
+
+            const PresenceCollection = window.require('WAWebPresenceCollection').PresenceCollection;
+
+            const serialize = (presence, chatstate) => ({
+                chatId: presence.id._serialized,
+                participant: presence.id.server === 'g.us' && chatstate && chatstate.id ? chatstate.id._serialized : null,
+                isOnline: !!presence.isOnline,
+                chatstate: chatstate ? chatstate.type : null,
+                lastSeen: chatstate && chatstate.t ? chatstate.t : null
+            });
+
+            window.PresenceWatcher = { PresenceCollection, serialize };
+
+            PresenceCollection.on('change:isOnline change:chatstate.type', (presence) => {
+                window.onPresenceUpdateEvent(serialize(presence, presence.chatstate));
+            });
+        });
+    }
+
+    /**
+     * Subscribe to a contact's or group's presence
+     * WhatsApp only pushes presence for chats subscribed to since the last connection,
+     * so clients call this when a chat is opened
+     * @param {string} chatId - Contact (@c.us / @lid) or group (@g.us) ID
+     * @returns {Promise<Object>} The current presence, formatted like updates
+     */
+    async subscribe(chatId) {
+        await this.start();
+
+        const raw = await this.client.pupPage.evaluate(async (chatId) => {
+            const { PresenceCollection, serialize } = window.PresenceWatcher;
+            const wid = window.Store.WidFactory.createWid(chatId);
+
+            const presence = PresenceCollection.get(wid) || await PresenceCollection.find(wid);
+            await presence.subscribe();
+
+            // Group members each have their own chat state
+            if (presence.id.server === 'g.us' && presence.chatstates && !presence.presenceWatcherAttached) {
+                presence.presenceWatcherAttached = true;
+                presence.chatstates.on('add change:type', (chatstate) => {
+                    window.onPresenceUpdateEvent(serialize(presence, chatstate));
+                });
+            }
+
+            return serialize(presence, presence.chatstate);
+        }, chatId);
+
+        return PresenceWatcher.formatPresence(raw);
+    }
+}
+
+module.exports = PresenceWatcher;
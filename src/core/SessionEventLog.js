@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const { EVENT_LOG_MAX_EVENTS } = require('../config/constants');
+
+// SessionEventLog - Bounded per-session log of emitted events for replay after reconnects
+class SessionEventLog {
+    constructor(maxEvents = EVENT_LOG_MAX_EVENTS) {
+        // sessionId -> { epoch, lastSeq, events: [{ seq, event, payload, timestamp }] }
+        this.logs = new Map();
+        this.maxEvents = maxEvents;
+    }
+
+    // Create an empty log; the epoch changes whenever sequence numbers restart (new log or server restart)
+    emptyLog() {
+        return {
+            epoch: crypto.randomBytes(4).toString('hex'),
+            lastSeq: 0,
+            events: []
+        };
+    }
+
+    // Get or create the log for a session
+    getLog(sessionId) {
+        let log = this.logs.get(sessionId);
+        if (!log) {
+            log = this.emptyLog();
+            this.logs.set(sessionId, log);
+        }
+        return log;
+    }
+
+    /**
+     * Append an event to a session's log
+     * @param {string} sessionId - The session ID
+     * @param {string} event - Socket event name
+     * @param {Object} payload - Event payload
+     * @returns {number} The sequence number assigned to the event
+     */
+    append(sessionId, event, payload) {
+        const log = this.getLog(sessionId);
+        const seq = ++log.lastSeq;
+
+        log.events.push({ seq, event, payload, timestamp: Date.now() });
+
+        // Drop the oldest events once the log is full
+        if (log.events.length > this.maxEvents) {
+            log.events.splice(0, log.events.length - this.maxEvents);
+        }
+
+        return seq;
+    }
+
+    /**
+     * Get events logged after a given sequence number
+     * @param {string} sessionId - The session ID
+     * @param {number} lastSeq - Last sequence number the client received
+     * @param {string} [epoch] - Epoch the client's lastSeq belongs to
+     * @returns {Object} { events, epoch, lastSeq, truncated, reset }
+     * truncated is true when events after lastSeq were already dropped from the log,
+     * reset is true when the epoch changed and sequence numbers restarted
+     */
+    getSince(sessionId, lastSeq, epoch = null) {
+        const log = this.logs.get(sessionId) || this.emptyLog();
+        const reset = (epoch && epoch !== log.epoch) || lastSeq > log.lastSeq;
+        const fromSeq = reset ? 0 : lastSeq;
+
+        const events = log.events.filter(entry => entry.seq > fromSeq);
+        const oldestSeq = log.events.length > 0 ? log.events[0].seq : log.lastSeq + 1;
+
+        return {
+            events: events,
+            epoch: log.epoch,
+            lastSeq: log.lastSeq,
+            truncated: oldestSeq > fromSeq + 1,
+            reset: Boolean(reset)
+        };
+    }
+
+    /**
+     * Get the current position of a session's log
+     * @param {string} sessionId - The session ID
+     * @returns {Object} { epoch, lastSeq }
+     */
+    getPosition(sessionId) {
+        const log = this.getLog(sessionId);
+        return { epoch: log.epoch, lastSeq: log.lastSeq };
+    }
+
+    /**
+     * Remove a session's log
+     * @param {string} sessionId - The session ID
+     */
+    clear(sessionId) {
+        this.logs.delete(sessionId);
+    }
+}
+
+module.exports = SessionEventLog;
@@ -2,14 +2,32 @@ const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
+const SessionStore = require('./SessionStore');
+const SessionEventLog = require('./SessionEventLog');
+const WebhookDispatcher = require('./WebhookDispatcher');
+const UploadManager = require('./UploadManager');
+const MessageArchive = require('./MessageArchive');
+const ExportManager = require('./ExportManager');
+const MessageScheduler = require('./MessageScheduler');
+const Metrics = require('./Metrics');
+const Logger = require('./Logger');
 const {
     SESSION_TIMEOUT,
-    UNFINISHED_SESSION_TIMEOUT
+    UNFINISHED_SESSION_TIMEOUT,
+    SESSION_PERSIST_DEBOUNCE,
+    MESSAGE_HISTORY_MAX_FETCH,
+    REPLAYABLE_EVENTS,
+    WEBHOOK_EVENTS
 } = require('../config/constants');
 
+const logger = Logger.forModule('session');
+
+// Session IDs are UUIDs; anything else read from disk is never used as a path
+const VALID_SESSION_ID = /^[A-Za-z0-9_-]+$/;
+
 // SessionManager - Manages WhatsApp Web sessions
 class SessionManager {
-    constructor(io = null) {
+    constructor(io = null, storePath = null) {
         // Store multiple client sessions
         // sessionId -> { client, isReady, qrCode, userId, lastActivity, ... }
         this.sessions = new Map();
@@ -28,6 +46,32 @@ class SessionManager {
 
         // Socket.io instance for emitting events
         this.io = io;
+
+        // Durable session metadata store (LocalAuth data lives in dataDir/<sessionId>)
+        this.dataDir = path.join(__dirname, '../data');
+        this.store = new SessionStore(storePath || path.join(this.dataDir, 'sessions.json'));
+        this.persistTimer = null;
+
+        // Prometheus metrics, served by /metrics
+        this.metrics = new Metrics();
+
+        // Replay log for events missed while a device was offline
+        this.eventLog = new SessionEventLog();
+
+        // Outbound webhook deliveries
+        this.webhooks = new WebhookDispatcher();
+
+        // Chunked media uploads waiting to be sent
+        this.uploads = new UploadManager(path.join(this.dataDir, 'uploads'));
+
+        // Local copy of every formatted message, for search and offline history (stored in dataDir/<sessionId>)
+        this.archive = new MessageArchive(this.dataDir);
+
+        // Chat export ZIPs being built or waiting to be downloaded
+        this.exports = new ExportManager(this, path.join(this.dataDir, 'exports'));
+
+        // Messages scheduled to be sent later (persisted in dataDir/scheduled, started by the server)
+        this.scheduler = new MessageScheduler(this, path.join(this.dataDir, 'scheduled'));
     }
 
     /**
@@ -38,6 +82,60 @@ class SessionManager {
         this.io = io;
     }
 
+    /**
+     * Emit an event to all sockets in a session room
+     * Replayable events are assigned a sequence number and recorded in the session's event log,
+     * webhook events are also POSTed to the session's webhook if one is configured
+     * @param {string} sessionId - The session ID
+     * @param {string} event - Socket event name
+     * @param {*} payload - Event payload
+     */
+    emitSessionEvent(sessionId, event, payload) {
+        let eventPayload = payload;
+
+        if (REPLAYABLE_EVENTS.includes(event)) {
+            const seq = this.eventLog.append(sessionId, event, payload);
+            eventPayload = { ...payload, seq };
+        }
+
+        if (this.io) {
+            this.io.to(`session_${sessionId}`).emit(event, eventPayload);
+        }
+
+        const session = this.sessions.get(sessionId);
+        if (session && session.webhook && WEBHOOK_EVENTS.includes(event)) {
+            this.webhooks.dispatch(sessionId, session.webhook, event, eventPayload);
+        }
+    }
+
+    /**
+     * Replay logged events a socket missed since lastSeq
+     * Events are emitted to the socket under their original names, followed by replay_complete
+     * @param {Object} socket - The Socket.IO socket to replay to
+     * @param {string} sessionId - The session ID
+     * @param {number} lastSeq - Last sequence number the socket received
+     * @param {string} [epoch] - Epoch the lastSeq belongs to
+     * @returns {number} Number of events replayed
+     */
+    replaySessionEvents(socket, sessionId, lastSeq, epoch = null) {
+        const replay = this.eventLog.getSince(sessionId, lastSeq, epoch);
+
+        for (const entry of replay.events) {
+            socket.emit(entry.event, { ...entry.payload, seq: entry.seq, replayed: true });
+        }
+
+        socket.emit('replay_complete', {
+            sessionId: sessionId,
+            epoch: replay.epoch,
+            lastSeq: replay.lastSeq,
+            replayed: replay.events.length,
+            truncated: replay.truncated,
+            reset: replay.reset
+        });
+
+        return replay.events.length;
+    }
+
     /**
      * Generate a unique session ID using UUID v4
      * @returns {string} A unique session identifier
@@ -57,12 +155,58 @@ class SessionManager {
         return crypto.createHash('sha256').update(data).digest('hex').substring(0, 16);
     }
 
+    /**
+     * Issue a new secret token for a session, replacing any previous one
+     * Only a SHA-256 hash of the token is kept on the session
+     * @param {string} sessionId - The session ID
+     * @returns {string|null} The raw token to hand to the client, or null if the session does not exist
+     */
+    issueSessionToken(sessionId) {
+        const session = this.sessions.get(sessionId);
+        if (!session) {
+            return null;
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        session.tokenHash = this.hashSessionToken(token);
+        this.schedulePersist();
+
+        return token;
+    }
+
+    /**
+     * Verify a session token against the session it was issued for
+     * @param {string} sessionId - The session ID
+     * @param {string} token - The raw token presented by the client
+     * @returns {boolean} True if the token belongs to the session
+     */
+    verifySessionToken(sessionId, token) {
+        const session = this.sessions.get(sessionId);
+        if (!session || !session.tokenHash || typeof token !== 'string') {
+            return false;
+        }
+
+        const expected = Buffer.from(session.tokenHash, 'hex');
+        const actual = Buffer.from(this.hashSessionToken(token), 'hex');
+        return crypto.timingSafeEqual(expected, actual);
+    }
+
+    // Hash a session token for storage and comparison
+    hashSessionToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
     /// Clean up inactive sessions
     cleanupInactiveSessions() {
         const now = Date.now();
         for (const [sessionId, session] of this.sessions.entries()) {
             if (now - session.lastActivity > this.sessionTimeout) {
-                console.log(`Cleaning up inactive session: ${sessionId}`);
+                // Destroying the session would drop its scheduled and queued messages unsent
+                if (this.scheduler.hasPendingJobs(sessionId)) {
+                    logger.debug('Keeping inactive session with pending scheduled messages', { sessionId: sessionId, userId: session.userId });
+                    continue;
+                }
+                logger.info('Cleaning up inactive session', { sessionId: sessionId, userId: session.userId });
                 this.destroySession(sessionId);
             }
         }
@@ -76,20 +220,24 @@ class SessionManager {
         for (const [sessionId, session] of this.sessions.entries()) {
             // Only cleanup sessions that are not ready and not authenticated
             if (!session.isReady && !session.isAuthenticated && (now - session.lastActivity > this.unfinishedSessionTimeout)) {
-                console.log(`🧹 Cleaning up unfinished session: ${sessionId} (inactive for ${Math.round((now - session.lastActivity) / 1000 / 60)} minutes)`);
+                logger.info('Cleaning up unfinished session', {
+                    sessionId: sessionId,
+                    userId: session.userId,
+                    inactiveMinutes: Math.round((now - session.lastActivity) / 1000 / 60)
+                });
                 this.destroySession(sessionId);
                 cleanedCount++;
             }
         }
 
         if (cleanedCount > 0) {
-            console.log(`🧹 Cleaned up ${cleanedCount} unfinished session(s)`);
+            logger.info('Cleaned up unfinished sessions', { count: cleanedCount });
         }
     }
 
     // Check session health and reconnect if needed
     async checkSessionHealth() {
-        console.log(`Checking health of ${this.sessions.size} sessions...`);
+        logger.debug('Checking session health', { sessions: this.sessions.size });
 
         for (const [sessionId, session] of this.sessions.entries()) {
             try {
@@ -97,7 +245,7 @@ class SessionManager {
                 const { userId } = session;
                 const currentUserSessionId = this.userSessions.get(userId);
                 if (currentUserSessionId !== sessionId) {
-                    console.log(`Skipping health check for old session ${sessionId} (user has newer session)`);
+                    logger.debug('Skipping health check for old session, user has a newer session', { sessionId: sessionId, userId: userId });
                     continue;
                 }
 
@@ -109,7 +257,7 @@ class SessionManager {
 
                 // Check if client exists and is ready
                 if (!session.client || !session.isReady) {
-                    console.log(`Session ${sessionId} not ready, attempting reconnection...`);
+                    logger.info('Session not ready, attempting reconnection', { sessionId: sessionId, userId: userId });
                     await this.reconnectSession(sessionId);
                     continue;
                 }
@@ -124,15 +272,15 @@ class SessionManager {
                     ]);
 
                     const state = await testPromise;
-                    console.log(`Session ${sessionId} health check passed, state: ${state}`);
+                    logger.debug('Session health check passed', { sessionId: sessionId, userId: userId, state: state });
 
                 } catch (healthError) {
-                    console.log(`Session ${sessionId} failed health check: ${healthError.message}`);
+                    logger.warn('Session failed health check', { sessionId: sessionId, userId: userId, err: healthError });
                     await this.reconnectSession(sessionId);
                 }
 
             } catch (error) {
-                console.error(`Error checking session ${sessionId} health:`, error.message);
+                logger.error('Error checking session health', { sessionId: sessionId, err: error });
                 await this.reconnectSession(sessionId);
             }
         }
@@ -160,7 +308,7 @@ class SessionManager {
             await Promise.race([statePromise, timeoutPromise]);
             return true;
         } catch (error) {
-            console.log(`Session ${sessionId} health check failed: ${error.message}`);
+            logger.warn('Session health check failed', { sessionId: sessionId, userId: session.userId, err: error });
             return false;
         }
     }
@@ -169,24 +317,28 @@ class SessionManager {
      * Reconnect a disconnected session
      * Attempts to reinitialize a session that has become unhealthy
      * @param {string} sessionId - The session ID to reconnect
-     * @param {Function} initializeClient - Callback function to reinitialize the client
-     * @param {Function} initializeClientFallback - Fallback callback if primary initialization fails
+     * @param {Function} [initializeClient] - Callback function to reinitialize the client
+     * (defaults to the server's initializeClient bound onto the session manager)
+     * @param {Function} [initializeClientFallback] - Fallback callback if primary initialization fails
      */
-    async reconnectSession(sessionId, initializeClient = null, initializeClientFallback = null) {
+    async reconnectSession(sessionId, initializeClient = this.initializeClient, initializeClientFallback = this.initializeClientFallback) {
         const session = this.sessions.get(sessionId);
         if (!session) {
-            console.log(`Session ${sessionId} not found for reconnection`);
+            logger.warn('Session not found for reconnection', { sessionId: sessionId });
             return;
         }
 
+        const log = logger.child({ sessionId: sessionId, userId: session.userId });
+
         // Prevent duplicate reconnections
         if (session.reconnecting) {
-            console.log(`Session ${sessionId} is already reconnecting, skipping...`);
+            log.debug('Session is already reconnecting, skipping');
             return;
         }
 
-        console.log(`Attempting to reconnect session: ${sessionId}`);
+        log.info('Attempting to reconnect session');
         session.reconnecting = true;
+        this.metrics.reconnectAttempts.inc();
 
         try {
             // Clean up existing client if it exists
@@ -194,7 +346,7 @@ class SessionManager {
                 try {
                     await session.client.destroy();
                 } catch (destroyError) {
-                    console.log(`Error destroying old client for ${sessionId}: ${destroyError.message}`);
+                    log.warn('Error destroying old client', { err: destroyError });
                 }
             }
 
@@ -203,6 +355,7 @@ class SessionManager {
             session.isReady = false;
             session.isAuthenticated = false;
             session.qrCode = null;
+            session.pairingCode = null;
 
             // Notify clients about reconnection
             if (this.io) {
@@ -215,24 +368,25 @@ class SessionManager {
             // Attempt to reinitialize the client
             if (initializeClient) {
                 await initializeClient(sessionId);
-                console.log(`Session ${sessionId} reconnected successfully`);
+                log.info('Session reconnected');
                 session.reconnecting = false;
             } else {
-                console.log(`No initializeClient function provided for session ${sessionId}`);
+                log.warn('No initializeClient function provided, session left disconnected');
                 session.reconnecting = false;
             }
 
         } catch (reconnectError) {
-            console.error(`Failed to reconnect session ${sessionId}:`, reconnectError.message);
+            log.error('Failed to reconnect session', { err: reconnectError });
 
             // If reconnection fails, try fallback method
             if (initializeClientFallback) {
                 try {
                     await initializeClientFallback(sessionId);
-                    console.log(`Session ${sessionId} reconnected using fallback method`);
+                    log.info('Session reconnected using fallback method');
                     session.reconnecting = false;
                 } catch (fallbackError) {
-                    console.error(`Fallback reconnection also failed for ${sessionId}:`, fallbackError.message);
+                    log.error('Fallback reconnection also failed', { err: fallbackError });
+                    this.metrics.reconnectFailures.inc();
 
                     // Emit error to clients
                     if (this.io) {
@@ -247,6 +401,7 @@ class SessionManager {
                 }
             } else {
                 // No fallback available
+                this.metrics.reconnectFailures.inc();
                 if (this.io) {
                     this.io.to(`session_${sessionId}`).emit('reconnection_failed', {
                         sessionId,
@@ -272,23 +427,32 @@ class SessionManager {
                 }
 
                 this.sessions.delete(sessionId);
-                this.userSessions.delete(session.userId);
+                this.eventLog.clear(sessionId);
+                this.webhooks.clear(sessionId);
+                this.uploads.clearSession(sessionId).catch(err => {
+                    logger.error('Failed to remove uploads', { sessionId: sessionId, err: err });
+                });
+                this.archive.clearSession(sessionId);
+                this.exports.clearSession(sessionId).catch(err => {
+                    logger.error('Failed to remove exports', { sessionId: sessionId, err: err });
+                });
+                this.scheduler.clearSession(sessionId).catch(err => {
+                    logger.error('Failed to remove scheduled messages', { sessionId: sessionId, err: err });
+                });
+                if (this.userSessions.get(session.userId) === sessionId) {
+                    this.userSessions.delete(session.userId);
+                }
+                this.schedulePersist();
 
                 // Delete session data folder from disk
-                const sessionPath = path.join(__dirname, '../data', sessionId);
-                try {
-                    await fs.rm(sessionPath, { recursive: true, force: true });
-                    console.log(`Deleted session data folder: ${sessionPath}`);
-                } catch (fsError) {
-                    console.log(`Could not delete session folder ${sessionPath}: ${fsError.message}`);
-                }
+                await this.removeSessionData(sessionId);
 
                 // Emit session destroyed event
                 if (this.io) {
                     this.io.to(`session_${sessionId}`).emit('session_destroyed');
                 }
             } catch (error) {
-                console.error(`Error destroying session ${sessionId}:`, error);
+                logger.error('Error destroying session', { sessionId: sessionId, err: error });
             }
         }
     }
@@ -303,13 +467,17 @@ class SessionManager {
     getOrCreateSession(userId, deviceInfo) {
         // Check if user already has an active session
         const existingSessionId = this.userSessions.get(userId);
+        let webhook = null;
         if (existingSessionId && this.sessions.has(existingSessionId)) {
             const session = this.sessions.get(existingSessionId);
 
+            // The device's webhook carries over to its new session
+            webhook = session.webhook || null;
+
             // Clean up old session if it exists and create a new one
-            console.log(`User ${userId} has existing session ${existingSessionId}, cleaning it up to create fresh session`);
+            logger.info('User has an existing session, cleaning it up to create a fresh one', { sessionId: existingSessionId, userId: userId });
             this.destroySession(existingSessionId).catch(err => {
-                console.error(`Failed to cleanup old session: ${err.message}`);
+                logger.error('Failed to clean up old session', { sessionId: existingSessionId, userId: userId, err: err });
             });
 
             // Remove the old mapping
@@ -323,20 +491,304 @@ class SessionManager {
             isReady: false,
             isAuthenticated: false,
             qrCode: null,
+            pairingCode: null,
+            pairingPhoneNumber: null,
             userId: userId,
             deviceInfo: deviceInfo,
             lastActivity: Date.now(),
             phoneNumber: null,
+            tokenHash: null,
+            webhook: webhook,
             reconnecting: false
         };
 
         this.sessions.set(sessionId, session);
         this.userSessions.set(userId, sessionId);
+        this.schedulePersist();
 
-        console.log(`Created new session ${sessionId} for user ${userId}`);
+        logger.info('Created new session', { sessionId: sessionId, userId: userId });
         return sessionId;
     }
 
+    /**
+     * Build the persisted record for a session
+     * Only durable metadata is stored - clients, QR codes and flags are rebuilt at runtime
+     * @param {string} sessionId - The session ID
+     * @param {Object} session - The session object
+     * @returns {Object} Serializable session record
+     */
+    serializeSession(sessionId, session) {
+        return {
+            sessionId: sessionId,
+            userId: session.userId,
+            deviceInfo: session.deviceInfo,
+            phoneNumber: session.phoneNumber,
+            lastActivity: session.lastActivity,
+            isAuthenticated: session.isAuthenticated,
+            tokenHash: session.tokenHash || null,
+            webhook: session.webhook || null
+        };
+    }
+
+    /**
+     * Write metadata for all sessions to the session store
+     * @returns {Promise<void>}
+     */
+    async persistSessions() {
+        if (this.persistTimer) {
+            clearTimeout(this.persistTimer);
+            this.persistTimer = null;
+        }
+
+        const records = Array.from(this.sessions.entries())
+            .map(([sessionId, session]) => this.serializeSession(sessionId, session));
+
+        await this.store.save(records);
+    }
+
+    /**
+     * Schedule a debounced persist so bursts of lifecycle changes result in a single write
+     */
+    schedulePersist() {
+        if (this.persistTimer) {
+            return;
+        }
+
+        this.persistTimer = setTimeout(() => {
+            this.persistTimer = null;
+            this.persistSessions().catch(err => {
+                logger.error('Failed to persist sessions', { err: err });
+            });
+        }, SESSION_PERSIST_DEBOUNCE);
+    }
+
+    // Delete a session's data folder (LocalAuth data) from disk
+    async removeSessionData(sessionId) {
+        const sessionPath = path.join(this.dataDir, sessionId);
+        try {
+            await fs.rm(sessionPath, { recursive: true, force: true });
+            logger.info('Deleted session data folder', { sessionId: sessionId, path: sessionPath });
+        } catch (fsError) {
+            logger.warn('Could not delete session data folder', { sessionId: sessionId, path: sessionPath, err: fsError });
+        }
+    }
+
+    /**
+     * Check whether LocalAuth data exists on disk for a session
+     * @param {string} sessionId - The session ID
+     * @returns {Promise<boolean>} True if the session's auth directory contains data
+     */
+    async hasAuthData(sessionId) {
+        const authDir = path.join(this.dataDir, sessionId, `session-${sessionId}`);
+        try {
+            const files = await fs.readdir(authDir);
+            return files.length > 0;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Restore sessions persisted by a previous server run
+     * Re-hydrates session metadata and re-initializes clients that have valid auth data on disk,
+     * one at a time to avoid launching every browser at once
+     * @returns {Promise<number>} Number of sessions restored
+     */
+    async restoreSessions() {
+        const records = await this.store.load();
+        if (records.length === 0) {
+            return 0;
+        }
+
+        logger.info('Restoring persisted sessions', { count: records.length });
+
+        const now = Date.now();
+        const restoredIds = [];
+
+        // Sessions whose records are dropped; their data folders would otherwise stay on disk forever
+        const droppedIds = [];
+
+        for (const record of records) {
+            const { sessionId, userId } = record;
+
+            // Records with a malformed ID are dropped without touching the disk
+            if (!sessionId || !VALID_SESSION_ID.test(sessionId) || this.sessions.has(sessionId)) {
+                continue;
+            }
+
+            if (!userId) {
+                droppedIds.push(sessionId);
+                continue;
+            }
+
+            if (!record.isAuthenticated || !(await this.hasAuthData(sessionId))) {
+                logger.info('Skipping restored session, no valid auth data on disk', { sessionId: sessionId, userId: userId });
+                droppedIds.push(sessionId);
+                continue;
+            }
+
+            if (now - (record.lastActivity || 0) > this.sessionTimeout) {
+                logger.info('Skipping restored session, inactive longer than session timeout', { sessionId: sessionId, userId: userId });
+                droppedIds.push(sessionId);
+                continue;
+            }
+
+            // Keep only the most recent session per user
+            const existingSessionId = this.userSessions.get(userId);
+            if (existingSessionId) {
+                const existing = this.sessions.get(existingSessionId);
+                const restoredIndex = restoredIds.indexOf(existingSessionId);
+                if (restoredIndex === -1 || existing.lastActivity >= record.lastActivity) {
+                    droppedIds.push(sessionId);
+                    continue;
+                }
+                this.sessions.delete(existingSessionId);
+                restoredIds.splice(restoredIndex, 1);
+                droppedIds.push(existingSessionId);
+            }
+
+            this.sessions.set(sessionId, {
+                client: null,
+                isReady: false,
+                isAuthenticated: true,
+                qrCode: null,
+                pairingCode: null,
+                pairingPhoneNumber: null,
+                userId: userId,
+                deviceInfo: record.deviceInfo || null,
+                lastActivity: record.lastActivity || now,
+                phoneNumber: record.phoneNumber || null,
+                tokenHash: record.tokenHash || null,
+                webhook: record.webhook || null,
+                reconnecting: false
+            });
+            this.userSessions.set(userId, sessionId);
+            restoredIds.push(sessionId);
+        }
+
+        // Drop records that were not restored, along with their data folders
+        await this.persistSessions();
+        for (const sessionId of droppedIds) {
+            await this.removeSessionData(sessionId);
+        }
+
+        if (!this.initializeClient) {
+            logger.info('No initializeClient function attached, restored sessions will start on demand');
+            return restoredIds.length;
+        }
+
+        for (const sessionId of restoredIds) {
+            const session = this.sessions.get(sessionId);
+            if (!session || session.client) {
+                continue;
+            }
+
+            try {
+                logger.info('Re-initializing restored session', { sessionId: sessionId, userId: session.userId });
+                await this.initializeClient(sessionId);
+            } catch (error) {
+                logger.error('Failed to re-initialize restored session', { sessionId: sessionId, userId: session.userId, err: error });
+            }
+        }
+
+        logger.info('Restored sessions', { count: restoredIds.length });
+        return restoredIds.length;
+    }
+
+    /**
+     * Close all clients without deleting their auth data, then persist metadata
+     * Used on server shutdown so sessions can be restored on the next start
+     * @returns {Promise<void>}
+     */
+    async shutdownSessions() {
+        await this.persistSessions();
+        this.webhooks.shutdown();
+
+        await Promise.all(Array.from(this.sessions.entries()).map(async ([sessionId, session]) => {
+            if (!session.client) {
+                return;
+            }
+            try {
+                await session.client.destroy();
+            } catch (error) {
+                logger.warn('Error closing client', { sessionId: sessionId, err: error });
+            }
+            session.client = null;
+            session.isReady = false;
+        }));
+    }
+
+    /**
+     * Fetch a page of chat history relative to a message ID cursor
+     * WhatsApp Web can only load the latest N messages, so the window is grown until the
+     * cursor is found with enough messages around it (or the start of the chat is reached)
+     * @param {Object} chat - The WhatsApp chat object
+     * @param {Object} options - Paging options
+     * @param {number} options.limit - Number of messages to return
+     * @param {string} [options.before] - Return messages older than this message ID
+     * @param {string} [options.after] - Return messages newer than this message ID
+     * @returns {Promise<Object>} { messages, nextCursor, hasMore } with messages oldest first,
+     * or { cursorNotFound: true } if the cursor is not within the loadable history
+     */
+    async fetchMessagesPage(chat, { limit, before = null, after = null }) {
+        const cursor = before || after;
+
+        // Latest messages, no cursor
+        if (!cursor) {
+            const messages = await chat.fetchMessages({ limit: limit + 1 });
+            const hasMore = messages.length > limit;
+            const page = messages.slice(-limit);
+            return {
+                messages: page,
+                nextCursor: hasMore && page.length > 0 ? page[0].id._serialized : null,
+                hasMore: hasMore
+            };
+        }
+
+        let windowSize = limit * 2;
+        let messages = [];
+        let cursorIndex = -1;
+        let reachedStart = false;
+
+        while (true) {
+            messages = await chat.fetchMessages({ limit: windowSize });
+            reachedStart = messages.length < windowSize;
+            cursorIndex = messages.findIndex(msg => msg.id._serialized === cursor);
+
+            // Paging backwards needs `limit` messages (plus one to detect more) before the cursor
+            const enoughLoaded = cursorIndex !== -1 && (after || cursorIndex > limit);
+
+            if (enoughLoaded || reachedStart || windowSize >= MESSAGE_HISTORY_MAX_FETCH) {
+                break;
+            }
+
+            windowSize = Math.min(windowSize * 2, MESSAGE_HISTORY_MAX_FETCH);
+        }
+
+        if (cursorIndex === -1) {
+            return { cursorNotFound: true, messages: [], nextCursor: null, hasMore: false };
+        }
+
+        if (before) {
+            const start = Math.max(0, cursorIndex - limit);
+            const page = messages.slice(start, cursorIndex);
+            const hasMore = start > 0 || !reachedStart;
+            return {
+                messages: page,
+                nextCursor: hasMore && page.length > 0 ? page[0].id._serialized : null,
+                hasMore: hasMore
+            };
+        }
+
+        const page = messages.slice(cursorIndex + 1, cursorIndex + 1 + limit);
+        const hasMore = cursorIndex + 1 + limit < messages.length;
+        return {
+            messages: page,
+            nextCursor: page.length > 0 ? page[page.length - 1].id._serialized : cursor,
+            hasMore: hasMore
+        };
+    }
+
     /**
      * Format a WhatsApp message object for API responses
      * Extracts and structures message data including media, contacts, and quoted messages
@@ -383,7 +835,7 @@ class SessionManager {
                             filename: media.filename || `media_${Date.now()}`
                         };
                     } catch (error) {
-                        console.error('Error downloading media:', error);
+                        logger.error('Error downloading media', { sessionId: sessionId, err: error });
                     }
                 }
             }
@@ -487,6 +939,13 @@ class SessionManager {
                 // vCards
                 vCards: message.vCards || [],
 
+                // Poll (options are referenced by id in vote_update events)
+                poll: message.type === 'poll_creation' ? {
+                    name: message.pollName,
+                    options: (message.pollOptions || []).map(option => ({ id: option.localId, name: option.name })),
+                    allowMultipleAnswers: message.allowMultipleAnswers || false
+                } : null,
+
                 // Invite data
                 inviteV4: message.inviteV4 || null,
 
@@ -498,7 +957,79 @@ class SessionManager {
                 } : null
             };
         } catch (error) {
-            console.error('Error formatting message:', error);
+            logger.error('Error formatting message', { sessionId: sessionId, err: error });
+            return null;
+        }
+    }
+
+    /**
+     * Format a group notification (join, leave, admin change or settings update) for clients
+     * Participant names are resolved and a ready-made system line is included, e.g. "Alice added Bob"
+     * @param {Object} notification - The whatsapp-web.js GroupNotification
+     * @returns {Promise<Object|null>} Formatted notification or null on error
+     */
+    async formatGroupNotification(notification) {
+        try {
+            const client = notification.client;
+            const ownId = client && client.info && client.info.wid ? client.info.wid._serialized : null;
+            const toId = (id) => (id && typeof id === 'object') ? id._serialized : id;
+
+            const author = toId(notification.author) || null;
+            const recipientIds = (notification.recipientIds || []).map(toId);
+
+            // Resolve a display name with the same short timeout formatMessage uses for contacts
+            const getName = async (id) => {
+                if (id === ownId) {
+                    return 'You';
+                }
+                try {
+                    const contact = await Promise.race([
+                        client.getContactById(id),
+                        new Promise((_, reject) =>
+                            setTimeout(() => reject(new Error('Contact timeout')), 500)
+                        )
+                    ]);
+                    return contact.name || contact.pushname || contact.verifiedName || contact.number || id.split('@')[0];
+                } catch (error) {
+                    return id.split('@')[0];
+                }
+            };
+
+            const authorName = author ? await getName(author) : null;
+            const recipientNames = await Promise.all(recipientIds.map(getName));
+
+            const who = authorName || 'Someone';
+            const whom = recipientNames.length > 0 ? recipientNames.join(', ') : 'someone';
+            const texts = {
+                add: author && !recipientIds.includes(author) ? `${who} added ${whom}` : `${whom} joined`,
+                invite: `${whom} joined using this group's invite link`,
+                linked_group_join: `${whom} joined from the community`,
+                remove: author && !recipientIds.includes(author) ? `${who} removed ${whom}` : `${whom} left`,
+                leave: `${whom} left`,
+                promote: `${who} made ${whom} ${recipientNames.length > 1 ? 'admins' : 'an admin'}`,
+                demote: `${who} removed ${whom} as admin`,
+                create: `${who} created the group${notification.body ? ` "${notification.body}"` : ''}`,
+                subject: `${who} changed the group name${notification.body ? ` to "${notification.body}"` : ''}`,
+                description: `${who} changed the group description`,
+                picture: `${who} changed the group icon`,
+                announce: `${who} changed who can send messages`,
+                restrict: `${who} changed who can edit this group's info`
+            };
+
+            return {
+                id: notification.id && notification.id._serialized ? notification.id._serialized : null,
+                chatId: notification.chatId,
+                type: notification.type,
+                author: author,
+                authorName: authorName,
+                recipientIds: recipientIds,
+                recipientNames: recipientNames,
+                body: notification.body || '',
+                timestamp: notification.timestamp,
+                text: texts[notification.type] || `${who} updated the group`
+            };
+        } catch (error) {
+            logger.error('Error formatting group notification', { chatId: notification.chatId, err: error });
             return null;
         }
     }
@@ -0,0 +1,61 @@
+const fs = require('fs').promises;
+const path = require('path');
+const Logger = require('./Logger');
+
+const logger = Logger.forModule('session');
+
+// SessionStore - Persists session metadata to a JSON file so sessions survive restarts
+class SessionStore {
+    constructor(filePath) {
+        this.filePath = filePath || path.join(__dirname, '../data/sessions.json');
+
+        // Serialize writes so concurrent saves never interleave on disk
+        this.writeChain = Promise.resolve();
+    }
+
+    /**
+     * Load persisted session records
+     * @returns {Promise<Array<Object>>} Stored session records (empty if no store exists yet)
+     */
+    async load() {
+        try {
+            const raw = await fs.readFile(this.filePath, 'utf8');
+            const data = JSON.parse(raw);
+            return Array.isArray(data.sessions) ? data.sessions : [];
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error('Failed to read session store', { path: this.filePath, err: error });
+            }
+            return [];
+        }
+    }
+
+    /**
+     * Save session records, replacing the previous contents
+     * Writes to a temporary file first and renames it so a crash never leaves a truncated store
+     * @param {Array<Object>} records - Session records to persist
+     * @returns {Promise<void>}
+     */
+    save(records) {
+        const payload = JSON.stringify({
+            version: 1,
+            savedAt: Date.now(),
+            sessions: records
+        }, null, 2);
+
+        this.writeChain = this.writeChain.then(async () => {
+            const tmpPath = `${this.filePath}.tmp`;
+            try {
+                await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+                await fs.writeFile(tmpPath, payload, 'utf8');
+                await fs.rename(tmpPath, this.filePath);
+            } catch (error) {
+                logger.error('Failed to write session store', { path: this.filePath, err: error });
+            }
+        });
+
+        return this.writeChain;
+    }
+}
+
+module.exports = SessionStore;
@@ -0,0 +1,263 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { UPLOAD_TTL } = require('../config/constants');
+const Logger = require('./Logger');
+
+const logger = Logger.forModule('upload');
+
+// Magic numbers for the media types WhatsApp accepts, checked in order
+// Each entry matches `bytes` at `offset`; `extra` adds a second check for container formats
+const SIGNATURES = [
+    { mimetype: 'image/jpeg', offset: 0, bytes: [0xFF, 0xD8, 0xFF] },
+    { mimetype: 'image/png', offset: 0, bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+    { mimetype: 'image/gif', offset: 0, bytes: [0x47, 0x49, 0x46, 0x38] }, // GIF8
+    { mimetype: 'image/webp', offset: 0, bytes: [0x52, 0x49, 0x46, 0x46], extra: { offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] } }, // RIFF....WEBP
+    { mimetype: 'audio/wav', offset: 0, bytes: [0x52, 0x49, 0x46, 0x46], extra: { offset: 8, bytes: [0x57, 0x41, 0x56, 0x45] } }, // RIFF....WAVE
+    { mimetype: 'video/x-msvideo', offset: 0, bytes: [0x52, 0x49, 0x46, 0x46], extra: { offset: 8, bytes: [0x41, 0x56, 0x49, 0x20] } }, // RIFF....AVI
+    { mimetype: 'audio/ogg', offset: 0, bytes: [0x4F, 0x67, 0x67, 0x53] }, // OggS
+    { mimetype: 'audio/flac', offset: 0, bytes: [0x66, 0x4C, 0x61, 0x43] }, // fLaC
+    { mimetype: 'audio/amr', offset: 0, bytes: [0x23, 0x21, 0x41, 0x4D, 0x52] }, // #!AMR
+    { mimetype: 'audio/mpeg', offset: 0, bytes: [0x49, 0x44, 0x33] }, // ID3 tag
+    { mimetype: 'video/webm', offset: 0, bytes: [0x1A, 0x45, 0xDF, 0xA3] }, // EBML (WebM/Matroska)
+    { mimetype: 'application/pdf', offset: 0, bytes: [0x25, 0x50, 0x44, 0x46] }, // %PDF
+    { mimetype: 'application/zip', offset: 0, bytes: [0x50, 0x4B, 0x03, 0x04] } // PK.. (also docx, xlsx, apk...)
+];
+
+// UploadManager - Holds chunked, resumable media uploads on disk until they are sent
+class UploadManager {
+    constructor(uploadDir = null) {
+        this.uploadDir = uploadDir || path.join(__dirname, '../data/uploads');
+
+        // uploadId -> { id, sessionId, filename, mimetype, size, received, filePath, ... }
+        this.uploads = new Map();
+
+        // Upload metadata only lives in memory, so files left by a previous run can never be resumed
+        this.ready = this.initializeUploadDir();
+    }
+
+    // Create the upload directory, removing files from a previous run
+    async initializeUploadDir() {
+        try {
+            await fs.rm(this.uploadDir, { recursive: true, force: true });
+            await fs.mkdir(this.uploadDir, { recursive: true });
+            logger.info('Upload directory initialized', { path: this.uploadDir });
+        } catch (error) {
+            logger.error('Failed to create upload directory', { path: this.uploadDir, err: error });
+        }
+    }
+
+    /**
+     * Detect a file's MIME type from its first bytes
+     * The client's declared type is only used when the content is not recognised, or to
+     * tell apart formats sharing a container (e.g. .docx files are zip archives)
+     * @param {Buffer} buffer - File contents (at least the first 16 bytes)
+     * @param {string} [declaredMimetype] - MIME type sent by the client
+     * @returns {string} The MIME type to send the file as
+     */
+    static sniffMimeType(buffer, declaredMimetype = null) {
+        const declared = (declaredMimetype || '').toLowerCase().split(';')[0].trim();
+        const matches = (offset, bytes) => buffer.length >= offset + bytes.length &&
+            bytes.every((byte, index) => buffer[offset + index] === byte);
+
+        let sniffed = null;
+
+        const signature = SIGNATURES.find(entry => matches(entry.offset, entry.bytes) &&
+            (!entry.extra || matches(entry.extra.offset, entry.extra.bytes)));
+        if (signature) {
+            sniffed = signature.mimetype;
+        } else if (buffer.length >= 12 && buffer.toString('latin1', 4, 8) === 'ftyp') {
+            // ISO base media (MP4, M4A, 3GP, MOV): the major brand names the flavour
+            const brand = buffer.toString('latin1', 8, 12);
+            if (brand.startsWith('3g')) {
+                sniffed = 'video/3gpp';
+            } else if (brand === 'M4A ' || brand === 'M4B ') {
+                sniffed = 'audio/mp4';
+            } else if (brand === 'qt  ') {
+                sniffed = 'video/quicktime';
+            } else {
+                sniffed = 'video/mp4';
+            }
+        } else if (buffer.length >= 2 && buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0) {
+            // MPEG audio frame sync without an ID3 tag; AAC in ADTS has layer bits 00
+            sniffed = (buffer[1] & 0x06) === 0 ? 'audio/aac' : 'audio/mpeg';
+        }
+
+        if (!sniffed) {
+            return declared || 'application/octet-stream';
+        }
+
+        // Same container, more specific declared type: audio-only MP4/3GP, WebM audio, zip-based documents
+        if ((sniffed === 'video/mp4' || sniffed === 'video/3gpp') && declared.startsWith('audio/')) {
+            return declared;
+        }
+        if (sniffed === 'video/webm' && declared === 'audio/webm') {
+            return declared;
+        }
+        if (sniffed === 'application/zip' && declared.startsWith('application/') && declared !== 'application/octet-stream') {
+            return declared;
+        }
+
+        // Keep codec parameters the client sent for the same type (e.g. audio/ogg; codecs=opus)
+        if (declared === sniffed) {
+            return declaredMimetype;
+        }
+
+        return sniffed;
+    }
+
+    /**
+     * Start a chunked upload (size and pending-upload limits are checked by the route)
+     * @param {string} sessionId - The session ID
+     * @param {Object} options - { filename, size, mimetype }
+     * @returns {Promise<Object>} The upload record
+     */
+    async createUpload(sessionId, { filename = null, size, mimetype = null }) {
+        await this.ready;
+
+        const id = uuidv4();
+        const upload = {
+            id: id,
+            sessionId: sessionId,
+            filename: filename,
+            declaredMimetype: mimetype,
+            mimetype: null,
+            size: size,
+            received: 0,
+            complete: false,
+            filePath: path.join(this.uploadDir, id),
+            createdAt: Date.now(),
+            updatedAt: Date.now(),
+            // Chunks for one upload are written one at a time
+            writing: false
+        };
+
+        await fs.writeFile(upload.filePath, Buffer.alloc(0));
+        this.uploads.set(id, upload);
+
+        logger.info('Upload started', { sessionId: sessionId, uploadId: id, size: size });
+        return upload;
+    }
+
+    /**
+     * Get an upload belonging to a session
+     * @param {string} sessionId - The session ID
+     * @param {string} uploadId - The upload ID
+     * @returns {Object|null} The upload record, or null if unknown, expired or owned by another session
+     */
+    getUpload(sessionId, uploadId) {
+        const upload = this.uploads.get(uploadId);
+        if (!upload || upload.sessionId !== sessionId) {
+            return null;
+        }
+
+        return upload;
+    }
+
+    // All uploads of a session
+    getSessionUploads(sessionId) {
+        return Array.from(this.uploads.values()).filter(upload => upload.sessionId === sessionId);
+    }
+
+    /**
+     * Append a chunk to an upload
+     * The route checks the chunk's offset against `received` first: chunks must arrive in order,
+     * and a client resumes after a dropped connection by reading `received` back from the upload status
+     * @param {Object} upload - The upload record
+     * @param {Buffer} chunk - Chunk contents
+     * @returns {Promise<Object>} The updated upload record
+     */
+    async appendChunk(upload, chunk) {
+        upload.writing = true;
+        try {
+            await fs.appendFile(upload.filePath, chunk);
+            upload.received += chunk.length;
+            upload.updatedAt = Date.now();
+        } finally {
+            upload.writing = false;
+        }
+
+        if (upload.received === upload.size) {
+            upload.complete = true;
+
+            // Sniff once the whole file is here; the first bytes are all that's needed
+            const handle = await fs.open(upload.filePath, 'r');
+            try {
+                const header = Buffer.alloc(Math.min(64, upload.size));
+                await handle.read(header, 0, header.length, 0);
+                upload.mimetype = UploadManager.sniffMimeType(header, upload.declaredMimetype);
+            } finally {
+                await handle.close();
+            }
+
+            logger.info('Upload complete', { sessionId: upload.sessionId, uploadId: upload.id, size: upload.size, mimetype: upload.mimetype });
+        }
+
+        return upload;
+    }
+
+    /**
+     * Read a completed upload
+     * @param {Object} upload - The upload record
+     * @returns {Promise<Buffer>} File contents
+     */
+    async readUpload(upload) {
+        upload.updatedAt = Date.now();
+        return fs.readFile(upload.filePath);
+    }
+
+    /**
+     * Remove an upload and its file
+     * @param {string} uploadId - The upload ID
+     */
+    async deleteUpload(uploadId) {
+        const upload = this.uploads.get(uploadId);
+        if (!upload) {
+            return;
+        }
+
+        this.uploads.delete(uploadId);
+        try {
+            await fs.unlink(upload.filePath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error('Failed to delete upload file', { sessionId: upload.sessionId, uploadId: upload.id, path: upload.filePath, err: error });
+            }
+        }
+    }
+
+    // Format an upload for API responses
+    describeUpload(upload) {
+        return {
+            uploadId: upload.id,
+            filename: upload.filename,
+            mimetype: upload.mimetype,
+            size: upload.size,
+            received: upload.received,
+            complete: upload.complete,
+            expiresAt: upload.updatedAt + UPLOAD_TTL
+        };
+    }
+
+    /**
+     * Remove all uploads of a session
+     * @param {string} sessionId - The session ID
+     */
+    async clearSession(sessionId) {
+        await Promise.all(this.getSessionUploads(sessionId).map(upload => this.deleteUpload(upload.id)));
+    }
+
+    // Remove uploads with no activity within UPLOAD_TTL
+    async cleanupExpiredUploads() {
+        const now = Date.now();
+        const expired = Array.from(this.uploads.values()).filter(upload => now - upload.updatedAt > UPLOAD_TTL);
+
+        await Promise.all(expired.map(upload => this.deleteUpload(upload.id)));
+
+        if (expired.length > 0) {
+            logger.info('Cleaned up expired uploads', { count: expired.length });
+        }
+    }
+}
+
+module.exports = UploadManager;
@@ -0,0 +1,369 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { v4: uuidv4 } = require('uuid');
+const {
+    WEBHOOK_TIMEOUT,
+    WEBHOOK_MAX_ATTEMPTS,
+    WEBHOOK_RETRY_BASE_DELAY,
+    WEBHOOK_RETRY_MAX_DELAY,
+    WEBHOOK_DELIVERY_LOG_SIZE,
+    WEBHOOK_ALLOWED_HOSTS
+} = require('../config/constants');
+const { version } = require('../../package.json');
+const Logger = require('./Logger');
+
+const logger = Logger.forModule('webhook');
+
+// Loopback, private, link-local (cloud metadata endpoints), shared, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+// IPv4-mapped addresses (::ffff:127.0.0.1) are matched against the IPv4 ranges by BlockList itself
+for (const [address, prefix] of [
+    ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+    BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+// Hosts that may be internal, e.g. "localhost,receiver.internal"
+const allowedHosts = new Set(WEBHOOK_ALLOWED_HOSTS.split(',').map(host => host.trim().toLowerCase()).filter(Boolean));
+
+// Host name of a URL without the brackets around IPv6 addresses
+const getHostname = (url) => url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+const isBlockedAddress = (address) => BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+const blockedError = (address) => {
+    const error = new Error(`Webhook host resolves to a private or reserved address (${address})`);
+    error.code = 'ERR_WEBHOOK_BLOCKED';
+    return error;
+};
+
+// dns.lookup for webhook requests that refuses internal addresses; checking the address actually
+// connected to (rather than only when the webhook is set) also covers DNS rebinding
+const safeLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) {
+            return callback(error);
+        }
+
+        const addresses = Array.isArray(address) ? address : [{ address: address, family: family }];
+        const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+        if (blocked) {
+            return callback(blockedError(blocked.address));
+        }
+
+        callback(null, address, family);
+    });
+};
+
+// WebhookDispatcher - Delivers session events to per-session webhook URLs as signed JSON POSTs
+class WebhookDispatcher {
+    constructor() {
+        // sessionId -> [delivery], newest last, bounded by WEBHOOK_DELIVERY_LOG_SIZE
+        this.deliveries = new Map();
+
+        // deliveryId -> retry timer, so pending retries can be cancelled
+        this.retryTimers = new Map();
+    }
+
+    /**
+     * Generate a secret for signing a session's webhook payloads
+     * @returns {string} 32 random bytes as hex
+     */
+    static generateSecret() {
+        return crypto.randomBytes(32).toString('hex');
+    }
+
+    /**
+     * Compute the signature header value for a payload
+     * The signed string is "<timestamp>.<raw body>" so a captured request cannot be replayed with a new timestamp
+     * @param {string} secret - The session's webhook secret
+     * @param {string|number} timestamp - Unix timestamp in seconds sent in X-WhatsBerry-Timestamp
+     * @param {string} body - Raw JSON body
+     * @returns {string} Signature in the form "sha256=<hex>"
+     */
+    static sign(secret, timestamp, body) {
+        const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+        return `sha256=${digest}`;
+    }
+
+    /**
+     * Verify a received signature (for receivers written in Node.js)
+     * @param {string} secret - The session's webhook secret
+     * @param {string|number} timestamp - Value of X-WhatsBerry-Timestamp
+     * @param {string} body - Raw request body
+     * @param {string} signature - Value of X-WhatsBerry-Signature
+     * @returns {boolean} True if the signature matches
+     */
+    static verifySignature(secret, timestamp, body, signature) {
+        if (!secret || !timestamp || typeof signature !== 'string') {
+            return false;
+        }
+
+        const expected = Buffer.from(WebhookDispatcher.sign(secret, timestamp, body));
+        const actual = Buffer.from(signature);
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    /**
+     * Check that a webhook URL doesn't point at the server's own network
+     * Loopback, private, link-local and reserved addresses are refused unless the host is in WEBHOOK_ALLOWED_HOSTS
+     * @param {URL} url - Parsed webhook URL
+     * @returns {Promise<string|null>} Why the URL is refused, or null if it can be used
+     */
+    static async checkTarget(url) {
+        const hostname = getHostname(url);
+        if (allowedHosts.has(hostname)) {
+            return null;
+        }
+
+        let addresses;
+        if (net.isIP(hostname)) {
+            addresses = [{ address: hostname }];
+        } else {
+            try {
+                addresses = await dns.promises.lookup(hostname, { all: true });
+            } catch (error) {
+                return `Webhook host could not be resolved (${error.code || error.message})`;
+            }
+        }
+
+        const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+        return blocked ? blockedError(blocked.address).message : null;
+    }
+
+    /**
+     * Queue delivery of an event to a session's webhook
+     * Does nothing if the session has no webhook or the webhook is not subscribed to the event
+     * @param {string} sessionId - The session ID
+     * @param {Object} webhook - The session's webhook config { url, secret, events }
+     * @param {string} event - Event name
+     * @param {*} data - Event payload, sent as the "data" field
+     * @param {Object} [options] - { force: true } delivers regardless of the subscribed events
+     * @returns {Object|null} The delivery log entry, or null if nothing was sent
+     */
+    dispatch(sessionId, webhook, event, data, options = {}) {
+        if (!webhook || !webhook.url) {
+            return null;
+        }
+
+        if (!options.force && !webhook.events.includes(event)) {
+            return null;
+        }
+
+        const delivery = {
+            id: uuidv4(),
+            event: event,
+            url: webhook.url,
+            status: 'pending',
+            attempts: 0,
+            lastStatusCode: null,
+            lastError: null,
+            createdAt: Date.now(),
+            deliveredAt: null,
+            nextRetryAt: null
+        };
+
+        // Body is built once so every retry carries the same delivery ID and event timestamp
+        const body = JSON.stringify({
+            id: delivery.id,
+            event: event,
+            sessionId: sessionId,
+            timestamp: delivery.createdAt,
+            data: data === undefined ? null : data
+        });
+
+        this.recordDelivery(sessionId, delivery);
+        this.attemptDelivery(sessionId, webhook, delivery, body);
+
+        return delivery;
+    }
+
+    // Add a delivery to the session's log, dropping the oldest entries once full
+    recordDelivery(sessionId, delivery) {
+        let log = this.deliveries.get(sessionId);
+        if (!log) {
+            log = [];
+            this.deliveries.set(sessionId, log);
+        }
+
+        log.push(delivery);
+
+        while (log.length > WEBHOOK_DELIVERY_LOG_SIZE) {
+            const dropped = log.shift();
+            this.cancelRetry(dropped.id);
+        }
+    }
+
+    /**
+     * Make one delivery attempt and schedule a retry with exponential backoff if it fails
+     * Network errors, timeouts, 429 and 5xx responses are retried; other 4xx responses and internal addresses are final
+     * @param {string} sessionId - The session ID
+     * @param {Object} webhook - The session's webhook config
+     * @param {Object} delivery - The delivery log entry (updated in place)
+     * @param {string} body - Raw JSON body
+     */
+    async attemptDelivery(sessionId, webhook, delivery, body) {
+        this.retryTimers.delete(delivery.id);
+        delivery.attempts++;
+        delivery.nextRetryAt = null;
+
+        let retryable = true;
+
+        try {
+            const statusCode = await this.post(webhook, delivery, body);
+            delivery.lastStatusCode = statusCode;
+
+            if (statusCode >= 200 && statusCode < 300) {
+                delivery.status = 'delivered';
+                delivery.deliveredAt = Date.now();
+                delivery.lastError = null;
+                return;
+            }
+
+            delivery.lastError = `HTTP ${statusCode}`;
+            retryable = statusCode === 429 || statusCode >= 500;
+        } catch (error) {
+            delivery.lastError = error.message;
+            retryable = error.code !== 'ERR_WEBHOOK_BLOCKED';
+        }
+
+        if (!retryable || delivery.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+            delivery.status = 'failed';
+            logger.warn('Webhook delivery failed', {
+                sessionId: sessionId,
+                deliveryId: delivery.id,
+                event: delivery.event,
+                attempts: delivery.attempts,
+                error: delivery.lastError
+            });
+            return;
+        }
+
+        const delay = Math.min(WEBHOOK_RETRY_BASE_DELAY * Math.pow(2, delivery.attempts - 1), WEBHOOK_RETRY_MAX_DELAY);
+        delivery.nextRetryAt = Date.now() + delay;
+        logger.info('Webhook delivery failed, retrying', {
+            sessionId: sessionId,
+            deliveryId: delivery.id,
+            event: delivery.event,
+            error: delivery.lastError,
+            retryInMs: delay
+        });
+
+        const timer = setTimeout(() => {
+            this.attemptDelivery(sessionId, webhook, delivery, body);
+        }, delay);
+        this.retryTimers.set(delivery.id, timer);
+    }
+
+    /**
+     * POST a signed body to the webhook URL
+     * @param {Object} webhook - The session's webhook config
+     * @param {Object} delivery - The delivery log entry
+     * @param {string} body - Raw JSON body
+     * @returns {Promise<number>} Response status code
+     */
+    post(webhook, delivery, body) {
+        return new Promise((resolve, reject) => {
+            const url = new URL(webhook.url);
+            const transport = url.protocol === 'https:' ? https : http;
+            const timestamp = Math.floor(Date.now() / 1000);
+
+            // IP literals are connected to without a lookup, so they are checked here
+            const hostname = getHostname(url);
+            const allowed = allowedHosts.has(hostname);
+            if (!allowed && net.isIP(hostname) && isBlockedAddress(hostname)) {
+                return reject(blockedError(hostname));
+            }
+
+            const request = transport.request(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Content-Length': Buffer.byteLength(body),
+                    'User-Agent': `WhatsBerry-Webhook/${version}`,
+                    'X-WhatsBerry-Event': delivery.event,
+                    'X-WhatsBerry-Delivery': delivery.id,
+                    'X-WhatsBerry-Timestamp': String(timestamp),
+                    'X-WhatsBerry-Signature': WebhookDispatcher.sign(webhook.secret, timestamp, body)
+                },
+                timeout: WEBHOOK_TIMEOUT,
+                lookup: allowed ? undefined : safeLookup
+            }, (response) => {
+                // Drain the response so the socket is released
+                response.resume();
+                resolve(response.statusCode);
+            });
+
+            request.on('timeout', () => {
+                request.destroy(new Error(`Timed out after ${WEBHOOK_TIMEOUT}ms`));
+            });
+            request.on('error', reject);
+
+            request.end(body);
+        });
+    }
+
+    /**
+     * Get a session's delivery log
+     * @param {string} sessionId - The session ID
+     * @param {number} [limit] - Max entries to return
+     * @returns {Array} Deliveries, newest first
+     */
+    getDeliveries(sessionId, limit = WEBHOOK_DELIVERY_LOG_SIZE) {
+        const log = this.deliveries.get(sessionId) || [];
+        return log.slice(-limit).reverse();
+    }
+
+    // Cancel a scheduled retry
+    cancelRetry(deliveryId) {
+        const timer = this.retryTimers.get(deliveryId);
+        if (timer) {
+            clearTimeout(timer);
+            this.retryTimers.delete(deliveryId);
+        }
+    }
+
+    /**
+     * Cancel pending retries for a session, marking them failed
+     * @param {string} sessionId - The session ID
+     * @param {string} reason - Recorded as the deliveries' last error
+     */
+    cancelPending(sessionId, reason) {
+        for (const delivery of this.deliveries.get(sessionId) || []) {
+            if (this.retryTimers.has(delivery.id)) {
+                this.cancelRetry(delivery.id);
+                delivery.status = 'failed';
+                delivery.lastError = reason;
+                delivery.nextRetryAt = null;
+            }
+        }
+    }
+
+    /**
+     * Cancel pending retries and remove a session's delivery log
+     * @param {string} sessionId - The session ID
+     */
+    clear(sessionId) {
+        this.cancelPending(sessionId, 'Session destroyed');
+        this.deliveries.delete(sessionId);
+    }
+
+    // Cancel every pending retry (server shutdown)
+    shutdown() {
+        for (const timer of this.retryTimers.values()) {
+            clearTimeout(timer);
+        }
+        this.retryTimers.clear();
+    }
+}
+
+module.exports = WebhookDispatcher;
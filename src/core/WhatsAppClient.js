@@ -4,6 +4,48 @@ const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
 const { puppeteer, getPuppeteerConfig, getFallbackPuppeteerConfig } = require('../config/puppeteer');
+const { PAIRING_CODE_INTERVAL } = require('../config/constants');
+const PresenceWatcher = require('./PresenceWatcher');
+const Logger = require('./Logger');
+
+const logger = Logger.forModule('whatsapp');
+
+/**
+ * Build Client options for linking with a pairing code instead of a QR code
+ * @param {Object} session - The session object
+ * @returns {Object} pairWithPhoneNumber options, or empty object for QR login
+ */
+function getPairingOptions(session) {
+    if (!session.pairingPhoneNumber) {
+        return {};
+    }
+
+    return {
+        pairWithPhoneNumber: {
+            phoneNumber: session.pairingPhoneNumber,
+            showNotification: true,
+            intervalMs: PAIRING_CODE_INTERVAL
+        }
+    };
+}
+
+/**
+ * Store a received pairing code on the session and emit it to the session room
+ * @param {string} sessionId - The session identifier
+ * @param {Object} session - The session object
+ * @param {Object} io - Socket.io server instance
+ * @param {string} code - 8-character pairing code from WhatsApp
+ */
+function handlePairingCode(sessionId, session, io, code) {
+    session.pairingCode = {
+        code: code,
+        formattedCode: code.length === 8 ? `${code.slice(0, 4)}-${code.slice(4)}` : code,
+        phoneNumber: session.pairingPhoneNumber,
+        expiresAt: Date.now() + PAIRING_CODE_INTERVAL
+    };
+
+    io.to(`session_${sessionId}`).emit('pairing_code', session.pairingCode);
+}
 
 /**
  * Initialize WhatsApp client with full configuration
@@ -19,33 +61,33 @@ const { puppeteer, getPuppeteerConfig, getFallbackPuppeteerConfig } = require('.
 async function initializeClient(sessionId, session, sessionManager, io, sessionDir) {
     const startTime = Date.now();
 
-    function log(message) {
-        const elapsed = Date.now() - startTime;
-        console.log(`[${sessionId}] [${elapsed}ms] ${message}`);
-    }
+    const log = logger.child({ sessionId: sessionId, userId: session.userId, method: 'primary' });
+
+    // Time since initialization started, for the initialization milestones
+    const elapsed = () => ({ elapsedMs: Date.now() - startTime });
 
-    log('Starting WhatsApp client initialization');
+    log.info('Starting WhatsApp client initialization');
 
     // Session directory creation
     await fs.mkdir(sessionDir, { recursive: true });
-    log(`Session directory: ${sessionDir}`);
+    log.debug('Session directory ready', { path: sessionDir });
 
     // Check if session has existing auth data
     try {
         const authFiles = await fs.readdir(sessionDir);
         if (authFiles.length > 0) {
-            log(`Found existing auth data in session directory (${authFiles.length} files) - will attempt to restore session`);
+            log.info('Found existing auth data, will attempt to restore session', { files: authFiles.length });
         } else {
-            log(`Clean session directory - new QR will be generated`);
+            log.info('Clean session directory, new QR will be generated');
         }
     } catch (error) {
-        log(`Session directory is empty or new`);
+        log.info('Session directory is empty or new');
     }
 
     // Get Puppeteer configuration with stealth plugin
     const puppeteerConfig = getPuppeteerConfig();
 
-    log('Using Puppeteer with stealth plugin (anti-detection)');
+    log.debug('Using Puppeteer with stealth plugin (anti-detection)');
 
     // Create client with stealth configuration
     const client = new Client({
@@ -53,10 +95,11 @@ async function initializeClient(sessionId, session, sessionManager, io, sessionD
             clientId: sessionId,
             dataPath: sessionDir
         }),
-        puppeteer: puppeteerConfig
+        puppeteer: puppeteerConfig,
+        ...getPairingOptions(session)
     });
 
-    log('Client created with minimal config');
+    log.info('Client created', { login: session.pairingPhoneNumber ? 'pairing_code' : 'qr' });
 
     // QR tracking
     let qrReceived = false;
@@ -70,93 +113,117 @@ async function initializeClient(sessionId, session, sessionManager, io, sessionD
             const qrCodeDataURL = await qrcode.toDataURL(qr);
             session.qrCode = qrCodeDataURL;
 
-            log(`QR generated, emitting to sockets...`);
+            log.info('QR generated, emitting to sockets', elapsed());
 
             // Get room info for debugging
             const roomName = `session_${sessionId}`;
             const room = io.sockets.adapter.rooms.get(roomName);
             const socketCount = room ? room.size : 0;
-            log(`Emitting QR to room "${roomName}" with ${socketCount} connected sockets`);
+            log.debug('Emitting QR to session room', { room: roomName, sockets: socketCount });
 
             // Direct emit to session room
             io.to(roomName).emit('qr', qrCodeDataURL);
 
-            log(`QR code emitted successfully`);
+            log.debug('QR code emitted');
 
         } catch (error) {
-            log(`QR generation failed: ${error.message}`);
+            log.error('QR generation failed', { err: error });
             io.to(`session_${sessionId}`).emit('auth_failure', `QR generation failed: ${error.message}`);
         }
     });
 
+    // Pairing code event handling (phone number login)
+    client.on('code', (code) => {
+        log.info('Pairing code generated, emitting to sockets', elapsed());
+        handlePairingCode(sessionId, session, io, code);
+    });
+
     // Simplified event handlers
     client.on('ready', async () => {
         // Prevent duplicate ready events
         if (session.isReady) {
-            log(`Ready event fired but session already ready`);
+            log.debug('Ready event fired but session already ready');
             return;
         }
-        log(`Client is ready`);
+        log.info('Client is ready', elapsed());
         session.isReady = true;
         session.qrCode = null;
+        session.pairingCode = null;
 
         try {
             const info = client.info;
             session.phoneNumber = info.wid.user;
+            sessionManager.schedulePersist();
 
-            io.to(`session_${sessionId}`).emit('ready', {
+            sessionManager.emitSessionEvent(sessionId, 'ready', {
                 phoneNumber: session.phoneNumber,
                 sessionId: sessionId
             });
         } catch (error) {
-            io.to(`session_${sessionId}`).emit('ready', { sessionId: sessionId });
+            sessionManager.emitSessionEvent(sessionId, 'ready', { sessionId: sessionId });
         }
+
+        // Forward contacts' online and typing state (whatsapp-web.js has no event for it)
+        session.presenceWatcher = new PresenceWatcher(client, (update) => {
+            sessionManager.emitSessionEvent(sessionId, 'presence_update', update);
+        });
+        session.presenceWatcher.start().catch(error => {
+            log.error('Failed to start presence watcher', { err: error });
+        });
+
+        // Deliver queued and overdue scheduled messages held back while the session was down
+        sessionManager.scheduler.retrySession(sessionId);
     });
 
     client.on('authenticated', () => {
         // Prevent duplicate authentication logs/events
         if (session.isAuthenticated) {
-            log(`Authenticated event fired but session already authenticated)`);
+            log.debug('Authenticated event fired but session already authenticated');
             return;
         }
-        log(`Authenticated`);
+        log.info('Authenticated', elapsed());
         session.isAuthenticated = true;
+        session.pairingCode = null;
         session.lastActivity = Date.now(); // Update activity to prevent cleanup
+        sessionManager.schedulePersist();
         io.to(`session_${sessionId}`).emit('authenticated');
     });
 
     // Monitor loading screen progress to diagnose sync issues
     client.on('loading_screen', (percent, message) => {
-        log(`Loading WhatsApp: ${percent}% - ${message}`);
+        log.debug('Loading WhatsApp', { percent: percent, screen: message, ...elapsed() });
         session.lastActivity = Date.now(); // Keep session alive during loading
         io.to(`session_${sessionId}`).emit('loading_screen', { percent, message });
     });
 
     client.on('auth_failure', (msg) => {
-        log(`Auth failure: ${msg}`);
+        log.warn('Auth failure', { reason: msg });
         session.isAuthenticated = false;
         io.to(`session_${sessionId}`).emit('auth_failure', msg);
     });
 
     client.on('disconnected', (reason) => {
-        log(`Disconnected: ${reason}`);
         const timeSinceReady = session.isReady ? Date.now() - startTime : 'N/A';
-        console.log(`Session ${sessionId} disconnected after ${timeSinceReady}ms. Reason: ${reason}`);
-        console.log(`Session ${sessionId} state - isAuthenticated: ${session.isAuthenticated}, isReady: ${session.isReady}`);
+        log.warn('Disconnected', {
+            reason: reason,
+            timeSinceReadyMs: timeSinceReady !== 'N/A' ? timeSinceReady : undefined,
+            isAuthenticated: session.isAuthenticated,
+            isReady: session.isReady
+        });
 
         session.isReady = false;
         // Keep isAuthenticated = true, user is still authenticated even if disconnected
-        io.to(`session_${sessionId}`).emit('disconnected', reason);
+        sessionManager.emitSessionEvent(sessionId, 'disconnected', reason);
 
         // If logout happened shortly after ready, this might be WhatsApp anti-bot
         if (reason === 'LOGOUT' && timeSinceReady !== 'N/A' && timeSinceReady < 120000) {
-            console.log(`[WA Anti-Bot] Session ${sessionId} logged out ${timeSinceReady}ms after ready - possible anti-bot detection`);
+            log.warn('Logged out shortly after ready, possible anti-bot detection', { timeSinceReadyMs: timeSinceReady });
         }
     });
 
     // Simple error handling
     client.on('error', (error) => {
-        log(`Client error: ${error.message}`);
+        log.error('Client error', { err: error });
         io.to(`session_${sessionId}`).emit('auth_failure', `Error: ${error.message}`);
     });
 
@@ -168,30 +235,35 @@ async function initializeClient(sessionId, session, sessionManager, io, sessionD
 
             if (formattedMessage) {
                 // Emit to all clients listening to this session
-                io.to(`session_${sessionId}`).emit('message', formattedMessage);
+                sessionManager.emitSessionEvent(sessionId, 'message', formattedMessage);
+
+                // Keep a local copy for search and offline history
+                sessionManager.archive.storeMessages(sessionId, [formattedMessage]).catch(err => {
+                    log.error('Error archiving message', { err: err });
+                });
             }
         } catch (error) {
-            log(`Error handling incoming message: ${error.message}`);
+            log.error('Error handling incoming message', { err: error });
         }
     });
 
     // Real-time message acknowledgment listener (when messages are sent/delivered/read)
     client.on('message_ack', async (message, ack) => {
         try {
-            io.to(`session_${sessionId}`).emit('message_ack', {
+            sessionManager.emitSessionEvent(sessionId, 'message_ack', {
                 messageId: message.id._serialized,
                 ack: ack,
                 timestamp: Date.now()
             });
         } catch (error) {
-            log(`Error handling message ACK: ${error.message}`);
+            log.error('Error handling message ACK', { err: error });
         }
     });
 
     // Real-time message revoke listener (when messages are deleted)
     client.on('message_revoke_everyone', async (message, revokedMessage) => {
         try {
-            io.to(`session_${sessionId}`).emit('message_revoke', {
+            sessionManager.emitSessionEvent(sessionId, 'message_revoke', {
                 messageId: message.id._serialized,
                 revokedMessage: revokedMessage ? {
                     id: revokedMessage.id._serialized,
@@ -199,28 +271,82 @@ async function initializeClient(sessionId, session, sessionManager, io, sessionD
                 } : null,
                 timestamp: Date.now()
             });
+
+            // The revoked message keeps its ID; drop its text from the archive
+            sessionManager.archive.updateMessage(sessionId, message.id._serialized, { type: 'revoked', body: '' }).catch(err => {
+                log.error('Error archiving message revoke', { err: err });
+            });
         } catch (error) {
-            log(`Error handling message revoke: ${error.message}`);
+            log.error('Error handling message revoke', { err: error });
         }
     });
 
     // Real-time reaction listener (when reactions are added/removed)
     client.on('message_reaction', async (reaction) => {
         try {
-            io.to(`session_${sessionId}`).emit('message_reaction', {
+            sessionManager.emitSessionEvent(sessionId, 'message_reaction', {
                 messageId: reaction.msgId._serialized,
                 reaction: reaction.reaction,
                 timestamp: reaction.timestamp,
                 senderId: reaction.senderId
             });
         } catch (error) {
-            log(`Error handling message reaction: ${error.message}`);
+            log.error('Error handling message reaction', { err: error });
+        }
+    });
+
+    // Real-time edit listener (when a message body is edited)
+    client.on('message_edit', async (message, newBody, prevBody) => {
+        try {
+            sessionManager.emitSessionEvent(sessionId, 'message_edit', {
+                messageId: message.id._serialized,
+                chatId: message.fromMe ? message.to : message.from,
+                newBody: newBody,
+                prevBody: prevBody,
+                timestamp: Date.now()
+            });
+
+            sessionManager.archive.updateMessage(sessionId, message.id._serialized, { body: newBody }).catch(err => {
+                log.error('Error archiving message edit', { err: err });
+            });
+        } catch (error) {
+            log.error('Error handling message edit', { err: error });
+        }
+    });
+
+    // Real-time poll vote listener (a vote with no options means the voter cleared their vote)
+    client.on('vote_update', async (vote) => {
+        try {
+            const poll = vote.parentMessage;
+            sessionManager.emitSessionEvent(sessionId, 'vote_update', {
+                messageId: poll.id._serialized,
+                chatId: poll.fromMe ? poll.to : poll.from,
+                voter: vote.voter,
+                selectedOptions: vote.selectedOptions.map(option => ({ id: option.localId, name: option.name || null })),
+                timestamp: Math.floor(vote.interractedAtTs / 1000)
+            });
+        } catch (error) {
+            log.error('Error handling poll vote', { err: error });
         }
     });
 
+    // Group membership and settings changes, formatted for "X added Y" system lines
+    for (const event of ['group_join', 'group_leave', 'group_admin_changed', 'group_update']) {
+        client.on(event, async (notification) => {
+            try {
+                const formattedNotification = await sessionManager.formatGroupNotification(notification);
+                if (formattedNotification) {
+                    sessionManager.emitSessionEvent(sessionId, event, formattedNotification);
+                }
+            } catch (error) {
+                log.error('Error handling group notification', { event: event, err: error });
+            }
+        });
+    }
+
     session.client = client;
 
-    log(`Initializing client with 45s timeout...`);
+    log.info('Initializing client', { timeoutMs: 45000 });
 
     try {
         // Initialize with longer timeout but no complex monitoring
@@ -231,10 +357,10 @@ async function initializeClient(sessionId, session, sessionManager, io, sessionD
 
         await Promise.race([initPromise, timeoutPromise]);
 
-        log(`Initialization completed successfully`);
+        log.info('Initialization completed', elapsed());
 
     } catch (error) {
-        log(`Initialization failed: ${error.message}`);
+        log.error('Initialization failed', { err: error, ...elapsed() });
 
         // Simple cleanup
         if (session.client) {
@@ -247,6 +373,7 @@ async function initializeClient(sessionId, session, sessionManager, io, sessionD
 
         session.client = null;
         session.qrCode = null;
+        session.pairingCode = null;
 
         io.to(`session_${sessionId}`).emit('auth_failure', `Failed: ${error.message}`);
         throw error;
@@ -268,7 +395,9 @@ async function initializeClient(sessionId, session, sessionManager, io, sessionD
  * @throws {Error} If initialization fails or times out
  */
 async function initializeClientFallback(sessionId, session, sessionManager, io, sessionDir, fallbackSessionDir) {
-    console.log(`[FALLBACK] Starting minimal WhatsApp client for session: ${sessionId}`);
+    const log = logger.child({ sessionId: sessionId, userId: session.userId, method: 'fallback' });
+
+    log.info('Starting minimal WhatsApp client');
 
     // Use system temp directory for fallback
     const tempDir = os.tmpdir();
@@ -276,23 +405,24 @@ async function initializeClientFallback(sessionId, session, sessionManager, io,
 
     try {
         await fs.mkdir(fallbackDir, { recursive: true });
-        console.log(`[FALLBACK] Created session directory: ${fallbackDir}`);
+        log.debug('Created session directory', { path: fallbackDir });
     } catch (error) {
-        console.log(`[FALLBACK] Directory creation failed: ${error.message}`);
+        log.error('Directory creation failed', { err: error });
         throw error;
     }
 
     // Get minimal Puppeteer options for fallback with stealth
     const fallbackPuppeteerOptions = getFallbackPuppeteerConfig();
 
-    console.log(`[FALLBACK] Using Puppeteer with stealth plugin`);
+    log.debug('Using Puppeteer with stealth plugin');
 
     const fallbackClient = new Client({
         authStrategy: new LocalAuth({
             clientId: `fallback_${sessionId}`,
             dataPath: fallbackDir
         }),
-        puppeteer: fallbackPuppeteerOptions
+        puppeteer: fallbackPuppeteerOptions,
+        ...getPairingOptions(session)
     });
 
     // Set up minimal event handlers
@@ -309,17 +439,32 @@ async function initializeClientFallback(sessionId, session, sessionManager, io,
 
             io.to(roomName).emit('qr', qrCodeDataURL);
         } catch (error) {
-            console.error(`[FALLBACK] QR generation failed:`, error);
+            log.error('QR generation failed', { err: error });
         }
     });
 
+    fallbackClient.on('code', (code) => {
+        handlePairingCode(sessionId, session, io, code);
+    });
+
     fallbackClient.on('ready', () => {
         session.isReady = true;
-        io.to(`session_${sessionId}`).emit('ready', { sessionId: sessionId });
+        session.qrCode = null;
+        session.pairingCode = null;
+        sessionManager.emitSessionEvent(sessionId, 'ready', { sessionId: sessionId });
+
+        session.presenceWatcher = new PresenceWatcher(fallbackClient, (update) => {
+            sessionManager.emitSessionEvent(sessionId, 'presence_update', update);
+        });
+        session.presenceWatcher.start().catch(error => {
+            log.error('Failed to start presence watcher', { err: error });
+        });
+
+        sessionManager.scheduler.retrySession(sessionId);
     });
 
     fallbackClient.on('auth_failure', (msg) => {
-        console.log(`[FALLBACK] Auth failure for session ${sessionId}:`, msg);
+        log.warn('Auth failure', { reason: msg });
         io.to(`session_${sessionId}`).emit('auth_failure', msg);
     });
 
@@ -328,30 +473,33 @@ async function initializeClientFallback(sessionId, session, sessionManager, io,
         try {
             const formattedMessage = await sessionManager.formatMessage(message, sessionId, false, false);
             if (formattedMessage) {
-                io.to(`session_${sessionId}`).emit('message', formattedMessage);
+                sessionManager.emitSessionEvent(sessionId, 'message', formattedMessage);
+                sessionManager.archive.storeMessages(sessionId, [formattedMessage]).catch(err => {
+                    log.error('Error archiving message', { err: err });
+                });
             }
         } catch (error) {
-            console.log(`[FALLBACK] Error handling message: ${error.message}`);
+            log.error('Error handling message', { err: error });
         }
     });
 
     // Real-time message acknowledgment listener
     fallbackClient.on('message_ack', async (message, ack) => {
         try {
-            io.to(`session_${sessionId}`).emit('message_ack', {
+            sessionManager.emitSessionEvent(sessionId, 'message_ack', {
                 messageId: message.id._serialized,
                 ack: ack,
                 timestamp: Date.now()
             });
         } catch (error) {
-            console.log(`[FALLBACK] Error handling message ACK: ${error.message}`);
+            log.error('Error handling message ACK', { err: error });
         }
     });
 
     // Real-time message revoke listener
     fallbackClient.on('message_revoke_everyone', async (message, revokedMessage) => {
         try {
-            io.to(`session_${sessionId}`).emit('message_revoke', {
+            sessionManager.emitSessionEvent(sessionId, 'message_revoke', {
                 messageId: message.id._serialized,
                 revokedMessage: revokedMessage ? {
                     id: revokedMessage.id._serialized,
@@ -359,28 +507,79 @@ async function initializeClientFallback(sessionId, session, sessionManager, io,
                 } : null,
                 timestamp: Date.now()
             });
+            sessionManager.archive.updateMessage(sessionId, message.id._serialized, { type: 'revoked', body: '' }).catch(err => {
+                log.error('Error archiving message revoke', { err: err });
+            });
         } catch (error) {
-            console.log(`[FALLBACK] Error handling message revoke: ${error.message}`);
+            log.error('Error handling message revoke', { err: error });
         }
     });
 
     // Real-time reaction listener
     fallbackClient.on('message_reaction', async (reaction) => {
         try {
-            io.to(`session_${sessionId}`).emit('message_reaction', {
+            sessionManager.emitSessionEvent(sessionId, 'message_reaction', {
                 messageId: reaction.msgId._serialized,
                 reaction: reaction.reaction,
                 timestamp: reaction.timestamp,
                 senderId: reaction.senderId
             });
         } catch (error) {
-            console.log(`[FALLBACK] Error handling message reaction: ${error.message}`);
+            log.error('Error handling message reaction', { err: error });
         }
     });
 
+    // Real-time edit listener
+    fallbackClient.on('message_edit', async (message, newBody, prevBody) => {
+        try {
+            sessionManager.emitSessionEvent(sessionId, 'message_edit', {
+                messageId: message.id._serialized,
+                chatId: message.fromMe ? message.to : message.from,
+                newBody: newBody,
+                prevBody: prevBody,
+                timestamp: Date.now()
+            });
+            sessionManager.archive.updateMessage(sessionId, message.id._serialized, { body: newBody }).catch(err => {
+                log.error('Error archiving message edit', { err: err });
+            });
+        } catch (error) {
+            log.error('Error handling message edit', { err: error });
+        }
+    });
+
+    // Real-time poll vote listener
+    fallbackClient.on('vote_update', async (vote) => {
+        try {
+            const poll = vote.parentMessage;
+            sessionManager.emitSessionEvent(sessionId, 'vote_update', {
+                messageId: poll.id._serialized,
+                chatId: poll.fromMe ? poll.to : poll.from,
+                voter: vote.voter,
+                selectedOptions: vote.selectedOptions.map(option => ({ id: option.localId, name: option.name || null })),
+                timestamp: Math.floor(vote.interractedAtTs / 1000)
+            });
+        } catch (error) {
+            log.error('Error handling poll vote', { err: error });
+        }
+    });
+
+    // Group membership and settings changes
+    for (const event of ['group_join', 'group_leave', 'group_admin_changed', 'group_update']) {
+        fallbackClient.on(event, async (notification) => {
+            try {
+                const formattedNotification = await sessionManager.formatGroupNotification(notification);
+                if (formattedNotification) {
+                    sessionManager.emitSessionEvent(sessionId, event, formattedNotification);
+                }
+            } catch (error) {
+                log.error('Error handling group notification', { event: event, err: error });
+            }
+        });
+    }
+
     session.client = fallbackClient;
 
-    console.log(`[FALLBACK] Initializing with 20s timeout...`);
+    log.info('Initializing client', { timeoutMs: 20000 });
 
     const initPromise = fallbackClient.initialize();
     const timeoutPromise = new Promise((_, reject) => {
@@ -388,7 +587,7 @@ async function initializeClientFallback(sessionId, session, sessionManager, io,
     });
 
     await Promise.race([initPromise, timeoutPromise]);
-    console.log(`[FALLBACK] Initialization completed for session: ${sessionId}`);
+    log.info('Initialization completed');
 
     return fallbackClient;
 }
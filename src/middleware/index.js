@@ -1,9 +1,22 @@
 const express = require('express');
 const apiKeyMiddleware = require('./apiKey');
+const sessionAuthMiddleware = require('./sessionAuth');
+const socketAuthMiddleware = require('./socketAuth');
 const corsMiddleware = require('./cors');
+const mediaUploadMiddleware = require('./mediaUpload');
+const metricsMiddleware = require('./metrics');
+const requestLoggerMiddleware = require('./requestLogger');
 
 // Setup all application middleware
-function setupMiddleware(app, apiKey) {
+function setupMiddleware(app, apiKey, metrics) {
+    // Request latency and error metrics, first so the time spent parsing bodies is included
+    if (metrics) {
+        app.use(metricsMiddleware(metrics));
+    }
+
+    // Request ID and per-request logger (req.log)
+    app.use(requestLoggerMiddleware());
+
     // Body parsing middleware
     app.use(express.json({ limit: '50mb' }));
     app.use(express.urlencoded({ extended: true, limit: '50mb' }));
@@ -20,5 +33,10 @@ function setupMiddleware(app, apiKey) {
 module.exports = {
     setupMiddleware,
     apiKeyMiddleware,
-    corsMiddleware
+    sessionAuthMiddleware,
+    socketAuthMiddleware,
+    corsMiddleware,
+    mediaUploadMiddleware,
+    metricsMiddleware,
+    requestLoggerMiddleware
 };
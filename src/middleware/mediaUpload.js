@@ -0,0 +1,29 @@
+const multer = require('multer');
+const { MEDIA_UPLOAD_MAX_SIZE } = require('../config/constants');
+
+// Parse multipart/form-data media bodies: one file in the "media" field (or options.field), held in memory
+// JSON bodies were already parsed by express.json and pass through untouched
+function mediaUploadMiddleware({ field = 'media', maxSize = MEDIA_UPLOAD_MAX_SIZE } = {}) {
+    const mediaUpload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: maxSize, files: 1, fields: 10 }
+    }).single(field);
+
+    return (req, res, next) => {
+        if (!req.is('multipart/form-data')) {
+            return next();
+        }
+
+        mediaUpload(req, res, (error) => {
+            if (error) {
+                if (error.code === 'LIMIT_FILE_SIZE') {
+                    return res.status(413).json({ error: `File too large, maximum is ${maxSize} bytes` });
+                }
+                return res.status(400).json({ error: error.message });
+            }
+            next();
+        });
+    };
+}
+
+module.exports = mediaUploadMiddleware;
@@ -0,0 +1,21 @@
+// Record each request's latency, and count 4xx/5xx responses, by route
+// The route is the matched Express path (/session/:sessionId/chats), so IDs don't create new series
+function metricsMiddleware(metrics) {
+    return (req, res, next) => {
+        const endTimer = metrics.httpRequestDuration.startTimer({ method: req.method });
+
+        res.on('finish', () => {
+            const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+            const status = res.statusCode;
+
+            endTimer({ route: route, status: status });
+            if (status >= 400) {
+                metrics.httpRequestErrors.inc({ method: req.method, route: route, status: status });
+            }
+        });
+
+        next();
+    };
+}
+
+module.exports = metricsMiddleware;
@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+const Logger = require('../core/Logger');
+
+const logger = Logger.forModule('http');
+
+// Client-supplied request IDs are reused when they look like IDs, so they can't inject into logs
+const REQUEST_ID_PATTERN = /^[\w.-]{1,64}$/;
+
+// Give each request an ID (X-Request-Id, echoed in the response) and a logger carrying it as req.log
+// Session routes add sessionId and userId to req.log in the session auth middleware
+function requestLoggerMiddleware() {
+    return (req, res, next) => {
+        const incomingId = req.header('X-Request-Id');
+        req.id = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+        req.log = logger.child({ requestId: req.id });
+        res.set('X-Request-Id', req.id);
+
+        const start = Date.now();
+        res.on('finish', () => {
+            req.log.debug('Request completed', {
+                method: req.method,
+                route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+                status: res.statusCode,
+                durationMs: Date.now() - start
+            });
+        });
+
+        next();
+    };
+}
+
+module.exports = requestLoggerMiddleware;
@@ -0,0 +1,25 @@
+function sessionAuthMiddleware(sessionManager) {
+    return (req, res, next) => {
+        const sessionId = req.params.sessionId || (req.body && req.body.sessionId);
+
+        // Token from "Authorization: Bearer <token>", or ?token= for URLs opened directly by media players
+        const authHeader = req.header('Authorization') || '';
+        const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : req.query.token;
+
+        // Unknown sessions get the same response as bad tokens so session IDs cannot be probed
+        if (!sessionId || !token || !sessionManager.verifySessionToken(sessionId, token)) {
+            req.log.warn('Unauthorized - invalid or missing session token', { sessionId: sessionId });
+            return res.status(401).json({
+                error: 'Unauthorized - Invalid or missing session token'
+            });
+        }
+
+        // Route logs carry the session from here on
+        const session = sessionManager.sessions.get(sessionId);
+        req.log = req.log.child({ sessionId: sessionId, userId: session ? session.userId : undefined });
+
+        next();
+    };
+}
+
+module.exports = sessionAuthMiddleware;
@@ -0,0 +1,28 @@
+const Logger = require('../core/Logger');
+
+const logger = Logger.forModule('socket');
+
+function socketAuthMiddleware(apiKey, sessionManager) {
+    return (socket, next) => {
+        // Credentials from the Socket.IO handshake: io(url, { auth: { apiKey } }) or { auth: { sessionId, token } }
+        const auth = socket.handshake.auth || {};
+        const requestApiKey = auth.apiKey || socket.handshake.headers['x-api-key'];
+        const { sessionId, token } = auth;
+
+        // Session tokens this connection has presented, checked again on every session-scoped event
+        socket.data.sessionTokens = new Map();
+
+        if (sessionId && token && sessionManager.verifySessionToken(sessionId, token)) {
+            socket.data.sessionTokens.set(sessionId, token);
+        } else if (!requestApiKey || requestApiKey !== apiKey) {
+            logger.warn('Unauthorized - invalid or missing API key or session token', { address: socket.handshake.address, socketId: socket.id });
+            const error = new Error('Unauthorized - Invalid or missing API key or session token');
+            error.data = { code: 'unauthorized' };
+            return next(error);
+        }
+
+        next();
+    };
+}
+
+module.exports = socketAuthMiddleware;
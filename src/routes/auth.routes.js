@@ -7,40 +7,38 @@
 function setupAuthRoutes(app, sessionManager) {
     // Create or get session (API key protected)
     app.post('/create-session', sessionManager.apiKeyMiddleware, async (req, res) => {
-        console.log('[CREATE-SESSION] Request received at', new Date().toISOString());
-        console.log('[CREATE-SESSION] Request body:', JSON.stringify(req.body).substring(0, 200));
-
         try {
             const { deviceInfo } = req.body;
 
             if (!deviceInfo) {
-                console.log('[CREATE-SESSION] No device info provided');
+                req.log.warn('Create session without device info');
                 return res.status(400).json({ error: 'Device info required' });
             }
 
             const userId = sessionManager.generateUserId(deviceInfo);
-            console.log('[CREATE-SESSION] Generated userId:', userId);
-
             const sessionId = sessionManager.getOrCreateSession(userId, deviceInfo);
-            console.log('[CREATE-SESSION] Session ID:', sessionId);
+
+            // Secret token required for all /session/:sessionId/* routes and join_session
+            const sessionToken = sessionManager.issueSessionToken(sessionId);
 
             const response = {
                 sessionId: sessionId,
                 userId: userId,
+                sessionToken: sessionToken,
                 message: 'Session created successfully'
             };
 
-            console.log('[CREATE-SESSION] Sending response:', JSON.stringify(response));
+            req.log.info('Session created', { sessionId: sessionId, userId: userId });
             res.json(response);
         } catch (error) {
-            console.error('[CREATE-SESSION] Error creating session:', error);
+            req.log.error('Error creating session', { err: error });
             res.status(500).json({ error: error.message });
         }
     });
 
 
-    // Get QR code for session (API key protected)
-    app.get('/session/:sessionId/qr', sessionManager.apiKeyMiddleware, (req, res) => {
+    // Get QR code for session (session token protected)
+    app.get('/session/:sessionId/qr', sessionManager.sessionAuthMiddleware, (req, res) => {
         const { sessionId } = req.params;
         const session = sessionManager.sessions.get(sessionId);
 
@@ -55,6 +53,22 @@ function setupAuthRoutes(app, sessionManager) {
         }
     });
 
+    // Get pairing code for session (session token protected)
+    app.get('/session/:sessionId/pairing-code', sessionManager.sessionAuthMiddleware, (req, res) => {
+        const { sessionId } = req.params;
+        const session = sessionManager.sessions.get(sessionId);
+
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        if (session.pairingCode) {
+            res.json(session.pairingCode);
+        } else {
+            res.status(404).json({ error: 'Pairing code not available' });
+        }
+    });
+
     // Start WhatsApp session - handler function
     const startSessionHandler = async (req, res) => {
         try {
@@ -65,14 +79,12 @@ function setupAuthRoutes(app, sessionManager) {
                 return res.status(400).json({ error: 'Session ID required' });
             }
 
-            console.log(`[START-SESSION] - Session: ${sessionId} - Timestamp: ${Date.now()}`);
-
             const session = sessionManager.sessions.get(sessionId);
 
-            console.log(`[START-SESSION] Starting session: ${sessionId}`);
+            req.log.info('Starting session');
 
             if (!session) {
-                console.log(`[START-SESSION] Session not found: ${sessionId}`);
+                req.log.warn('Session not found');
                 return res.status(404).json({ error: 'Session not found' });
             }
 
@@ -81,36 +93,50 @@ function setupAuthRoutes(app, sessionManager) {
             const currentUserSessionId = sessionManager.userSessions.get(userId);
 
             if (currentUserSessionId !== sessionId) {
-                console.log(`[START-SESSION] Ignoring start-session for old session ${sessionId}. User ${userId} has newer session ${currentUserSessionId}`);
+                req.log.info('Ignoring start-session for old session, user has a newer session', { currentSessionId: currentUserSessionId });
                 return res.status(410).json({
                     error: 'This session has been replaced by a newer session',
                     currentSessionId: currentUserSessionId
                 });
             }
 
+            // Optional phone number to link with a pairing code instead of a QR code
+            let pairingPhoneNumber = null;
+            if (req.body.phoneNumber) {
+                pairingPhoneNumber = String(req.body.phoneNumber).replace(/[\s()+-]/g, '');
+                if (!/^\d{7,15}$/.test(pairingPhoneNumber)) {
+                    return res.status(400).json({
+                        error: 'Phone number must be in international format including country code (e.g. 12025550108)'
+                    });
+                }
+            }
+
             if (session.client) {
-                console.log(`Session ${sessionId} already has a client`);
+                req.log.info('Session already has a client');
                 return res.json({ message: 'Session already started' });
             }
 
-            console.log(`[START-SESSION] Initializing WhatsApp client for session: ${sessionId}`);
+            session.pairingPhoneNumber = pairingPhoneNumber;
+            const loginMethod = pairingPhoneNumber ? 'pairing_code' : 'qr';
+
+            req.log.info('Initializing WhatsApp client', { login: loginMethod });
 
             // Small delay to ensure socket room connections are established
             await new Promise(resolve => setTimeout(resolve, 500));
 
             try {
                 await sessionManager.initializeClient(sessionId);
-                console.log(`[START-SESSION] Session ${sessionId} initialization started successfully`);
-                res.json({ message: 'Session initialization started' });
+                req.log.info('Session initialization started');
+                res.json({ message: 'Session initialization started', loginMethod });
             } catch (primaryError) {
-                console.log(`[START-SESSION] Primary initialization failed for ${sessionId}, trying fallback method...`);
+                req.log.warn('Primary initialization failed, trying fallback method', { err: primaryError });
 
                 try {
                     await sessionManager.initializeClientFallback(sessionId);
-                    console.log(`[START-SESSION] Session ${sessionId} initialized successfully using fallback method`);
-                    res.json({ message: 'Session initialization started (fallback method)' });
+                    req.log.info('Session initialized using fallback method');
+                    res.json({ message: 'Session initialization started (fallback method)', loginMethod });
                 } catch (fallbackError) {
-                    console.error(`[START-SESSION] Both initialization methods failed for ${sessionId}:`, fallbackError);
+                    req.log.error('Both initialization methods failed', { err: fallbackError });
                     res.status(500).json({
                         error: 'Failed to start session',
                         details: fallbackError.message
@@ -118,17 +144,17 @@ function setupAuthRoutes(app, sessionManager) {
                 }
             }
         } catch (error) {
-            console.error('Error starting session:', error);
+            req.log.error('Error starting session', { err: error });
             res.status(500).json({ error: error.message });
         }
     };
 
     // Start WhatsApp session - supports both /init and /start-session/:sessionId
-    app.post('/init', sessionManager.apiKeyMiddleware, startSessionHandler);
-    app.post('/start-session/:sessionId', sessionManager.apiKeyMiddleware, startSessionHandler);
+    app.post('/init', sessionManager.sessionAuthMiddleware, startSessionHandler);
+    app.post('/start-session/:sessionId', sessionManager.sessionAuthMiddleware, startSessionHandler);
 
     // Logout/destroy session
-    app.post('/session/:sessionId/logout', sessionManager.apiKeyMiddleware, async (req, res) => {
+    app.post('/session/:sessionId/logout', sessionManager.sessionAuthMiddleware, async (req, res) => {
         try {
             const { sessionId } = req.params;
 
@@ -136,7 +162,7 @@ function setupAuthRoutes(app, sessionManager) {
             await sessionManager.destroySession(sessionId);
             res.json({ message: 'Session destroyed successfully' });
         } catch (error) {
-            console.error('Error logging out:', error);
+            req.log.error('Error logging out', { err: error });
             res.status(500).json({ error: error.message });
         }
     });
@@ -1,3 +1,16 @@
+const { Location, Poll } = require('whatsapp-web.js');
+const {
+    MESSAGE_PAGE_MAX_LIMIT,
+    POLL_MAX_OPTIONS,
+    OUTBOX_MAX_PENDING,
+    CLIENT_MESSAGE_ID_MAX_LENGTH
+} = require('../config/constants');
+const { getReadySession, handleActionError, getSendableSession, isValidMentions, sendTextMessage, toChatId } = require('../services/send.service');
+const Logger = require('../core/Logger');
+
+// Helpers outside a request log here; route handlers use req.log
+const logger = Logger.forModule('http');
+
 /**
  * Setup chat-related routes
  * @param {Express} app - Express app instance
@@ -5,11 +18,199 @@
  * @param {Object} audioConverter - Audio converter instance (not used in chat routes but kept for consistency)
  */
 function setupChatRoutes(app, sessionManager) {
-    // Send text message (API key protected)
-    app.post('/session/:sessionId/send-message', sessionManager.apiKeyMiddleware, async (req, res) => {
+    // Look up a ready, healthy session for sending, sending the error response if it isn't
+    const getSessionForSend = async (req, res, action) => {
+        const check = await getSendableSession(sessionManager, req.params.sessionId, action);
+
+        if (check.error) {
+            const body = { error: check.error };
+            if (check.reconnecting) {
+                body.reconnecting = true;
+            }
+            res.status(check.status).json(body);
+            return null;
+        }
+
+        return check.session;
+    };
+
+    // Format a single chat with aggressive timeouts
+    const formatChat = async (chat, shouldIncludeProfilePics = false) => {
+        try {
+            let contact = null;
+            let profilePic = null;
+
+            // Only fetch contact and profile pic if requested
+            if (shouldIncludeProfilePics) {
+                // Fetch contact and profile pic in parallel with aggressive timeouts
+                try {
+                    const contactPromise = Promise.race([
+                        chat.getContact(),
+                        new Promise((_, reject) =>
+                            setTimeout(() => reject(new Error('Contact timeout')), 800)
+                        )
+                    ]);
+                    contact = await contactPromise;
+
+                    // Immediately start fetching profile pic without waiting
+                    if (contact) {
+                        const profilePicPromise = Promise.race([
+                            contact.getProfilePicUrl(),
+                            new Promise((_, reject) =>
+                                setTimeout(() => reject(new Error('Profile pic timeout')), 600)
+                            )
+                        ]);
+                        profilePic = await profilePicPromise;
+                    }
+                } catch (error) {
+                    // Failed to get contact or profile pic, continue with basic info
+                }
+            }
+
+            return {
+                id: chat.id._serialized,
+                name: chat.name || (contact?.name) || (contact?.pushname) || (contact?.number) || 'Unknown',
+                isGroup: chat.isGroup,
+                unreadCount: chat.unreadCount,
+                timestamp: chat.timestamp,
+                archived: chat.archived || false,
+                pinned: chat.pinned || false,
+                isMuted: chat.isMuted || false,
+                muteExpiration: chat.isMuted ? chat.muteExpiration : null,
+                profilePic: profilePic,
+                lastMessage: chat.lastMessage ? {
+                    body: chat.lastMessage.body,
+                    timestamp: chat.lastMessage.timestamp,
+                    fromMe: chat.lastMessage.fromMe,
+                    ack: chat.lastMessage.ack
+                } : null
+            };
+        } catch (error) {
+            logger.warn('Error formatting chat', { chatId: chat.id._serialized, err: error });
+            // Return basic chat info if formatting fails
+            return {
+                id: chat.id._serialized,
+                name: chat.name || 'Unknown',
+                isGroup: chat.isGroup || false,
+                unreadCount: chat.unreadCount || 0,
+                timestamp: chat.timestamp || null,
+                archived: chat.archived || false,
+                pinned: chat.pinned || false,
+                isMuted: chat.isMuted || false,
+                muteExpiration: chat.isMuted ? chat.muteExpiration : null,
+                profilePic: null,
+                lastMessage: chat.lastMessage ? {
+                    body: chat.lastMessage.body || '',
+                    timestamp: chat.lastMessage.timestamp || null,
+                    fromMe: chat.lastMessage.fromMe || false,
+                    ack: chat.lastMessage.ack
+                } : null
+            };
+        }
+    };
+
+
+    // Keep a local copy of sent and fetched messages for search; archive errors never fail the request
+    const archiveMessages = (sessionId, messages) => {
+        sessionManager.archive.storeMessages(sessionId, messages).catch(error => {
+            logger.error('Error archiving messages', { sessionId: sessionId, err: error });
+        });
+    };
+
+    // Respond with a sent message in the same shape as incoming messages
+    const sendResult = async (res, sessionId, result) => {
+        const formattedMessage = await sessionManager.formatMessage(result, sessionId, false, true);
+        archiveMessages(sessionId, [formattedMessage]);
+
+        res.json({
+            success: true,
+            messageId: result.id._serialized,
+            timestamp: result.timestamp,
+            message: formattedMessage
+        });
+    };
+
+    // Queued send-message: stored durably and sent now if possible, otherwise once the session is ready
+    // again. Retried requests with the same clientMessageId get the original's status instead of a second send
+    const sendQueuedMessage = async (req, res) => {
+        const { sessionId } = req.params;
+        const { to, message, quotedMessageId, mentions, clientMessageId } = req.body;
+        const scheduler = sessionManager.scheduler;
+
+        const session = sessionManager.sessions.get(sessionId);
+
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        // The client may be reconnecting, that's what the queue is for
+        session.lastActivity = Date.now();
+
+        const existing = scheduler.getQueuedJob(sessionId, clientMessageId);
+        if (existing) {
+            const finished = existing.status === 'sent' || existing.status === 'failed';
+            return res.status(finished ? 200 : 202).json({
+                success: existing.status !== 'failed',
+                duplicate: true,
+                clientMessageId: clientMessageId,
+                status: existing.status,
+                messageId: existing.messageId,
+                outbox: scheduler.describeJob(existing)
+            });
+        }
+
+        const pending = scheduler.getSessionJobs(sessionId).filter(job => job.clientMessageId && job.status === 'pending');
+        if (pending.length >= OUTBOX_MAX_PENDING) {
+            return res.status(429).json({ error: `Too many queued messages, maximum is ${OUTBOX_MAX_PENDING}` });
+        }
+
+        const job = await scheduler.schedule(sessionId, {
+            chatId: toChatId(to),
+            sendAt: Date.now(),
+            message: message,
+            quotedMessageId: quotedMessageId || null,
+            mentions: mentions || null,
+            clientMessageId: clientMessageId
+        });
+
+        const outcome = await scheduler.sendNow(job);
+
+        if (outcome.status === 'sent') {
+            return res.json({
+                success: true,
+                clientMessageId: clientMessageId,
+                status: 'sent',
+                messageId: outcome.result.id._serialized,
+                timestamp: outcome.result.timestamp,
+                message: outcome.message
+            });
+        }
+
+        if (outcome.status === 'failed') {
+            return res.status(outcome.notFound ? 404 : 500).json({
+                error: outcome.error,
+                clientMessageId: clientMessageId,
+                status: 'failed'
+            });
+        }
+
+        // Not sendable right now; the result arrives as an outbox_ack event
+        res.status(202).json({
+            success: true,
+            queued: true,
+            clientMessageId: clientMessageId,
+            status: job.status,
+            messageId: null,
+            outbox: scheduler.describeJob(job)
+        });
+    };
+
+    // Send text message (session token protected)
+    // With a clientMessageId the message is queued instead of failing with 503 while the session reconnects
+    app.post('/session/:sessionId/send-message', sessionManager.sessionAuthMiddleware, async (req, res) => {
         try {
             const { sessionId } = req.params;
-            const { to, message } = req.body;
+            const { to, message, quotedMessageId, mentions, clientMessageId } = req.body;
 
             if (!sessionId) {
                 return res.status(400).json({ error: 'Session ID required' });
@@ -23,45 +224,35 @@ function setupChatRoutes(app, sessionManager) {
                 return res.status(400).json({ error: 'Message required' });
             }
 
-            const session = sessionManager.sessions.get(sessionId);
-
-            if (!session) {
-                return res.status(404).json({ error: 'Session not found' });
+            if (!isValidMentions(mentions)) {
+                return res.status(400).json({ error: 'Mentions must be an array of contact IDs' });
             }
 
-            if (!session.isReady || !session.client) {
-                return res.status(400).json({ error: 'WhatsApp client not ready' });
+            if (clientMessageId !== undefined) {
+                if (typeof clientMessageId !== 'string' || !clientMessageId || clientMessageId.length > CLIENT_MESSAGE_ID_MAX_LENGTH) {
+                    return res.status(400).json({ error: `clientMessageId must be a string of 1-${CLIENT_MESSAGE_ID_MAX_LENGTH} characters` });
+                }
+                return await sendQueuedMessage(req, res);
             }
 
-            // Perform health check before operation
-            const isHealthy = await sessionManager.isSessionHealthy(sessionId);
-            if (!isHealthy) {
-                console.log(`Session ${sessionId} failed health check before send message, triggering reconnection...`);
-                sessionManager.reconnectSession(sessionId).catch(err => {
-                    console.error(`Reconnection failed: ${err.message}`);
-                });
-                return res.status(503).json({
-                    error: 'Session is not healthy, reconnection in progress. Please try again in a moment.',
-                    reconnecting: true
-                });
+            const session = await getSessionForSend(req, res, 'send message');
+            if (!session) {
+                return;
             }
 
-            session.lastActivity = Date.now();
-
-            // Handle both individual (@c.us) and group (@g.us) chats
-            let chatId = to;
-            if (!to.includes('@')) {
-                chatId = `${to}@c.us`;
+            const sent = await sendTextMessage(sessionManager, sessionId, session, { to, message, quotedMessageId, mentions });
+            if (sent.error) {
+                return res.status(sent.status).json({ error: sent.error });
             }
-            const result = await session.client.sendMessage(chatId, message);
 
             res.json({
                 success: true,
-                messageId: result.id._serialized,
-                timestamp: result.timestamp
+                messageId: sent.result.id._serialized,
+                timestamp: sent.result.timestamp,
+                message: sent.message
             });
         } catch (error) {
-            console.error('Error sending message:', error);
+            req.log.error('Error sending message', { err: error });
 
             // Check if error indicates session is closed/disconnected
             if (error.message.includes('Evaluation failed') ||
@@ -71,11 +262,11 @@ function setupChatRoutes(app, sessionManager) {
                 error.message.includes('Connection lost')) {
 
                 const { sessionId } = req.params;
-                console.log(`Session ${sessionId} appears disconnected during send message, triggering reconnection...`);
+                req.log.warn('Session appears disconnected during send message, triggering reconnection');
 
                 // Trigger immediate reconnection
                 sessionManager.reconnectSession(sessionId).catch(reconnectError => {
-                    console.error(`Immediate reconnection failed: ${reconnectError.message}`);
+                    req.log.error('Immediate reconnection failed', { err: reconnectError });
                 });
 
                 res.status(503).json({
@@ -88,8 +279,129 @@ function setupChatRoutes(app, sessionManager) {
         }
     });
 
-    // Get chats for session (API key protected)
-    app.get('/session/:sessionId/chats', sessionManager.apiKeyMiddleware, async (req, res) => {
+    // Send a location pin (session token protected)
+    app.post('/session/:sessionId/send-location', sessionManager.sessionAuthMiddleware, async (req, res) => {
+        try {
+            const { sessionId } = req.params;
+            const { to, name, address, url } = req.body;
+            const latitude = Number(req.body.latitude);
+            const longitude = Number(req.body.longitude);
+
+            if (!to) {
+                return res.status(400).json({ error: 'Recipient (to) required' });
+            }
+
+            if (req.body.latitude === undefined || isNaN(latitude) || latitude < -90 || latitude > 90) {
+                return res.status(400).json({ error: 'Latitude must be a number between -90 and 90' });
+            }
+
+            if (req.body.longitude === undefined || isNaN(longitude) || longitude < -180 || longitude > 180) {
+                return res.status(400).json({ error: 'Longitude must be a number between -180 and 180' });
+            }
+
+            for (const [field, value] of Object.entries({ name, address, url })) {
+                if (value !== undefined && typeof value !== 'string') {
+                    return res.status(400).json({ error: `${field} must be a string` });
+                }
+            }
+
+            const session = await getSessionForSend(req, res, 'send location');
+            if (!session) {
+                return;
+            }
+
+            const location = new Location(latitude, longitude, { name, address, url });
+            const result = await session.client.sendMessage(toChatId(to), location);
+
+            await sendResult(res, sessionId, result);
+        } catch (error) {
+            handleActionError(sessionManager, error, req, res, 'sending location');
+        }
+    });
+
+    // Send one or more contact cards (session token protected)
+    app.post('/session/:sessionId/send-contact', sessionManager.sessionAuthMiddleware, async (req, res) => {
+        try {
+            const { sessionId } = req.params;
+            const { to, contactId } = req.body;
+            const contactIds = req.body.contactIds || (contactId ? [contactId] : null);
+
+            if (!to) {
+                return res.status(400).json({ error: 'Recipient (to) required' });
+            }
+
+            if (!Array.isArray(contactIds) || contactIds.length === 0 ||
+                contactIds.some(id => typeof id !== 'string' || !id)) {
+                return res.status(400).json({ error: 'contactId or a non-empty contactIds array required' });
+            }
+
+            const session = await getSessionForSend(req, res, 'send contact');
+            if (!session) {
+                return;
+            }
+
+            // vCards are built by WhatsApp from the contacts, so each one has to be known
+            const contacts = [];
+            for (const id of contactIds) {
+                const contact = await session.client.getContactById(toChatId(id)).catch(() => null);
+                if (!contact || contact.isGroup) {
+                    return res.status(404).json({ error: `Contact not found: ${id}` });
+                }
+                contacts.push(contact);
+            }
+
+            const content = contacts.length === 1 ? contacts[0] : contacts;
+            const result = await session.client.sendMessage(toChatId(to), content);
+
+            await sendResult(res, sessionId, result);
+        } catch (error) {
+            handleActionError(sessionManager, error, req, res, 'sending contact');
+        }
+    });
+
+    // Send a poll (session token protected)
+    app.post('/session/:sessionId/send-poll', sessionManager.sessionAuthMiddleware, async (req, res) => {
+        try {
+            const { sessionId } = req.params;
+            const { to, question, options } = req.body;
+            const allowMultipleAnswers = req.body.allowMultipleAnswers === true || req.body.allowMultipleAnswers === 'true';
+
+            if (!to) {
+                return res.status(400).json({ error: 'Recipient (to) required' });
+            }
+
+            if (!question || typeof question !== 'string' || !question.trim()) {
+                return res.status(400).json({ error: 'Question required' });
+            }
+
+            if (!Array.isArray(options) || options.some(option => typeof option !== 'string' || !option.trim())) {
+                return res.status(400).json({ error: 'Options must be an array of non-empty strings' });
+            }
+
+            if (options.length < 2 || options.length > POLL_MAX_OPTIONS) {
+                return res.status(400).json({ error: `A poll needs between 2 and ${POLL_MAX_OPTIONS} options` });
+            }
+
+            if (new Set(options.map(option => option.trim())).size !== options.length) {
+                return res.status(400).json({ error: 'Poll options must be unique' });
+            }
+
+            const session = await getSessionForSend(req, res, 'send poll');
+            if (!session) {
+                return;
+            }
+
+            const poll = new Poll(question, options, { allowMultipleAnswers });
+            const result = await session.client.sendMessage(toChatId(to), poll);
+
+            await sendResult(res, sessionId, result);
+        } catch (error) {
+            handleActionError(sessionManager, error, req, res, 'sending poll');
+        }
+    });
+
+    // Get chats for session (session token protected)
+    app.get('/session/:sessionId/chats', sessionManager.sessionAuthMiddleware, async (req, res) => {
         try {
             const { sessionId } = req.params;
             const { includeProfilePics = 'true', limit, offset = '0' } = req.query;
@@ -101,7 +413,6 @@ function setupChatRoutes(app, sessionManager) {
             const session = sessionManager.sessions.get(sessionId);
 
             if (!session) {
-                console.log(`Available sessions: ${Array.from(sessionManager.sessions.keys()).join(', ')}`);
                 return res.status(404).json({ error: 'Session not found' });
             }
 
@@ -128,75 +439,8 @@ function setupChatRoutes(app, sessionManager) {
 
             const shouldIncludeProfilePics = includeProfilePics === 'true';
 
-            // Format a single chat with aggressive timeouts
-            const formatChat = async (chat) => {
-                try {
-                    let contact = null;
-                    let profilePic = null;
-
-                    // Only fetch contact and profile pic if requested
-                    if (shouldIncludeProfilePics) {
-                        // Fetch contact and profile pic in parallel with aggressive timeouts
-                        try {
-                            const contactPromise = Promise.race([
-                                chat.getContact(),
-                                new Promise((_, reject) =>
-                                    setTimeout(() => reject(new Error('Contact timeout')), 800)
-                                )
-                            ]);
-                            contact = await contactPromise;
-
-                            // Immediately start fetching profile pic without waiting
-                            if (contact) {
-                                const profilePicPromise = Promise.race([
-                                    contact.getProfilePicUrl(),
-                                    new Promise((_, reject) =>
-                                        setTimeout(() => reject(new Error('Profile pic timeout')), 600)
-                                    )
-                                ]);
-                                profilePic = await profilePicPromise;
-                            }
-                        } catch (error) {
-                            // Failed to get contact or profile pic, continue with basic info
-                        }
-                    }
-
-                    return {
-                        id: chat.id._serialized,
-                        name: chat.name || (contact?.name) || (contact?.pushname) || (contact?.number) || 'Unknown',
-                        isGroup: chat.isGroup,
-                        unreadCount: chat.unreadCount,
-                        timestamp: chat.timestamp,
-                        profilePic: profilePic,
-                        lastMessage: chat.lastMessage ? {
-                            body: chat.lastMessage.body,
-                            timestamp: chat.lastMessage.timestamp,
-                            fromMe: chat.lastMessage.fromMe,
-                            ack: chat.lastMessage.ack
-                        } : null
-                    };
-                } catch (error) {
-                    console.error(`Error formatting chat ${chat.id._serialized}:`, error.message);
-                    // Return basic chat info if formatting fails
-                    return {
-                        id: chat.id._serialized,
-                        name: chat.name || 'Unknown',
-                        isGroup: chat.isGroup || false,
-                        unreadCount: chat.unreadCount || 0,
-                        timestamp: chat.timestamp || null,
-                        profilePic: null,
-                        lastMessage: chat.lastMessage ? {
-                            body: chat.lastMessage.body || '',
-                            timestamp: chat.lastMessage.timestamp || null,
-                            fromMe: chat.lastMessage.fromMe || false,
-                            ack: chat.lastMessage.ack
-                        } : null
-                    };
-                }
-            };
-
             // Process all chats in parallel
-            const formattedChats = await Promise.all(paginatedChats.map(chat => formatChat(chat)));
+            const formattedChats = await Promise.all(paginatedChats.map(chat => formatChat(chat, shouldIncludeProfilePics)));
 
             res.json({
                 chats: formattedChats.filter(chat => chat !== null),
@@ -206,7 +450,7 @@ function setupChatRoutes(app, sessionManager) {
                 hasMore: (offsetNum + limitNum) < chats.length
             });
         } catch (error) {
-            console.error('Error getting chats:', error);
+            req.log.error('Error getting chats', { err: error });
 
             // Check if error indicates session is closed/disconnected
             if (error.message.includes('Evaluation failed') ||
@@ -216,11 +460,11 @@ function setupChatRoutes(app, sessionManager) {
                 error.message.includes('Connection lost')) {
 
                 const { sessionId } = req.params;
-                console.log(`Session ${sessionId} appears disconnected, triggering reconnection...`);
+                req.log.warn('Session appears disconnected, triggering reconnection');
 
                 // Trigger immediate reconnection
                 sessionManager.reconnectSession(sessionId).catch(reconnectError => {
-                    console.error(`Immediate reconnection failed: ${reconnectError.message}`);
+                    req.log.error('Immediate reconnection failed', { err: reconnectError });
                 });
 
                 res.status(503).json({
@@ -233,8 +477,8 @@ function setupChatRoutes(app, sessionManager) {
         }
     });
 
-    // Mark chat as read (API key protected)
-    app.post('/session/:sessionId/chat/:chatId/mark-read', sessionManager.apiKeyMiddleware, async (req, res) => {
+    // Mark chat as read (session token protected)
+    app.post('/session/:sessionId/chat/:chatId/mark-read', sessionManager.sessionAuthMiddleware, async (req, res) => {
         try {
             const { sessionId, chatId } = req.params;
 
@@ -274,7 +518,7 @@ function setupChatRoutes(app, sessionManager) {
                 message: 'Chat marked as read'
             });
         } catch (error) {
-            console.error('Error marking chat as read:', error);
+            req.log.error('Error marking chat as read', { err: error });
 
             // Check if error indicates session is closed/disconnected
             if (error.message.includes('Evaluation failed') ||
@@ -284,11 +528,11 @@ function setupChatRoutes(app, sessionManager) {
                 error.message.includes('Connection lost')) {
 
                 const { sessionId } = req.params;
-                console.log(`Session ${sessionId} appears disconnected during mark as read, triggering reconnection...`);
+                req.log.warn('Session appears disconnected during mark as read, triggering reconnection');
 
                 // Trigger immediate reconnection
                 sessionManager.reconnectSession(sessionId).catch(reconnectError => {
-                    console.error(`Immediate reconnection failed: ${reconnectError.message}`);
+                    req.log.error('Immediate reconnection failed', { err: reconnectError });
                 });
 
                 res.status(503).json({
@@ -301,8 +545,298 @@ function setupChatRoutes(app, sessionManager) {
         }
     });
 
-    // Get contacts (API key protected)
-    app.get('/session/:sessionId/contacts', sessionManager.apiKeyMiddleware, async (req, res) => {
+    // Look up a chat for an action, sending the error response if anything is missing
+    const getChatForAction = async (req, res) => {
+        const { sessionId, chatId } = req.params;
+
+        const { session, status, error } = getReadySession(sessionManager, sessionId);
+        if (!session) {
+            res.status(status).json({ error });
+            return null;
+        }
+
+        const chat = await session.client.getChatById(chatId);
+        if (!chat) {
+            res.status(404).json({ error: 'Chat not found' });
+            return null;
+        }
+
+        return { session, chat };
+    };
+
+    // Respond with the chat's state after an action (re-read, as most actions don't update the Chat object)
+    const sendChatState = async (res, session, chatId) => {
+        const updated = await session.client.getChatById(chatId);
+
+        res.json({
+            success: true,
+            chatId: chatId,
+            chat: updated ? await formatChat(updated) : null
+        });
+    };
+
+    // Archive a chat (session token protected)
+    app.post('/session/:sessionId/chat/:chatId/archive', sessionManager.sessionAuthMiddleware, async (req, res) => {
+        try {
+            const found = await getChatForAction(req, res);
+            if (!found) {
+                return;
+            }
+
+            await found.chat.archive();
+            await sendChatState(res, found.session, req.params.chatId);
+        } catch (error) {
+            handleActionError(sessionManager, error, req, res, 'archiving chat');
+        }
+    });
+
+    // Unarchive a chat (session token protected)
+    app.post('/session/:sessionId/chat/:chatId/unarchive', sessionManager.sessionAuthMiddleware, async (req, res) => {
+        try {
+            const found = await getChatForAction(req, res);
+            if (!found) {
+                return;
+            }
+
+            await found.chat.unarchive();
+            await sendChatState(res, found.session, req.params.chatId);
+        } catch (error) {
+            handleActionError(sessionManager, error, req, res, 'unarchiving chat');
+        }
+    });
+
+    // Pin a chat (session token protected)
+    app.post('/session/:sessionId/chat/:chatId/pin', sessionManager.sessionAuthMiddleware, async (req, res) => {
+        try {
+            const found = await getChatForAction(req, res);
+            if (!found) {
+                return;
+            }
+
+            // pin() resolves false when the maximum number of pinned chats (3) is reached
+            const pinned = await found.chat.pin();
+            if (!pinned) {
+                return res.status(409).json({ error: 'Maximum number of pinned chats reached' });
+            }
+
+            await sendChatState(res, found.session, req.params.chatId);
+        } catch (error) {
+            handleActionError(sessionManager, error, req, res, 'pinning chat');
+        }
+    });
+
+    // Unpin a chat (session token protected)
+    app.post('/session/:sessionId/chat/:chatId/unpin', sessionManager.sessionAuthMiddleware, async (req, res) => {
+        try {
+            const found = await getChatForAction(req, res);
+            if (!found) {
+                return;
+            }
+
+            await found.chat.unpin();
+            await sendChatState(res, found.session, req.params.chatId);
+        } catch (error) {
+            handleActionError(sessionManager, error, req, res, 'unpinning chat');
+        }
+    });
+
+    // Mute a chat for `duration` seconds, or forever without one (session token protected)
+    app.post('/session/:sessionId/chat/:chatId/mute', sessionManager.sessionAuthMiddleware, async (req, res) => {
+        try {
+            const { duration } = req.body;
+
+            let unmuteDate;
+            if (duration !== undefined && duration !== null) {
+                const seconds = Number(duration);
+                if (!Number.isInteger(seconds) || seconds < 1) {
+                    return res.status(400).json({ error: 'Duration must be a positive number of seconds' });
+                }
+                unmuteDate = new Date(Date.now() + seconds * 1000);
+            }
+
+            const found = await getChatForAction(req, res);
+            if (!found) {
+                return;
+            }
+
+            await found.chat.mute(unmuteDate);
+            await sendChatState(res, found.session, req.params.chatId);
+        } catch (error) {
+            handleActionError(sessionManager, error, req, res, 'muting chat');
+        }
+    });
+
+    // Unmute a chat (session token protected)
+    app.post('/session/:sessionId/chat/:chatId/unmute', sessionManager.sessionAuthMiddleware, async (req, res) => {
+        try {
+            const found = await getChatForAction(req, res);
+            if (!found) {
+                return;
+            }
+
+            await found.chat.unmute();
+            await sendChatState(res, found.session, req.params.chatId);
+        } catch (error) {
+            handleActionError(sessionManager, error, req, res, 'unmuting chat');
+        }
+    });
+
+    // Mark a chat as unread (session token protected)
+    app.post('/session/:sessionId/chat/:chatId/mark-unread', sessionManager.sessionAuthMiddleware, async (req, res) => {
+        try {
+            const found = await getChatForAction(req, res);
+            if (!found) {
+                return;
+            }
+
+            await found.chat.markUnread();
+            await sendChatState(res, found.session, req.params.chatId);
+        } catch (error) {
+            handleActionError(sessionManager, error, req, res, 'marking chat as unread');
+        }
+    });
+
+    // Clear all messages in a chat, keeping the chat itself (session token protected)
+    app.post('/session/:sessionId/chat/:chatId/clear', sessionManager.sessionAuthMiddleware, async (req, res) => {
+        try {
+            const found = await getChatForAction(req, res);
+            if (!found) {
+                return;
+            }
+
+            // Resolves false if WhatsApp Web no longer has the chat
+            const cleared = await found.chat.clearMessages();
+            if (!cleared) {
+                return res.status(404).json({ error: 'Chat not found' });
+            }
+
+            await sessionManager.archive.removeChat(req.params.sessionId, req.params.chatId);
+
+            await sendChatState(res, found.session, req.params.chatId);
+        } catch (error) {
+            handleActionError(sessionManager, error, req, res, 'clearing chat');
+        }
+    });
+
+    // Delete a chat from the chat list (session token protected)
+    app.delete('/session/:sessionId/chat/:chatId', sessionManager.sessionAuthMiddleware, async (req, res) => {
+        try {
+            const { chatId } = req.params;
+
+            const found = await getChatForAction(req, res);
+            if (!found) {
+                return;
+            }
+
+            const deleted = await found.chat.delete();
+            if (!deleted) {
+                return res.status(404).json({ error: 'Chat not found' });
+            }
+
+            await sessionManager.archive.removeChat(req.params.sessionId, chatId);
+
+            res.json({
+                success: true,
+                chatId: chatId
+            });
+        } catch (error) {
+            handleActionError(sessionManager, error, req, res, 'deleting chat');
+        }
+    });
+
+    // Show typing or recording in a chat, or clear it with "paused" (session token protected)
+    // WhatsApp clears the state by itself after about 25 seconds, so clients resend it while the user is still typing
+    app.post('/session/:sessionId/chat/:chatId/typing', sessionManager.sessionAuthMiddleware, async (req, res) => {
+        try {
+            const { chatId } = req.params;
+            const { state = 'typing' } = req.body;
+
+            if (!['typing', 'recording', 'paused'].includes(state)) {
+                return res.status(400).json({ error: 'State must be one of: typing, recording, paused' });
+            }
+
+            const found = await getChatForAction(req, res);
+            if (!found) {
+                return;
+            }
+
+            if (state === 'typing') {
+                await found.chat.sendStateTyping();
+            } else if (state === 'recording') {
+                await found.chat.sendStateRecording();
+            } else {
+                await found.chat.clearState();
+            }
+
+            res.json({
+                success: true,
+                chatId: chatId,
+                state: state
+            });
+        } catch (error) {
+            handleActionError(sessionManager, error, req, res, 'sending chat state');
+        }
+    });
+
+    // Subscribe to a contact's or group's presence_update events and get the current presence (session token protected)
+    app.post('/session/:sessionId/chat/:chatId/presence/subscribe', sessionManager.sessionAuthMiddleware, async (req, res) => {
+        try {
+            const { chatId } = req.params;
+
+            const found = await getChatForAction(req, res);
+            if (!found) {
+                return;
+            }
+
+            if (!found.session.presenceWatcher) {
+                return res.status(400).json({ error: 'WhatsApp client not ready' });
+            }
+
+            const presence = await found.session.presenceWatcher.subscribe(chatId);
+
+            res.json({
+                success: true,
+                chatId: chatId,
+                presence: presence
+            });
+        } catch (error) {
+            handleActionError(sessionManager, error, req, res, 'subscribing to presence');
+        }
+    });
+
+    // Set own presence to "available" (online) or "unavailable" (session token protected)
+    // While available, contacts see the account as online and the phone receives no push notifications
+    app.post('/session/:sessionId/presence', sessionManager.sessionAuthMiddleware, async (req, res) => {
+        try {
+            const { sessionId } = req.params;
+            const { state } = req.body;
+
+            if (!['available', 'unavailable'].includes(state)) {
+                return res.status(400).json({ error: 'State must be one of: available, unavailable' });
+            }
+
+            const { session, status, error } = getReadySession(sessionManager, sessionId);
+            if (!session) {
+                return res.status(status).json({ error });
+            }
+
+            if (state === 'available') {
+                await session.client.sendPresenceAvailable();
+            } else {
+                await session.client.sendPresenceUnavailable();
+            }
+
+            res.json({
+                success: true,
+                state: state
+            });
+        } catch (error) {
+            handleActionError(sessionManager, error, req, res, 'setting presence');
+        }
+    });
+
+    // Get contacts (session token protected)
+    app.get('/session/:sessionId/contacts', sessionManager.sessionAuthMiddleware, async (req, res) => {
         try {
             const { sessionId } = req.params;
             const { includeProfilePics = 'true', limit, offset = '0' } = req.query;
@@ -314,7 +848,6 @@ function setupChatRoutes(app, sessionManager) {
             const session = sessionManager.sessions.get(sessionId);
 
             if (!session) {
-                console.log(`Available sessions: ${Array.from(sessionManager.sessions.keys()).join(', ')}`);
                 return res.status(404).json({ error: 'Session not found' });
             }
 
@@ -369,7 +902,7 @@ function setupChatRoutes(app, sessionManager) {
                         profilePic: profilePic
                     };
                 } catch (error) {
-                    console.error(`Error formatting contact ${contact.id._serialized}:`, error.message);
+                    req.log.warn('Error formatting contact', { contactId: contact.id._serialized, err: error });
                     // Return basic contact info if formatting fails
                     return {
                         id: contact.id._serialized,
@@ -392,7 +925,7 @@ function setupChatRoutes(app, sessionManager) {
                 hasMore: (offsetNum + limitNum) < contacts.length
             });
         } catch (error) {
-            console.error('Error getting contacts:', error);
+            req.log.error('Error getting contacts', { err: error });
 
             // Check if error indicates session is closed/disconnected
             if (error.message.includes('Evaluation failed') ||
@@ -402,11 +935,11 @@ function setupChatRoutes(app, sessionManager) {
                 error.message.includes('Connection lost')) {
 
                 const { sessionId } = req.params;
-                console.log(`Session ${sessionId} appears disconnected, triggering reconnection...`);
+                req.log.warn('Session appears disconnected, triggering reconnection');
 
                 // Trigger immediate reconnection
                 sessionManager.reconnectSession(sessionId).catch(reconnectError => {
-                    console.error(`Immediate reconnection failed: ${reconnectError.message}`);
+                    req.log.error('Immediate reconnection failed', { err: reconnectError });
                 });
 
                 res.status(503).json({
@@ -419,11 +952,11 @@ function setupChatRoutes(app, sessionManager) {
         }
     });
 
-    // Get group participants (API key protected)
-    app.get('/session/:sessionId/group/:groupId/participants', sessionManager.apiKeyMiddleware, async (req, res) => {
+    // Get group participants (session token protected)
+    app.get('/session/:sessionId/group/:groupId/participants', sessionManager.sessionAuthMiddleware, async (req, res) => {
         try {
             const { sessionId, groupId } = req.params;
-            console.log(`👥 Group participants requested for session: ${sessionId}, group: ${groupId}`);
+            req.log.debug('Group participants requested', { groupId: groupId });
 
             const session = sessionManager.sessions.get(sessionId);
 
@@ -518,21 +1051,30 @@ function setupChatRoutes(app, sessionManager) {
             });
 
         } catch (error) {
-            console.error('Error getting group participants:', error);
+            req.log.error('Error getting group participants', { err: error });
             res.status(500).json({ error: error.message });
         }
     });
 
-    // Get messages from chat (API key protected)
-    app.get('/session/:sessionId/chat/:chatId/messages', sessionManager.apiKeyMiddleware, async (req, res) => {
+    // Get messages from chat (session token protected)
+    app.get('/session/:sessionId/chat/:chatId/messages', sessionManager.sessionAuthMiddleware, async (req, res) => {
         try {
             const { sessionId, chatId } = req.params;
-            const { limit = '50', includeMedia = 'false', includeContacts = 'true' } = req.query;
+            const { limit = '50', before, after, includeMedia = 'false', includeContacts = 'true' } = req.query;
 
             if (!sessionId) {
                 return res.status(400).json({ error: 'Session ID required' });
             }
 
+            if (before && after) {
+                return res.status(400).json({ error: 'Use either before or after, not both' });
+            }
+
+            const limitNum = parseInt(limit);
+            if (isNaN(limitNum) || limitNum < 1) {
+                return res.status(400).json({ error: 'Limit must be a positive number' });
+            }
+
             const session = sessionManager.sessions.get(sessionId);
 
             if (!session) {
@@ -546,7 +1088,17 @@ function setupChatRoutes(app, sessionManager) {
             session.lastActivity = Date.now();
 
             const chat = await session.client.getChatById(chatId);
-            const messages = await chat.fetchMessages({ limit: parseInt(limit) });
+            const page = await sessionManager.fetchMessagesPage(chat, {
+                limit: Math.min(limitNum, MESSAGE_PAGE_MAX_LIMIT),
+                before: before || null,
+                after: after || null
+            });
+
+            if (page.cursorNotFound) {
+                return res.status(404).json({ error: 'Cursor message not found in chat history' });
+            }
+
+            const { messages } = page;
 
             const shouldIncludeMedia = includeMedia === 'true';
             const shouldIncludeContacts = includeContacts === 'true';
@@ -558,12 +1110,16 @@ function setupChatRoutes(app, sessionManager) {
                 )
             );
 
+            archiveMessages(sessionId, formattedMessages);
+
             // Filter out any null results
             res.json({
-                messages: formattedMessages.filter(msg => msg !== null)
+                messages: formattedMessages.filter(msg => msg !== null),
+                nextCursor: page.nextCursor,
+                hasMore: page.hasMore
             });
         } catch (error) {
-            console.error('Error getting messages:', error);
+            req.log.error('Error getting messages', { err: error });
 
             // Check if error indicates session is closed/disconnected
             if (error.message.includes('Evaluation failed') ||
@@ -573,11 +1129,11 @@ function setupChatRoutes(app, sessionManager) {
                 error.message.includes('Connection lost')) {
 
                 const { sessionId } = req.params;
-                console.log(`Session ${sessionId} appears disconnected during get messages, triggering reconnection...`);
+                req.log.warn('Session appears disconnected during get messages, triggering reconnection');
 
                 // Trigger immediate reconnection
                 sessionManager.reconnectSession(sessionId).catch(reconnectError => {
-                    console.error(`Immediate reconnection failed: ${reconnectError.message}`);
+                    req.log.error('Immediate reconnection failed', { err: reconnectError });
                 });
 
                 res.status(503).json({
@@ -1,6 +1,9 @@
 const { Client, LocalAuth } = require('whatsapp-web.js');
 const fs = require('fs').promises;
 const path = require('path');
+const Logger = require('../core/Logger');
+
+const logger = Logger.forModule('http');
 
 /**
  * Debug routes for testing and monitoring WhatsApp server
@@ -42,9 +45,9 @@ module.exports = function setupDebugRoutes(app, sessionManager, io) {
     });
 
     // Debug route to test Puppeteer
-    app.get('/debug/puppeteer', async (req, res) => {
+    app.get('/debug/puppeteer', sessionManager.apiKeyMiddleware, async (req, res) => {
         try {
-            console.log(`Testing Puppeteer launch...`);
+            req.log.info('Testing Puppeteer launch');
             const puppeteer = require('puppeteer');
 
             const browser = await puppeteer.launch({
@@ -62,12 +65,12 @@ module.exports = function setupDebugRoutes(app, sessionManager, io) {
                 ]
             });
 
-            console.log(`Puppeteer browser launched successfully`);
+            req.log.info('Puppeteer browser launched');
 
             const page = await browser.newPage();
             await page.goto('https://web.whatsapp.com', { waitUntil: 'networkidle0', timeout: 30000 });
 
-            console.log(`WhatsApp Web loaded successfully`);
+            req.log.info('WhatsApp Web loaded');
 
             const title = await page.title();
             await browser.close();
@@ -79,7 +82,7 @@ module.exports = function setupDebugRoutes(app, sessionManager, io) {
                 platform: process.platform
             });
         } catch (error) {
-            console.error(`Puppeteer test failed:`, error);
+            req.log.error('Puppeteer test failed', { err: error });
             res.status(500).json({
                 success: false,
                 error: error.message,
@@ -90,7 +93,7 @@ module.exports = function setupDebugRoutes(app, sessionManager, io) {
     });
 
     // Debug route to test socket connections
-    app.get('/debug/sockets', (req, res) => {
+    app.get('/debug/sockets', sessionManager.apiKeyMiddleware, (req, res) => {
         const sockets = [];
         for (const [id, socket] of io.sockets.sockets) {
             sockets.push({
@@ -110,15 +113,15 @@ module.exports = function setupDebugRoutes(app, sessionManager, io) {
     });
 
     // Debug route to test QR generation flow
-    app.post('/debug/test-qr-flow', async (req, res) => {
+    app.post('/debug/test-qr-flow', sessionManager.apiKeyMiddleware, async (req, res) => {
         try {
-            console.log(`Testing QR generation flow...`);
+            req.log.info('Testing QR generation flow');
 
             // Create a test session
             const testUserId = 'debug_user_' + Date.now();
             const testSessionId = sessionManager.getOrCreateSession(testUserId, { test: true });
 
-            console.log(`Created test session: ${testSessionId}`);
+            req.log.info('Created test session', { sessionId: testSessionId, userId: testUserId });
 
             // Check if we can initialize a client (without actually doing it)
             const session = sessionManager.sessions.get(testSessionId);
@@ -137,11 +140,11 @@ module.exports = function setupDebugRoutes(app, sessionManager, io) {
             setTimeout(() => {
                 sessionManager.sessions.delete(testSessionId);
                 sessionManager.userSessions.delete(testUserId);
-                console.log(`Cleaned up test session: ${testSessionId}`);
+                req.log.info('Cleaned up test session', { sessionId: testSessionId, userId: testUserId });
             }, 30000);
 
         } catch (error) {
-            console.error(`QR flow test failed:`, error);
+            req.log.error('QR flow test failed', { err: error });
             res.status(500).json({
                 success: false,
                 error: error.message,
@@ -151,7 +154,7 @@ module.exports = function setupDebugRoutes(app, sessionManager, io) {
     });
 
     // Direct WhatsApp client test endpoint - ISOLATED TEST
-    app.post('/debug/test-whatsapp-client', async (req, res) => {
+    app.post('/debug/test-whatsapp-client', sessionManager.apiKeyMiddleware, async (req, res) => {
         let testClient = null;
         let qrReceived = false;
         let initSuccess = false;
@@ -160,7 +163,7 @@ module.exports = function setupDebugRoutes(app, sessionManager, io) {
         function log(message) {
             const timestamp = new Date().toISOString();
             const logEntry = `[${timestamp}] ${message}`;
-            console.log(`[LOG]: ${logEntry}`);
+            req.log.debug(message);
             logs.push(logEntry);
         }
 
@@ -315,5 +318,5 @@ module.exports = function setupDebugRoutes(app, sessionManager, io) {
         }
     });
 
-    console.log('Debug routes loaded');
+    logger.debug('Debug routes loaded');
 };
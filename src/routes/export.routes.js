@@ -0,0 +1,132 @@
+const { EXPORT_MAX_PENDING } = require('../config/constants');
+
+/**
+ * Setup chat export routes
+ * An export is built in the background (progress arrives as export_progress socket events),
+ * then downloaded as a ZIP with chat.txt, chat.html, messages.json and a media folder
+ * @param {Express} app - Express app instance
+ * @param {Object} sessionManager - Session manager with sessions Map and middleware functions
+ */
+function setupExportRoutes(app, sessionManager) {
+    const exportManager = sessionManager.exports;
+
+    // Start exporting a chat (session token protected)
+    app.post('/session/:sessionId/chat/:chatId/export', sessionManager.sessionAuthMiddleware, async (req, res) => {
+        try {
+            const { sessionId, chatId } = req.params;
+            const { includeMedia = true, timeZone = null } = req.body;
+
+            if (typeof includeMedia !== 'boolean') {
+                return res.status(400).json({ error: 'includeMedia must be a boolean' });
+            }
+
+            // Dates in the transcripts use this IANA time zone (e.g. "Europe/Lisbon"), the server's by default
+            if (timeZone !== null) {
+                try {
+                    new Intl.DateTimeFormat('en-GB', { timeZone: timeZone });
+                } catch (error) {
+                    return res.status(400).json({ error: `Unknown time zone: ${timeZone}` });
+                }
+            }
+
+            const session = sessionManager.sessions.get(sessionId);
+
+            if (!session) {
+                return res.status(404).json({ error: 'Session not found' });
+            }
+
+            if (!session.isReady || !session.client) {
+                return res.status(400).json({ error: 'WhatsApp client not ready' });
+            }
+
+            const running = exportManager.getSessionExports(sessionId).filter(job => exportManager.isRunning(job));
+            if (running.length >= EXPORT_MAX_PENDING) {
+                return res.status(429).json({
+                    error: `Too many exports in progress, maximum is ${EXPORT_MAX_PENDING}`,
+                    export: exportManager.describeExport(running[0])
+                });
+            }
+
+            session.lastActivity = Date.now();
+
+            const chat = await session.client.getChatById(chatId);
+            if (!chat) {
+                return res.status(404).json({ error: 'Chat not found' });
+            }
+
+            const job = await exportManager.startExport(sessionId, chat, { includeMedia, timeZone });
+
+            res.status(202).json({
+                success: true,
+                export: exportManager.describeExport(job)
+            });
+        } catch (error) {
+            req.log.error('Error starting export', { err: error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // List the session's exports, newest first (session token protected)
+    app.get('/session/:sessionId/exports', sessionManager.sessionAuthMiddleware, (req, res) => {
+        const { sessionId } = req.params;
+
+        res.json({
+            exports: exportManager.getSessionExports(sessionId).map(job => exportManager.describeExport(job))
+        });
+    });
+
+    // Export status and progress (session token protected)
+    app.get('/session/:sessionId/exports/:exportId', sessionManager.sessionAuthMiddleware, (req, res) => {
+        const { sessionId, exportId } = req.params;
+
+        const job = exportManager.getExport(sessionId, exportId);
+        if (!job) {
+            return res.status(404).json({ error: 'Export not found' });
+        }
+
+        res.json({ export: exportManager.describeExport(job) });
+    });
+
+    // Download a finished export; supports Range for resuming (session token protected)
+    app.get('/session/:sessionId/exports/:exportId/download', sessionManager.sessionAuthMiddleware, (req, res) => {
+        const { sessionId, exportId } = req.params;
+
+        const job = exportManager.getExport(sessionId, exportId);
+        if (!job) {
+            return res.status(404).json({ error: 'Export not found' });
+        }
+
+        if (job.status !== 'complete') {
+            return res.status(409).json({ error: 'Export is not complete', export: exportManager.describeExport(job) });
+        }
+
+        const filename = `WhatsApp Chat - ${job.chatName}.zip`.replace(/[/\\:*?"<>|]/g, '_');
+
+        res.download(job.filePath, filename, { dotfiles: 'allow' }, (error) => {
+            if (error && !res.headersSent) {
+                req.log.error('Error sending export', { exportId: exportId, err: error });
+                res.status(500).json({ error: 'Failed to send export' });
+            }
+        });
+    });
+
+    // Cancel a running export, or delete a finished one (session token protected)
+    app.delete('/session/:sessionId/exports/:exportId', sessionManager.sessionAuthMiddleware, async (req, res) => {
+        try {
+            const { sessionId, exportId } = req.params;
+
+            if (!exportManager.getExport(sessionId, exportId)) {
+                return res.status(404).json({ error: 'Export not found' });
+            }
+
+            await exportManager.deleteExport(exportId);
+
+            res.json({ success: true });
+        } catch (error) {
+            req.log.error('Error deleting export', { err: error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+}
+
+module.exports = { setupExportRoutes };
@@ -0,0 +1,518 @@
+const { MessageMedia } = require('whatsapp-web.js');
+const UploadManager = require('../core/UploadManager');
+const { mediaUploadMiddleware } = require('../middleware');
+const { GROUP_PICTURE_MAX_SIZE } = require('../config/constants');
+const { getReadySession, handleActionError, getOwnParticipant } = require('../services/send.service');
+
+/**
+ * Setup group administration routes
+ * @param {Express} app - Express app instance
+ * @param {Object} sessionManager - Session manager with sessions Map and middleware functions
+ */
+function setupGroupRoutes(app, sessionManager) {
+    // Look up a ready session, sending the error response if it isn't
+    const getSessionForAction = (req, res) => {
+        const { session, status, error } = getReadySession(sessionManager, req.params.sessionId);
+        if (!session) {
+            res.status(status).json({ error });
+            return null;
+        }
+
+        return session;
+    };
+
+    // Look up a group for an action, sending the error response if anything is missing
+    const getGroupForAction = async (req, res) => {
+        const session = getSessionForAction(req, res);
+        if (!session) {
+            return null;
+        }
+
+        const group = await session.client.getChatById(req.params.groupId).catch(() => null);
+        if (!group) {
+            res.status(404).json({ error: 'Group not found' });
+            return null;
+        }
+
+        if (!group.isGroup) {
+            res.status(400).json({ error: 'Chat is not a group' });
+            return null;
+        }
+
+        return { session, group };
+    };
+
+    // Admin-only actions are checked up front: WhatsApp Web reports them as page errors
+    // that would otherwise look like a disconnected session
+    const requireAdmin = async (res, session, group) => {
+        const own = await getOwnParticipant(session.client, group);
+        if (!own || !(own.isAdmin || own.isSuperAdmin)) {
+            res.status(403).json({ error: 'You are not an admin of this group' });
+            return false;
+        }
+
+        return true;
+    };
+
+    // Validate a participants array, normalising phone numbers to contact IDs
+    const parseParticipants = (participants, res) => {
+        if (!Array.isArray(participants) || participants.length === 0 ||
+            participants.some(id => typeof id !== 'string' || !id)) {
+            res.status(400).json({ error: 'Participants must be a non-empty array of contact IDs' });
+            return null;
+        }
+
+        return [...new Set(participants.map(id => id.includes('@') ? id : `${id}@c.us`))];
+    };
+
+    // Turn whatsapp-web.js add results ({ id: { code|statusCode, message, isInviteV4Sent } }) into an array
+    const formatAddResults = (results) => Object.entries(results || {}).map(([id, result]) => {
+        const code = result.code || result.statusCode;
+        return {
+            id: id,
+            code: code,
+            added: code === 200,
+            message: result.message,
+            inviteSent: result.isInviteV4Sent || false
+        };
+    });
+
+    // Group details as returned by the API
+    const formatGroup = (group) => ({
+        id: group.id._serialized,
+        name: group.name,
+        description: group.description || null,
+        owner: group.owner ? group.owner._serialized : null,
+        createdAt: group.groupMetadata && group.groupMetadata.creation ? group.groupMetadata.creation : null,
+        participantCount: (group.participants || []).length,
+        settings: {
+            messagesAdminsOnly: Boolean(group.groupMetadata && group.groupMetadata.announce),
+            infoAdminsOnly: Boolean(group.groupMetadata && group.groupMetadata.restrict)
+        }
+    });
+
+    // multipart/form-data group pictures: one image in the "picture" field
+    const parsePictureUpload = mediaUploadMiddleware({ field: 'picture', maxSize: GROUP_PICTURE_MAX_SIZE });
+
+    // Create a group (session token protected)
+    app.post('/session/:sessionId/groups', sessionManager.sessionAuthMiddleware, async (req, res) => {
+        try {
+            const { title, participants = [] } = req.body;
+
+            if (!title || typeof title !== 'string' || !title.trim()) {
+                return res.status(400).json({ error: 'Title required' });
+            }
+
+            if (!Array.isArray(participants)) {
+                return res.status(400).json({ error: 'Participants must be an array of contact IDs' });
+            }
+
+            // A group can be created with only yourself in it
+            let participantIds = [];
+            if (participants.length > 0) {
+                participantIds = parseParticipants(participants, res);
+                if (!participantIds) {
+                    return;
+                }
+            }
+
+            const session = getSessionForAction(req, res);
+            if (!session) {
+                return;
+            }
+
+            const result = await session.client.createGroup(title.trim(), participantIds);
+
+            // whatsapp-web.js reports failures as a message string
+            if (typeof result === 'string') {
+                return res.status(500).json({ error: result });
+            }
+
+            res.status(201).json({
+                success: true,
+                groupId: result.gid._serialized,
+                title: result.title,
+                participants: formatAddResults(result.participants)
+            });
+        } catch (error) {
+            handleActionError(sessionManager, error, req, res, 'creating group');
+        }
+    });
+
+    // Join a group by invite code or chat.whatsapp.com link (session token protected)
+    app.post('/session/:sessionId/groups/join', sessionManager.sessionAuthMiddleware, async (req, res) => {
+        try {
+            const { inviteCode } = req.body;
+
+            if (!inviteCode || typeof inviteCode !== 'string') {
+                return res.status(400).json({ error: 'Invite code required' });
+            }
+
+            // Accept full invite links as well as bare codes
+            const code = inviteCode.trim().replace(/^https?:\/\/chat\.whatsapp\.com\//i, '').split(/[/?#]/)[0];
+
+            const session = getSessionForAction(req, res);
+            if (!session) {
+                return;
+            }
+
+            const info = await session.client.getInviteInfo(code).catch(() => null);
+            if (!info) {
+                return res.status(404).json({ error: 'Invite code is invalid or has been revoked' });
+            }
+
+            const groupId = await session.client.acceptInvite(code);
+
+            res.json({
+                success: true,
+                groupId: groupId
+            });
+        } catch (error) {
+            handleActionError(sessionManager, error, req, res, 'joining group');
+        }
+    });
+
+    // Get group details (session token protected)
+    app.get('/session/:sessionId/group/:groupId', sessionManager.sessionAuthMiddleware, async (req, res) => {
+        try {
+            const found = await getGroupForAction(req, res);
+            if (!found) {
+                return;
+            }
+
+            const own = await getOwnParticipant(found.session.client, found.group);
+
+            res.json({
+                group: {
+                    ...formatGroup(found.group),
+                    iAmAdmin: Boolean(own && (own.isAdmin || own.isSuperAdmin))
+                }
+            });
+        } catch (error) {
+            handleActionError(sessionManager, error, req, res, 'getting group');
+        }
+    });
+
+    // Add participants, with a result code per participant (session token protected)
+    app.post('/session/:sessionId/group/:groupId/participants/add', sessionManager.sessionAuthMiddleware, async (req, res) => {
+        try {
+            const participantIds = parseParticipants(req.body.participants, res);
+            if (!participantIds) {
+                return;
+            }
+
+            const found = await getGroupForAction(req, res);
+            if (!found || !await requireAdmin(res, found.session, found.group)) {
+                return;
+            }
+
+            // Participants who block being added get a private invite instead (code 403, inviteSent: true)
+            const result = await found.group.addParticipants(participantIds, { autoSendInviteV4: true });
+
+            if (typeof result === 'string') {
+                return res.status(400).json({ error: result });
+            }
+
+            const results = formatAddResults(result);
+            const addedCount = results.filter(entry => entry.added).length;
+
+            res.json({
+                success: addedCount === results.length,
+                groupId: req.params.groupId,
+                addedCount: addedCount,
+                failedCount: results.length - addedCount,
+                results: results
+            });
+        } catch (error) {
+            handleActionError(sessionManager, error, req, res, 'adding group participants');
+        }
+    });
+
+    // Remove, promote or demote participants (session token protected)
+    const participantActions = {
+        remove: { method: 'removeParticipants', label: 'removing group participants' },
+        promote: { method: 'promoteParticipants', label: 'promoting group participants' },
+        demote: { method: 'demoteParticipants', label: 'demoting group participants' }
+    };
+
+    for (const [action, { method, label }] of Object.entries(participantActions)) {
+        app.post(`/session/:sessionId/group/:groupId/participants/${action}`, sessionManager.sessionAuthMiddleware, async (req, res) => {
+            try {
+                const participantIds = parseParticipants(req.body.participants, res);
+                if (!participantIds) {
+                    return;
+                }
+
+                const found = await getGroupForAction(req, res);
+                if (!found || !await requireAdmin(res, found.session, found.group)) {
+                    return;
+                }
+
+                // Only current members can be changed; everyone else gets a 404 result
+                // Groups may list members by LID, so phone IDs are matched through their LID as well
+                const memberIds = new Set((found.group.participants || []).map(participant => participant.id._serialized));
+                const mappings = await found.session.client.getContactLidAndPhone(participantIds).catch(() => []);
+                const isMember = (id, index) => memberIds.has(id) ||
+                    Boolean(mappings[index] && (memberIds.has(mappings[index].lid) || memberIds.has(mappings[index].pn)));
+                const members = participantIds.filter(isMember);
+
+                let status = 200;
+                if (members.length > 0) {
+                    const result = await found.group[method](members);
+                    status = result && result.status ? result.status : 200;
+                }
+
+                const results = participantIds.map((id, index) => {
+                    const code = isMember(id, index) ? status : 404;
+                    return {
+                        id: id,
+                        code: code,
+                        success: code === 200,
+                        message: code === 404 ? 'Not a participant of this group' : null
+                    };
+                });
+                const successCount = results.filter(entry => entry.success).length;
+
+                res.json({
+                    success: successCount === results.length,
+                    groupId: req.params.groupId,
+                    successCount: successCount,
+                    failedCount: results.length - successCount,
+                    results: results
+                });
+            } catch (error) {
+                handleActionError(sessionManager, error, req, res, label);
+            }
+        });
+    }
+
+    // Change the group subject (session token protected)
+    app.post('/session/:sessionId/group/:groupId/subject', sessionManager.sessionAuthMiddleware, async (req, res) => {
+        try {
+            const { subject } = req.body;
+
+            if (!subject || typeof subject !== 'string' || !subject.trim()) {
+                return res.status(400).json({ error: 'Subject required' });
+            }
+
+            const found = await getGroupForAction(req, res);
+            if (!found) {
+                return;
+            }
+
+            // Resolves false when the group only lets admins edit its info
+            const updated = await found.group.setSubject(subject.trim());
+            if (!updated) {
+                return res.status(403).json({ error: 'Not allowed to change the subject of this group' });
+            }
+
+            res.json({
+                success: true,
+                groupId: req.params.groupId,
+                subject: subject.trim()
+            });
+        } catch (error) {
+            handleActionError(sessionManager, error, req, res, 'changing group subject');
+        }
+    });
+
+    // Change the group description, empty to remove it (session token protected)
+    app.post('/session/:sessionId/group/:groupId/description', sessionManager.sessionAuthMiddleware, async (req, res) => {
+        try {
+            const { description } = req.body;
+
+            if (typeof description !== 'string') {
+                return res.status(400).json({ error: 'Description required (empty string to remove it)' });
+            }
+
+            const found = await getGroupForAction(req, res);
+            if (!found) {
+                return;
+            }
+
+            const updated = await found.group.setDescription(description);
+            if (!updated) {
+                return res.status(403).json({ error: 'Not allowed to change the description of this group' });
+            }
+
+            res.json({
+                success: true,
+                groupId: req.params.groupId,
+                description: description
+            });
+        } catch (error) {
+            handleActionError(sessionManager, error, req, res, 'changing group description');
+        }
+    });
+
+    // Set the group picture from a data URL or a multipart "picture" file (session token protected)
+    app.post('/session/:sessionId/group/:groupId/picture', sessionManager.sessionAuthMiddleware, parsePictureUpload, async (req, res) => {
+        try {
+            let buffer;
+            let declaredMimetype;
+            if (req.file) {
+                buffer = req.file.buffer;
+                declaredMimetype = req.file.mimetype;
+            } else if (typeof req.body.picture === 'string' && req.body.picture.startsWith('data:')) {
+                declaredMimetype = req.body.picture.split(';')[0].split(':')[1];
+                buffer = Buffer.from(req.body.picture.split(',')[1] || '', 'base64');
+            } else {
+                return res.status(400).json({ error: 'Picture required as a base64 data URL or a multipart file' });
+            }
+
+            if (buffer.length > GROUP_PICTURE_MAX_SIZE) {
+                return res.status(413).json({ error: `Picture too large, maximum is ${GROUP_PICTURE_MAX_SIZE} bytes` });
+            }
+
+            const mimetype = UploadManager.sniffMimeType(buffer, declaredMimetype);
+            if (!mimetype.startsWith('image/')) {
+                return res.status(400).json({ error: 'Picture must be an image' });
+            }
+
+            const found = await getGroupForAction(req, res);
+            if (!found) {
+                return;
+            }
+
+            // WhatsApp Web crops and resizes the image itself
+            const updated = await found.group.setPicture(new MessageMedia(mimetype, buffer.toString('base64')));
+            if (!updated) {
+                return res.status(403).json({ error: 'Not allowed to change the picture of this group' });
+            }
+
+            res.json({
+                success: true,
+                groupId: req.params.groupId
+            });
+        } catch (error) {
+            handleActionError(sessionManager, error, req, res, 'setting group picture');
+        }
+    });
+
+    // Remove the group picture (session token protected)
+    app.delete('/session/:sessionId/group/:groupId/picture', sessionManager.sessionAuthMiddleware, async (req, res) => {
+        try {
+            const found = await getGroupForAction(req, res);
+            if (!found) {
+                return;
+            }
+
+            const deleted = await found.group.deletePicture();
+            if (!deleted) {
+                return res.status(403).json({ error: 'Not allowed to remove the picture of this group, or it has none' });
+            }
+
+            res.json({
+                success: true,
+                groupId: req.params.groupId
+            });
+        } catch (error) {
+            handleActionError(sessionManager, error, req, res, 'removing group picture');
+        }
+    });
+
+    // Change who may send messages and edit group info (session token protected)
+    app.post('/session/:sessionId/group/:groupId/settings', sessionManager.sessionAuthMiddleware, async (req, res) => {
+        try {
+            const { messagesAdminsOnly, infoAdminsOnly } = req.body;
+
+            if (messagesAdminsOnly === undefined && infoAdminsOnly === undefined) {
+                return res.status(400).json({ error: 'messagesAdminsOnly or infoAdminsOnly required' });
+            }
+
+            for (const [field, value] of Object.entries({ messagesAdminsOnly, infoAdminsOnly })) {
+                if (value !== undefined && typeof value !== 'boolean') {
+                    return res.status(400).json({ error: `${field} must be a boolean` });
+                }
+            }
+
+            const found = await getGroupForAction(req, res);
+            if (!found || !await requireAdmin(res, found.session, found.group)) {
+                return;
+            }
+
+            if (messagesAdminsOnly !== undefined && !await found.group.setMessagesAdminsOnly(messagesAdminsOnly)) {
+                return res.status(403).json({ error: 'Failed to change who can send messages' });
+            }
+
+            if (infoAdminsOnly !== undefined && !await found.group.setInfoAdminsOnly(infoAdminsOnly)) {
+                return res.status(403).json({ error: 'Failed to change who can edit group info' });
+            }
+
+            const updated = await found.session.client.getChatById(req.params.groupId);
+
+            res.json({
+                success: true,
+                groupId: req.params.groupId,
+                settings: formatGroup(updated).settings
+            });
+        } catch (error) {
+            handleActionError(sessionManager, error, req, res, 'changing group settings');
+        }
+    });
+
+    // Get the group invite link (session token protected)
+    app.get('/session/:sessionId/group/:groupId/invite', sessionManager.sessionAuthMiddleware, async (req, res) => {
+        try {
+            const found = await getGroupForAction(req, res);
+            if (!found || !await requireAdmin(res, found.session, found.group)) {
+                return;
+            }
+
+            const inviteCode = await found.group.getInviteCode();
+            if (!inviteCode) {
+                return res.status(403).json({ error: 'Not allowed to get the invite link of this group' });
+            }
+
+            res.json({
+                groupId: req.params.groupId,
+                inviteCode: inviteCode,
+                inviteLink: `https://chat.whatsapp.com/${inviteCode}`
+            });
+        } catch (error) {
+            handleActionError(sessionManager, error, req, res, 'getting group invite');
+        }
+    });
+
+    // Revoke the invite link and get a new one (session token protected)
+    app.post('/session/:sessionId/group/:groupId/invite/revoke', sessionManager.sessionAuthMiddleware, async (req, res) => {
+        try {
+            const found = await getGroupForAction(req, res);
+            if (!found || !await requireAdmin(res, found.session, found.group)) {
+                return;
+            }
+
+            const inviteCode = await found.group.revokeInvite();
+
+            res.json({
+                success: true,
+                groupId: req.params.groupId,
+                inviteCode: inviteCode,
+                inviteLink: `https://chat.whatsapp.com/${inviteCode}`
+            });
+        } catch (error) {
+            handleActionError(sessionManager, error, req, res, 'revoking group invite');
+        }
+    });
+
+    // Leave a group (session token protected)
+    app.post('/session/:sessionId/group/:groupId/leave', sessionManager.sessionAuthMiddleware, async (req, res) => {
+        try {
+            const found = await getGroupForAction(req, res);
+            if (!found) {
+                return;
+            }
+
+            await found.group.leave();
+
+            res.json({
+                success: true,
+                groupId: req.params.groupId
+            });
+        } catch (error) {
+            handleActionError(sessionManager, error, req, res, 'leaving group');
+        }
+    });
+}
+
+module.exports = { setupGroupRoutes };
@@ -7,9 +7,20 @@ const { marked } = require('marked');
 // Import route setup functions
 const { setupAuthRoutes } = require('./auth.routes');
 const { setupChatRoutes } = require('./chat.routes');
+const { setupGroupRoutes } = require('./group.routes');
 const { setupMediaRoutes } = require('./media.routes');
+const { setupMessageRoutes } = require('./message.routes');
+const { setupSearchRoutes } = require('./search.routes');
+const { setupUploadRoutes } = require('./upload.routes');
+const { setupExportRoutes } = require('./export.routes');
+const { setupScheduledRoutes } = require('./scheduled.routes');
+const { setupWebhookRoutes } = require('./webhook.routes');
 const { setupStatsRoutes } = require('./stats.routes');
+const { setupMetricsRoutes } = require('./metrics.routes');
 const setupDebugRoutes = require('./debug.routes');
+const Logger = require('../core/Logger');
+
+const logger = Logger.forModule('http');
 
 /**
  * Setup all application routes
@@ -38,8 +49,16 @@ function setupRoutes(app, sessionManager, audioConverter, io) {
     // Setup all route groups
     setupAuthRoutes(app, sessionManager, audioConverter, io);
     setupChatRoutes(app, sessionManager, audioConverter);
+    setupGroupRoutes(app, sessionManager);
     setupMediaRoutes(app, sessionManager, audioConverter);
+    setupUploadRoutes(app, sessionManager);
+    setupExportRoutes(app, sessionManager);
+    setupScheduledRoutes(app, sessionManager, audioConverter);
+    setupMessageRoutes(app, sessionManager);
+    setupSearchRoutes(app, sessionManager);
+    setupWebhookRoutes(app, sessionManager);
     setupStatsRoutes(app, sessionManager, io);
+    setupMetricsRoutes(app, sessionManager, audioConverter);
     setupDebugRoutes(app, sessionManager, io);
 
     // API documentation route
@@ -50,33 +69,96 @@ function setupRoutes(app, sessionManager, audioConverter, io) {
             endpoints: {
                 session: {
                     'POST /create-session': 'Create or get a session (requires API key)',
-                    'GET /session/:sessionId/qr': 'Get QR code for session (requires API key)',
-                    'POST /init': 'Initialize WhatsApp session (requires API key)',
-                    'POST /start-session/:sessionId': 'Start WhatsApp session (requires API key)',
-                    'POST /session/:sessionId/logout': 'Logout and destroy session (requires API key)'
+                    'GET /session/:sessionId/qr': 'Get QR code for session (requires session token)',
+                    'GET /session/:sessionId/pairing-code': 'Get pairing code for session started with a phone number (requires session token)',
+                    'POST /init': 'Initialize WhatsApp session (requires session token)',
+                    'POST /start-session/:sessionId': 'Start WhatsApp session, pass {phoneNumber} to link with a pairing code (requires session token)',
+                    'POST /session/:sessionId/logout': 'Logout and destroy session (requires session token)'
                 },
                 messaging: {
-                    'POST /session/:sessionId/send-message': 'Send text message (requires API key)',
-                    'POST /session/:sessionId/send-media': 'Send media message (requires API key)',
-                    'POST /session/:sessionId/chat/:chatId/mark-read': 'Mark chat messages as read (requires API key)'
+                    'POST /session/:sessionId/send-message': 'Send text message, optionally quoting a message with mentions; with a clientMessageId it is queued while the session reconnects (requires session token)',
+                    'POST /session/:sessionId/send-location': 'Send a location pin with latitude, longitude and optional name/address (requires session token)',
+                    'POST /session/:sessionId/send-contact': 'Send one or more contact cards by contact ID (requires session token)',
+                    'POST /session/:sessionId/send-poll': 'Send a poll with 2-12 options, optionally multi-select (requires session token)',
+                    'POST /session/:sessionId/send-media': 'Send media as a base64 data URL, a multipart/form-data file or an uploadId; pass sendAudioAsVoice to send audio as a voice note (requires session token)',
+                    'POST /session/:sessionId/chat/:chatId/mark-read': 'Mark chat messages as read (requires session token)',
+                    'POST /session/:sessionId/message/:messageId/react': 'React to a message with an emoji (requires session token)',
+                    'DELETE /session/:sessionId/message/:messageId/react': 'Remove your reaction from a message (requires session token)',
+                    'POST /session/:sessionId/message/:messageId/edit': 'Edit a sent text message (requires session token)',
+                    'DELETE /session/:sessionId/message/:messageId': 'Delete a message for me, or for everyone with ?everyone=true (requires session token)'
                 },
                 chats: {
-                    'GET /session/:sessionId/chats': 'Get all chats (requires API key)',
-                    'GET /session/:sessionId/chat/:chatId/messages': 'Get messages from a chat (requires API key)',
-                    'GET /session/:sessionId/contacts': 'Get contacts (requires API key)',
-                    'GET /session/:sessionId/group/:groupId/participants': 'Get group participants (requires API key)'
+                    'GET /session/:sessionId/chats': 'Get all chats (requires session token)',
+                    'GET /session/:sessionId/chat/:chatId/messages': 'Get messages from a chat, paged with before/after message ID cursors (requires session token)',
+                    'POST /session/:sessionId/chat/:chatId/archive': 'Archive a chat, /unarchive to undo (requires session token)',
+                    'POST /session/:sessionId/chat/:chatId/pin': 'Pin a chat, /unpin to undo (requires session token)',
+                    'POST /session/:sessionId/chat/:chatId/mute': 'Mute a chat for {duration} seconds or forever, /unmute to undo (requires session token)',
+                    'POST /session/:sessionId/chat/:chatId/mark-unread': 'Mark a chat as unread (requires session token)',
+                    'POST /session/:sessionId/chat/:chatId/clear': 'Clear all messages in a chat (requires session token)',
+                    'DELETE /session/:sessionId/chat/:chatId': 'Delete a chat (requires session token)',
+                    'POST /session/:sessionId/chat/:chatId/typing': 'Send {state} typing, recording or paused to a chat (requires session token)',
+                    'POST /session/:sessionId/chat/:chatId/presence/subscribe': 'Subscribe to presence_update events for a contact or group and get its current presence (requires session token)',
+                    'POST /session/:sessionId/presence': 'Set own presence {state} to available or unavailable (requires session token)',
+                    'GET /session/:sessionId/contacts': 'Get contacts (requires session token)',
+                    'GET /session/:sessionId/group/:groupId/participants': 'Get group participants (requires session token)',
+                    'GET /session/:sessionId/search': 'Full-text search of archived messages with ?q= and chatId, sender, type, since, until filters (requires session token)'
+                },
+                groups: {
+                    'POST /session/:sessionId/groups': 'Create a group with a title and optional participants (requires session token)',
+                    'POST /session/:sessionId/groups/join': 'Join a group by invite code or link (requires session token)',
+                    'GET /session/:sessionId/group/:groupId': 'Get group details, settings and whether you are an admin (requires session token)',
+                    'POST /session/:sessionId/group/:groupId/participants/add': 'Add participants, with a result code per participant (requires session token)',
+                    'POST /session/:sessionId/group/:groupId/participants/remove': 'Remove participants (requires session token)',
+                    'POST /session/:sessionId/group/:groupId/participants/promote': 'Make participants admins (requires session token)',
+                    'POST /session/:sessionId/group/:groupId/participants/demote': 'Remove admin rights from participants (requires session token)',
+                    'POST /session/:sessionId/group/:groupId/subject': 'Change the group name (requires session token)',
+                    'POST /session/:sessionId/group/:groupId/description': 'Change the group description (requires session token)',
+                    'POST /session/:sessionId/group/:groupId/picture': 'Set the group picture from a data URL or multipart file, DELETE to remove it (requires session token)',
+                    'POST /session/:sessionId/group/:groupId/settings': 'Set messagesAdminsOnly and infoAdminsOnly (requires session token)',
+                    'GET /session/:sessionId/group/:groupId/invite': 'Get the invite link (requires session token)',
+                    'POST /session/:sessionId/group/:groupId/invite/revoke': 'Revoke the invite link and get a new one (requires session token)',
+                    'POST /session/:sessionId/group/:groupId/leave': 'Leave the group (requires session token)'
                 },
                 media: {
-                    'GET /session/:sessionId/message/:messageId/media': 'Download media from message (requires API key)',
-                    'GET /session/:sessionId/chat/:chatId/media/:messageIndex': 'Download media by chat and message index (requires API key)',
+                    'GET /session/:sessionId/message/:messageId/media': 'Download media from message, ?format=mp3 for audio, thumb|small|medium for images or mp4|3gp for videos; supports Range and If-None-Match (requires session token)',
+                    'GET /session/:sessionId/chat/:chatId/media/:messageIndex': 'Download media by chat and message index, deprecated in favour of message ID (requires session token)',
                     'GET /formats/:mimetype': 'Get supported formats for a MIME type',
-                    'GET /ffmpeg/status': 'Get FFmpeg availability status',
-                    'GET /audio-cache/stats': 'Get audio conversion cache statistics'
+                    'GET /ffmpeg/status': 'Get FFmpeg availability status (requires API key)',
+                    'GET /audio-cache/stats': 'Get audio conversion cache statistics (requires API key)'
+                },
+                uploads: {
+                    'POST /session/:sessionId/uploads': 'Start a chunked upload with {size, filename, mimetype} (requires session token)',
+                    'PUT /session/:sessionId/uploads/:uploadId': 'Upload a chunk as raw bytes with Content-Range (requires session token)',
+                    'GET /session/:sessionId/uploads/:uploadId': 'Get upload progress, received is the offset to resume from (requires session token)',
+                    'DELETE /session/:sessionId/uploads/:uploadId': 'Cancel an upload (requires session token)'
+                },
+                exports: {
+                    'POST /session/:sessionId/chat/:chatId/export': 'Start exporting a chat to a ZIP with .txt, HTML and JSON transcripts and media; progress arrives as export_progress events (requires session token)',
+                    'GET /session/:sessionId/exports': 'List exports (requires session token)',
+                    'GET /session/:sessionId/exports/:exportId': 'Get export status and progress (requires session token)',
+                    'GET /session/:sessionId/exports/:exportId/download': 'Download a finished export, supports Range (requires session token)',
+                    'DELETE /session/:sessionId/exports/:exportId': 'Cancel or delete an export (requires session token)'
+                },
+                scheduled: {
+                    'POST /session/:sessionId/scheduled': 'Schedule a text message or media (same body as send-message or send-media) for {sendAt}, an ISO 8601 date or Unix ms (requires session token)',
+                    'GET /session/:sessionId/scheduled': 'List scheduled messages, ?status=pending|sending|sent|failed (requires session token)',
+                    'GET /session/:sessionId/scheduled/:scheduledId': 'Get a scheduled message with its status and attempts (requires session token)',
+                    'DELETE /session/:sessionId/scheduled/:scheduledId': 'Cancel a pending scheduled message or remove a finished one (requires session token)',
+                    'GET /session/:sessionId/outbox': 'List queued send-message requests not sent yet (requires session token)',
+                    'GET /session/:sessionId/outbox/:clientMessageId': 'Get a queued send-message request by its clientMessageId (requires session token)'
+                },
+                webhooks: {
+                    'POST /session/:sessionId/webhook': 'Set the webhook URL and events, returns the signing secret (requires session token)',
+                    'GET /session/:sessionId/webhook': 'Get the webhook configuration (requires session token)',
+                    'DELETE /session/:sessionId/webhook': 'Remove the webhook (requires session token)',
+                    'POST /session/:sessionId/webhook/test': 'Send a test event to the webhook (requires session token)',
+                    'GET /session/:sessionId/webhook/deliveries': 'Recent webhook deliveries with status and attempts (requires session token)'
                 },
                 monitoring: {
                     'GET /health': 'Health check endpoint',
                     'GET /stats': 'Server statistics',
-                    'GET /session/:sessionId/status': 'Get session status (requires API key)'
+                    'GET /metrics': 'Prometheus metrics (requires API key)',
+                    'GET /session/:sessionId/status': 'Get session status (requires session token)'
                 },
                 debug: {
                     'GET /debug/sessions': 'List all sessions (requires API key)',
@@ -89,32 +171,53 @@ function setupRoutes(app, sessionManager, audioConverter, io) {
             },
             websockets: {
                 clientEvents: {
-                    'join_session': 'Join a session room (payload: sessionId)',
+                    'join_session': 'Join a session room (payload: {sessionId, token}, plus optional lastSeq and epoch to replay missed events; token optional if already presented)',
                     'leave_session': 'Leave a session room (payload: sessionId)',
-                    'request_qr': 'Request QR code for a session (payload: sessionId)',
-                    'request_session_status': 'Request current session status (payload: sessionId)',
+                    'request_qr': 'Request QR code for a session (payload: sessionId or {sessionId, token})',
+                    'request_pairing_code': 'Request pairing code for a session (payload: sessionId or {sessionId, token})',
+                    'request_session_status': 'Request current session status (payload: sessionId or {sessionId, token})',
                     'ping': 'Ping server for connection test (no payload)'
                 },
                 serverEvents: {
-                    'session_joined': 'Confirmation that socket joined session room (payload: {sessionId, socketId})',
+                    'unauthorized': 'A session event was rejected because the connection has no valid token for that session (payload: {event, sessionId, error})',
+                    'session_joined': 'Confirmation that socket joined session room (payload: {sessionId, socketId, epoch, lastSeq})',
+                    'replay_complete': 'All missed events were replayed after join_session with lastSeq (payload: {sessionId, epoch, lastSeq, replayed, truncated, reset})',
                     'qr': 'QR code for WhatsApp authentication (payload: qrCode string)',
+                    'pairing_code': 'Pairing code for phone number login (payload: {code, formattedCode, phoneNumber, expiresAt})',
                     'ready': 'Session is authenticated and ready (payload: {phoneNumber, sessionId})',
                     'authenticated': 'Session authenticated successfully',
                     'loading_screen': 'WhatsApp loading screen progress (payload: {percent, message})',
                     'auth_failure': 'Authentication failed (payload: error message)',
                     'disconnected': 'Client disconnected from WhatsApp (payload: reason)',
-                    'session_status': 'Session status information (payload: {sessionId, isReady, hasQR, lastActivity, phoneNumber})',
+                    'message': 'New incoming message (payload: formatted message with seq)',
+                    'message_ack': 'Message acknowledgment changed (payload: {messageId, ack, timestamp, seq})',
+                    'message_revoke': 'Message deleted for everyone (payload: {messageId, revokedMessage, timestamp, seq})',
+                    'message_reaction': 'Reaction added or removed (payload: {messageId, reaction, timestamp, senderId, seq})',
+                    'message_edit': 'Message edited (payload: {messageId, chatId, newBody, prevBody, timestamp, seq})',
+                    'vote_update': 'Poll vote cast or changed (payload: {messageId, chatId, voter, selectedOptions, timestamp, seq})',
+                    'scheduled_sent': 'A scheduled message was sent (payload: {scheduled, message, seq})',
+                    'scheduled_failed': 'A scheduled message could not be sent (payload: {scheduled, error, seq})',
+                    'outbox_ack': 'A queued send-message was sent or failed (payload: {clientMessageId, messageId, chatId, status, ack, error, attempts, message, timestamp, seq})',
+                    'export_progress': 'Chat export progress (payload: {exportId, chatId, status, percent, messageCount, mediaCount, downloadUrl, ...})',
+                    'presence_update': 'Subscribed contact online/offline or typing/recording (payload: {chatId, participant, state, isOnline, lastSeen})',
+                    'group_join': 'Participants added or joined a group (payload: {id, chatId, type, author, authorName, recipientIds, recipientNames, body, timestamp, text, seq})',
+                    'group_leave': 'Participants removed from or left a group (same payload as group_join)',
+                    'group_admin_changed': 'Participants promoted or demoted (same payload as group_join)',
+                    'group_update': 'Group name, description, picture or settings changed (same payload as group_join)',
+                    'session_status': 'Session status information (payload: {sessionId, isReady, hasQR, hasPairingCode, lastActivity, phoneNumber})',
                     'error': 'Error occurred (payload: error message)',
                     'pong': 'Ping response (payload: {timestamp})'
                 }
             },
             authentication: {
-                apiKey: 'Required in X-API-Key header for all protected endpoints'
+                apiKey: 'Required in X-API-Key header for /create-session and debug endpoints',
+                sessionToken: 'Returned by /create-session; required as Authorization: Bearer <token> (or ?token=) on /init, /start-session and /session/:sessionId/* endpoints, and in join_session',
+                websocket: 'Handshake requires auth {apiKey} or {sessionId, token}; session events require that session\'s token'
             }
         });
     });
 
-    console.log('All routes initialized');
+    logger.debug('All routes initialized');
 }
 
 module.exports = setupRoutes;
@@ -1,6 +1,11 @@
-const { MessageMedia } = require('whatsapp-web.js');
-const fs = require('fs').promises;
-const path = require('path');
+const crypto = require('crypto');
+const { IMAGE_VARIANTS, VIDEO_FORMATS } = require('../config/constants');
+const { mediaUploadMiddleware } = require('../middleware');
+const { getSendableSession, resolveMediaInput, prepareVoiceNote, sendMediaMessage } = require('../services/send.service');
+const Logger = require('../core/Logger');
+
+// Helpers outside a request log here; route handlers use req.log
+const logger = Logger.forModule('http');
 
 /**
  * Setup media-related routes
@@ -9,11 +14,214 @@ const path = require('path');
  * @param {Object} audioConverter - Audio converter with conversion methods
  */
 function setupMediaRoutes(app, sessionManager, audioConverter) {
-    // Send media message (API key protected)
-    app.post('/session/:sessionId/send-media', sessionManager.apiKeyMiddleware, async (req, res) => {
+    /**
+     * Convert downloaded media to the requested format; the result is written to the conversion cache
+     * @param {Object} media - MessageMedia from downloadMedia()
+     * @param {string} format - Requested format, already validated against getSupportedFormats
+     * @param {string} cacheKey - Conversion cache key (message ID)
+     * @param {string} filename - Original filename
+     * @returns {Promise<boolean>} True if a converted file was cached, false if the original should be sent
+     */
+    const convertMedia = async (media, format, cacheKey, filename) => {
+        const originalBuffer = Buffer.from(media.data, 'base64');
+        const baseFilename = filename.replace(/\.[^.]+$/, '');
+
+        try {
+            if (format === 'mp3' && media.mimetype.startsWith('audio/') && media.mimetype !== 'audio/mpeg') {
+                await audioConverter.convertAudioToMp3(originalBuffer, media.mimetype, cacheKey, `${baseFilename}.mp3`);
+                return true;
+            }
+
+            if (IMAGE_VARIANTS[format] && media.mimetype.startsWith('image/')) {
+                await audioConverter.convertImage(originalBuffer, media.mimetype, cacheKey, format, `${baseFilename}_${format}.jpg`);
+                return true;
+            }
+
+            if (VIDEO_FORMATS[format] && media.mimetype.startsWith('video/')) {
+                await audioConverter.convertVideo(originalBuffer, media.mimetype, cacheKey, format, `${baseFilename}.${format}`);
+                return true;
+            }
+        } catch (conversionError) {
+            logger.warn('Media conversion failed, sending original', { mediaId: cacheKey, format: format, err: conversionError });
+        }
+
+        return false;
+    };
+
+    // Strong ETag for a message's media in a format. Media behind a message ID never changes, so the tag
+    // is known before downloading anything; conversion settings are included so changing them busts caches
+    const getMediaETag = (cacheKey, format) => {
+        const settings = IMAGE_VARIANTS[format] || VIDEO_FORMATS[format] || null;
+        const hash = crypto.createHash('sha1')
+            .update(`${cacheKey}|${format}|${JSON.stringify(settings)}`)
+            .digest('hex');
+        return `"${hash}"`;
+    };
+
+    /**
+     * Get a message's media in the requested format as a file in the conversion cache
+     * Media is only downloaded from WhatsApp when nothing is cached yet; originals are cached too,
+     * so range requests and resumed downloads are served from disk
+     * @param {Object} message - WhatsApp message with media
+     * @param {string} cacheKey - Conversion cache key (message ID)
+     * @param {string} format - Requested format
+     * @param {string} defaultFilename - Filename used when the media has none
+     * @returns {Promise<Object>} { file, converted } or { status, error, supportedFormats }
+     */
+    const getMediaFile = async (message, cacheKey, format, defaultFilename) => {
+        const cached = await audioConverter.getCachedConversion(cacheKey, format);
+
+        // Originals are a download cache; the hit ratio is about conversions
+        if (format !== 'original') {
+            sessionManager.metrics.recordCacheLookup(Boolean(cached));
+        }
+
+        if (cached) {
+            return { file: cached, converted: format !== 'original' };
+        }
+
+        // Download the media with timeout
+        const downloadPromise = message.downloadMedia();
+        const timeoutPromise = new Promise((_, reject) => {
+            setTimeout(() => reject(new Error('Media download timeout after 30 seconds')), 30000);
+        });
+
+        const media = await Promise.race([downloadPromise, timeoutPromise]);
+
+        if (!media) {
+            return { status: 500, error: 'Failed to download media' };
+        }
+
+        // Validate requested format
+        if (!audioConverter.isValidFormat(format, media.mimetype)) {
+            return {
+                status: 400,
+                error: `Unsupported format '${format}' for media type '${media.mimetype}'`,
+                supportedFormats: audioConverter.getSupportedFormats(media.mimetype)
+            };
+        }
+
+        const filename = media.filename || defaultFilename;
+
+        if (format !== 'original' && await convertMedia(media, format, cacheKey, filename)) {
+            const converted = await audioConverter.getCachedConversion(cacheKey, format);
+            if (converted) {
+                return { file: converted, converted: true };
+            }
+        }
+
+        const original = await audioConverter.getCachedConversion(cacheKey, 'original') ||
+            await audioConverter.cacheOriginal(Buffer.from(media.data, 'base64'), media.mimetype, cacheKey, filename);
+
+        return { file: original, converted: false };
+    };
+
+    /**
+     * Answer a media download: 304 if the client's copy is current, otherwise stream the cached file
+     * sendFile handles Range (206 Partial Content, 416) and If-Range against the ETag header set here
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     * @param {Object} message - WhatsApp message with media
+     * @param {string} cacheKey - Conversion cache key (message ID)
+     * @param {string} defaultFilename - Filename used when the media has none
+     * @param {Object} extraHeaders - Route-specific X- headers
+     */
+    const sendMedia = async (req, res, message, cacheKey, defaultFilename, extraHeaders) => {
+        const { download = 'false', format = 'original' } = req.query;
+
+        res.set('ETag', getMediaETag(cacheKey, format));
+        if (req.fresh) {
+            return res.status(304).end();
+        }
+
+        const result = await getMediaFile(message, cacheKey, format, defaultFilename);
+
+        if (result.error) {
+            res.removeHeader('ETag');
+            const body = { error: result.error };
+            if (result.supportedFormats) {
+                body.supportedFormats = result.supportedFormats;
+            }
+            return res.status(result.status).json(body);
+        }
+
+        const { file, converted } = result;
+
+        // A failed conversion serves the original, which must not be cached under the format's tag
+        if (format !== 'original' && !converted) {
+            res.set('ETag', getMediaETag(cacheKey, 'original'));
+        }
+
+        // Set appropriate headers
+        const disposition = download === 'true' ? 'attachment' : 'inline';
+        const filename = file.filename || defaultFilename;
+
+        res.set({
+            ...extraHeaders,
+            'Content-Type': file.mimetype,
+            'Content-Disposition': `${disposition}; filename="${filename.replace(/"/g, '')}"`,
+            'Cache-Control': 'private, max-age=3600', // Cache for 1 hour, per user
+            'X-Media-Type': message.type,
+            'X-Original-Mimetype': file.originalMimetype || file.mimetype, // Include original type for reference
+            'X-Requested-Format': format,
+            'X-Converted': converted ? 'true' : 'false'
+        });
+
+        // Stream from disk; Content-Length, Accept-Ranges and Content-Range are set by sendFile
+        res.sendFile(file.filePath, {
+            etag: false,
+            lastModified: false,
+            cacheControl: false,
+            dotfiles: 'allow'
+        }, (error) => {
+            if (error && !res.headersSent) {
+                // 416 Range Not Satisfiable is a client error and not worth logging
+                if (error.status !== 416) {
+                    req.log.error('Error streaming media', { mediaId: cacheKey, err: error });
+                }
+                res.removeHeader('Content-Disposition');
+                res.status(error.status || 500).json({ error: 'Failed to send media' });
+            }
+        });
+    };
+
+    // Describe the conversions available for a MIME type (formats endpoints)
+    const getConversionInfo = (mimetype) => ({
+        mp3: mimetype.startsWith('audio/') ? {
+            description: 'Convert to MP3 (Android 4.3 compatible)',
+            quality: '128kbps, 44.1kHz, Stereo',
+            usage: 'Add ?format=mp3 to media download URL'
+        } : null,
+        images: mimetype.startsWith('image/') ? Object.fromEntries(
+            Object.entries(IMAGE_VARIANTS).map(([variant, settings]) => [variant, {
+                description: `JPEG, longest side at most ${settings.maxDimension}px`,
+                maxDimension: settings.maxDimension,
+                quality: settings.quality,
+                usage: `Add ?format=${variant} to media download URL`
+            }])
+        ) : null,
+        mp4: mimetype.startsWith('video/') ? {
+            description: 'Baseline-profile H.264/AAC MP4 (BB10, Android 4.x)',
+            quality: `Longest side ${VIDEO_FORMATS.mp4.maxDimension}px, ${VIDEO_FORMATS.mp4.videoBitrate}kbps video, ${VIDEO_FORMATS.mp4.audioBitrate}kbps audio`,
+            usage: 'Add ?format=mp4 to media download URL'
+        } : null,
+        '3gp': mimetype.startsWith('video/') ? {
+            description: 'H.263/AMR 3GP (BlackBerry OS 7 and older players)',
+            quality: `${VIDEO_FORMATS['3gp'].width}x${VIDEO_FORMATS['3gp'].height}, ${VIDEO_FORMATS['3gp'].videoBitrate}kbps video, 12.2kbps audio`,
+            usage: 'Add ?format=3gp to media download URL'
+        } : null
+    });
+
+    // Parse multipart send-media requests
+    const parseMediaUpload = mediaUploadMiddleware();
+
+    // Send media message (session token protected)
+    // Media is a base64 data URL, a multipart file upload, or the uploadId of a completed chunked upload
+    app.post('/session/:sessionId/send-media', sessionManager.sessionAuthMiddleware, parseMediaUpload, async (req, res) => {
         try {
             const { sessionId } = req.params;
-            const { to, media, caption = '', filename } = req.body;
+            const { to, media, caption = '', filename, uploadId } = req.body;
+            const sendAudioAsVoice = req.body.sendAudioAsVoice === true || req.body.sendAudioAsVoice === 'true';
 
             if (!sessionId) {
                 return res.status(400).json({ error: 'Session ID required' });
@@ -23,65 +231,74 @@ function setupMediaRoutes(app, sessionManager, audioConverter) {
                 return res.status(400).json({ error: 'Recipient (to) required' });
             }
 
-            if (!media) {
+            if (!media && !req.file && !uploadId) {
                 return res.status(400).json({ error: 'Media required' });
             }
 
-            const session = sessionManager.sessions.get(sessionId);
-
-            if (!session) {
-                return res.status(404).json({ error: 'Session not found' });
+            // WhatsApp voice notes cannot carry a caption
+            if (sendAudioAsVoice && caption) {
+                return res.status(400).json({ error: 'Caption is not supported for voice notes' });
             }
 
-            if (!session.isReady || !session.client) {
-                return res.status(400).json({ error: 'WhatsApp client not ready' });
+            const check = await getSendableSession(sessionManager, sessionId, 'send media');
+            if (check.error) {
+                const body = { error: check.error };
+                if (check.reconnecting) {
+                    body.reconnecting = true;
+                }
+                return res.status(check.status).json(body);
             }
 
-            // Perform health check before operation
-            const isHealthy = await sessionManager.isSessionHealthy(sessionId);
-            if (!isHealthy) {
-                console.log(`⚠️ Session ${sessionId} failed health check before send media, triggering reconnection...`);
-                sessionManager.reconnectSession(sessionId).catch(err => {
-                    console.error(`🔧 Reconnection failed: ${err.message}`);
-                });
-                return res.status(503).json({
-                    error: 'Session is not healthy, reconnection in progress. Please try again in a moment.',
-                    reconnecting: true
-                });
+            const resolved = await resolveMediaInput(sessionManager, sessionId, { file: req.file, uploadId, media, filename });
+            if (resolved.error) {
+                const body = { error: resolved.error };
+                if (resolved.upload) {
+                    body.upload = resolved.upload;
+                }
+                return res.status(resolved.status).json(body);
             }
 
-            session.lastActivity = Date.now();
+            let messageMedia = resolved.media;
+            const upload = resolved.upload;
 
-            // Handle both individual (@c.us) and group (@g.us) chats
-            let chatId = to;
-            if (!to.includes('@')) {
-                chatId = `${to}@c.us`;
+            let voiceNoteDuration = null;
+            if (sendAudioAsVoice) {
+                const voiceNote = await prepareVoiceNote(audioConverter, messageMedia);
+                if (voiceNote.error) {
+                    return res.status(voiceNote.status).json({ error: voiceNote.error });
+                }
+                messageMedia = voiceNote.media;
+                voiceNoteDuration = voiceNote.duration;
             }
 
-            let messageMedia;
-            if (media.startsWith('data:')) {
-                const mimeType = media.split(';')[0].split(':')[1];
-                const base64Data = media.split(',')[1];
-                messageMedia = new MessageMedia(mimeType, base64Data, filename);
-            } else {
-                const buffer = await fs.readFile(media);
-                const mimeType = audioConverter.getMimeType(media);
-                messageMedia = new MessageMedia(
-                    mimeType,
-                    buffer.toString('base64'),
-                    filename || path.basename(media)
-                );
-            }
+            const { result } = await sendMediaMessage(sessionManager, sessionId, check.session, {
+                to,
+                media: messageMedia,
+                caption,
+                sendAudioAsVoice
+            });
 
-            const result = await session.client.sendMessage(chatId, messageMedia, { caption });
+            // A chunked upload is sent once
+            if (upload) {
+                sessionManager.uploads.deleteUpload(upload.id).catch(err => {
+                    req.log.error('Failed to remove upload', { uploadId: upload.id, err: err });
+                });
+            }
 
-            res.json({
+            const response = {
                 success: true,
                 messageId: result.id._serialized,
                 timestamp: result.timestamp
-            });
+            };
+
+            if (sendAudioAsVoice) {
+                response.voiceNote = true;
+                response.duration = voiceNoteDuration !== null ? Math.round(voiceNoteDuration) : null;
+            }
+
+            res.json(response);
         } catch (error) {
-            console.error('Error sending media:', error);
+            req.log.error('Error sending media', { err: error });
 
             // Check if error indicates session is closed/disconnected
             if (error.message.includes('Evaluation failed') ||
@@ -91,11 +308,11 @@ function setupMediaRoutes(app, sessionManager, audioConverter) {
                 error.message.includes('Connection lost')) {
 
                 const { sessionId } = req.params;
-                console.log(`Session ${sessionId} appears disconnected during send media, triggering reconnection...`);
+                req.log.warn('Session appears disconnected during send media, triggering reconnection');
 
                 // Trigger immediate reconnection
                 sessionManager.reconnectSession(sessionId).catch(reconnectError => {
-                    console.error(`Immediate reconnection failed: ${reconnectError.message}`);
+                    req.log.error('Immediate reconnection failed', { err: reconnectError });
                 });
 
                 res.status(503).json({
@@ -108,11 +325,11 @@ function setupMediaRoutes(app, sessionManager, audioConverter) {
         }
     });
 
-    // Get media from message (API key protected)
-    app.get('/session/:sessionId/message/:messageId/media', sessionManager.apiKeyMiddleware, async (req, res) => {
+    // Get media from message (session token protected)
+    // Supports Range requests and If-None-Match so interrupted downloads can resume
+    app.get('/session/:sessionId/message/:messageId/media', sessionManager.sessionAuthMiddleware, async (req, res) => {
         try {
             const { sessionId, messageId } = req.params;
-            const { download = 'false', format = 'original' } = req.query;
 
             if (!sessionId) {
                 return res.status(400).json({ error: 'Session ID required' });
@@ -139,74 +356,13 @@ function setupMediaRoutes(app, sessionManager, audioConverter) {
                 return res.status(400).json({ error: 'Message does not contain media' });
             }
 
-            // Download the media with timeout
-            const downloadPromise = message.downloadMedia();
-            const timeoutPromise = new Promise((_, reject) => {
-                setTimeout(() => reject(new Error('Media download timeout after 30 seconds')), 30000);
-            });
-
-            const media = await Promise.race([downloadPromise, timeoutPromise]);
-
-            if (!media) {
-                return res.status(500).json({ error: 'Failed to download media' });
-            }
-
-            // Validate requested format
-            if (!audioConverter.isValidFormat(format, media.mimetype)) {
-                return res.status(400).json({
-                    error: `Unsupported format '${format}' for media type '${media.mimetype}'`,
-                    supportedFormats: audioConverter.getSupportedFormats(media.mimetype)
-                });
-            }
-
-            // Convert base64 to buffer
-            let mediaBuffer = Buffer.from(media.data, 'base64');
-            let finalMimetype = media.mimetype;
-            let finalFilename = media.filename || `media_${Date.now()}_${messageId.split('_')[0]}`;
-
-            // Check if format conversion is requested
-            if (format === 'mp3' && media.mimetype.startsWith('audio/') && media.mimetype !== 'audio/mpeg') {
-                try {
-
-                    // Convert audio to MP3
-                    const convertedBuffer = await audioConverter.convertAudioToMp3(
-                        mediaBuffer,
-                        media.mimetype,
-                        messageId
-                    );
-
-                    mediaBuffer = convertedBuffer;
-                    finalMimetype = 'audio/mpeg';
-                    finalFilename = finalFilename.replace(/\.[^.]+$/, '.mp3'); // Change extension to .mp3
-
-                } catch (conversionError) {
-                    console.error(`Audio conversion failed, sending original: ${conversionError.message}`);
-                    // Continue with original audio if conversion fails
-                }
-            } else if (format !== 'original' && format !== 'mp3') {
-                console.log(`Unsupported format requested: ${format}, sending original`);
-            }
-
-            // Set appropriate headers
-            const disposition = download === 'true' ? 'attachment' : 'inline';
-
-            res.set({
-                'Content-Type': finalMimetype,
-                'Content-Length': mediaBuffer.length,
-                'Content-Disposition': `${disposition}; filename="${finalFilename}"`,
-                'Cache-Control': 'public, max-age=3600', // Cache for 1 hour
-                'X-Media-Type': message.type,
-                'X-Message-ID': messageId,
-                'X-Original-Mimetype': media.mimetype, // Include original type for reference
-                'X-Requested-Format': format,
-                'X-Converted': (format === 'mp3' && finalMimetype === 'audio/mpeg' && media.mimetype !== 'audio/mpeg') ? 'true' : 'false'
+            await sendMedia(req, res, message, messageId, `media_${Date.now()}_${messageId.split('_')[0]}`, {
+                'X-Message-ID': messageId
             });
 
-            // Send the media buffer
-            res.send(mediaBuffer);
-
         } catch (error) {
-            console.error('Error downloading media:', error);
+            req.log.error('Error downloading media', { err: error });
+            res.removeHeader('ETag');
 
             // Check if error indicates session is closed/disconnected
             if (error.message.includes('Evaluation failed') ||
@@ -216,11 +372,11 @@ function setupMediaRoutes(app, sessionManager, audioConverter) {
                 error.message.includes('Connection lost')) {
 
                 const { sessionId } = req.params;
-                console.log(`Session ${sessionId} appears disconnected, triggering reconnection...`);
+                req.log.warn('Session appears disconnected, triggering reconnection');
 
                 // Trigger immediate reconnection
                 sessionManager.reconnectSession(sessionId).catch(reconnectError => {
-                    console.error(`Immediate reconnection failed: ${reconnectError.message}`);
+                    req.log.error('Immediate reconnection failed', { err: reconnectError });
                 });
 
                 res.status(503).json({
@@ -233,11 +389,11 @@ function setupMediaRoutes(app, sessionManager, audioConverter) {
         }
     });
 
-    // Get media from chat by message index (API key protected)
-    app.get('/session/:sessionId/chat/:chatId/media/:messageIndex', sessionManager.apiKeyMiddleware, async (req, res) => {
+    // Get media from chat by message index (session token protected)
+    app.get('/session/:sessionId/chat/:chatId/media/:messageIndex', sessionManager.sessionAuthMiddleware, async (req, res) => {
         try {
             const { sessionId, chatId, messageIndex } = req.params;
-            const { download = 'false', limit = 50, format = 'original' } = req.query;
+            const { limit = 50 } = req.query;
 
             const session = sessionManager.sessions.get(sessionId);
             if (!session) {
@@ -265,80 +421,17 @@ function setupMediaRoutes(app, sessionManager, audioConverter) {
                 return res.status(400).json({ error: 'Message at index does not contain media' });
             }
 
-            // Download the media with timeout
-            const downloadPromise = message.downloadMedia();
-            const timeoutPromise = new Promise((_, reject) => {
-                setTimeout(() => reject(new Error('Media download timeout after 30 seconds')), 30000);
-            });
-
-            const media = await Promise.race([downloadPromise, timeoutPromise]);
-
-            if (!media) {
-                return res.status(500).json({ error: 'Failed to download media' });
-            }
-
-            // Validate requested format
-            if (!audioConverter.isValidFormat(format, media.mimetype)) {
-                return res.status(400).json({
-                    error: `Unsupported format '${format}' for media type '${media.mimetype}'`,
-                    supportedFormats: audioConverter.getSupportedFormats(media.mimetype)
-                });
-            }
-
-            // Convert base64 to buffer
-            let mediaBuffer = Buffer.from(media.data, 'base64');
-            let finalMimetype = media.mimetype;
-            let finalFilename = media.filename || `media_${Date.now()}_${messageIndex}`;
-
-            // Check if format conversion is requested
-            if (format === 'mp3' && media.mimetype.startsWith('audio/') && media.mimetype !== 'audio/mpeg') {
-                try {
-
-                    // Use message ID for caching if available, otherwise use chat+index
-                    const cacheKey = message.id._serialized || `${chatId}_${messageIndex}`;
-
-                    // Convert audio to MP3
-                    const convertedBuffer = await audioConverter.convertAudioToMp3(
-                        mediaBuffer,
-                        media.mimetype,
-                        cacheKey
-                    );
-
-                    mediaBuffer = convertedBuffer;
-                    finalMimetype = 'audio/mpeg';
-                    finalFilename = finalFilename.replace(/\.[^.]+$/, '.mp3'); // Change extension to .mp3
-
-                    console.log(`🎵 Audio conversion successful: ${media.mimetype} → MP3`);
-
-                } catch (conversionError) {
-                    console.error(`Audio conversion failed, sending original: ${conversionError.message}`);
-                    // Continue with original audio if conversion fails
-                }
-            } else if (format !== 'original' && format !== 'mp3') {
-                console.log(`Unsupported format requested: ${format}, sending original`);
-            }
-
-            // Set appropriate headers
-            const disposition = download === 'true' ? 'attachment' : 'inline';
+            // Use message ID for caching if available, otherwise use chat+index
+            const cacheKey = message.id._serialized || `${chatId}_${messageIndex}`;
 
-            res.set({
-                'Content-Type': finalMimetype,
-                'Content-Length': mediaBuffer.length,
-                'Content-Disposition': `${disposition}; filename="${finalFilename}"`,
-                'Cache-Control': 'public, max-age=3600', // Cache for 1 hour
-                'X-Media-Type': message.type,
+            await sendMedia(req, res, message, cacheKey, `media_${Date.now()}_${messageIndex}`, {
                 'X-Message-Index': messageIndex,
-                'X-Chat-ID': chatId,
-                'X-Original-Mimetype': media.mimetype, // Include original type for reference
-                'X-Requested-Format': format,
-                'X-Converted': (format === 'mp3' && finalMimetype === 'audio/mpeg' && media.mimetype !== 'audio/mpeg') ? 'true' : 'false'
+                'X-Chat-ID': chatId
             });
 
-            // Send the media buffer
-            res.send(mediaBuffer);
-
         } catch (error) {
-            console.error('Error downloading media by index:', error);
+            req.log.error('Error downloading media by index', { err: error });
+            res.removeHeader('ETag');
 
             // Check if error indicates session is closed/disconnected
             if (error.message.includes('Evaluation failed') ||
@@ -348,11 +441,11 @@ function setupMediaRoutes(app, sessionManager, audioConverter) {
                 error.message.includes('Connection lost')) {
 
                 const { sessionId } = req.params;
-                console.log(`Session ${sessionId} appears disconnected, triggering reconnection...`);
+                req.log.warn('Session appears disconnected, triggering reconnection');
 
                 // Trigger immediate reconnection
                 sessionManager.reconnectSession(sessionId).catch(reconnectError => {
-                    console.error(`Immediate reconnection failed: ${reconnectError.message}`);
+                    req.log.error('Immediate reconnection failed', { err: reconnectError });
                 });
 
                 res.status(503).json({
@@ -376,16 +469,10 @@ function setupMediaRoutes(app, sessionManager, audioConverter) {
             res.json({
                 inputMimetype: decodedMimetype,
                 supportedFormats: supportedFormats,
-                conversionInfo: {
-                    mp3: decodedMimetype.startsWith('audio/') ? {
-                        description: 'Convert to MP3 (Android 4.3 compatible)',
-                        quality: '128kbps, 44.1kHz, Stereo',
-                        usage: 'Add ?format=mp3 to media download URL'
-                    } : null
-                }
+                conversionInfo: getConversionInfo(decodedMimetype)
             });
         } catch (error) {
-            console.error('Error getting supported formats:', error);
+            req.log.error('Error getting supported formats', { err: error });
             res.status(500).json({ error: error.message });
         }
     });
@@ -406,22 +493,16 @@ function setupMediaRoutes(app, sessionManager, audioConverter) {
             res.json({
                 inputMimetype: decodedMimetype,
                 supportedFormats: supportedFormats,
-                conversionInfo: {
-                    mp3: decodedMimetype.startsWith('audio/') ? {
-                        description: 'Convert to MP3 (Android 4.3 compatible)',
-                        quality: '128kbps, 44.1kHz, Stereo',
-                        usage: 'Add ?format=mp3 to media download URL'
-                    } : null
-                }
+                conversionInfo: getConversionInfo(decodedMimetype)
             });
         } catch (error) {
-            console.error('Error getting supported formats:', error);
+            req.log.error('Error getting supported formats', { err: error });
             res.status(500).json({ error: error.message });
         }
     });
 
-    // FFmpeg status and installation check
-    app.get('/ffmpeg/status', (req, res) => {
+    // FFmpeg status and installation check (API key protected, shows server paths)
+    app.get('/ffmpeg/status', sessionManager.apiKeyMiddleware, (req, res) => {
         try {
             res.json({
                 available: audioConverter.ffmpegAvailable,
@@ -439,13 +520,13 @@ function setupMediaRoutes(app, sessionManager, audioConverter) {
                 audioConversionEnabled: audioConverter.ffmpegAvailable
             });
         } catch (error) {
-            console.error('Error getting FFmpeg status:', error);
+            req.log.error('Error getting FFmpeg status', { err: error });
             res.status(500).json({ error: error.message });
         }
     });
 
-    // Audio conversion cache statistics
-    app.get('/audio-cache/stats', (req, res) => {
+    // Audio conversion cache statistics (API key protected, lists cached message IDs of every session)
+    app.get('/audio-cache/stats', sessionManager.apiKeyMiddleware, (req, res) => {
         try {
             const now = Date.now();
             let totalCacheSize = 0;
@@ -453,7 +534,7 @@ function setupMediaRoutes(app, sessionManager, audioConverter) {
             const cacheEntries = [];
 
             for (const [mediaId, cacheInfo] of audioConverter.audioConversionCache.entries()) {
-                const isExpired = (now - cacheInfo.timestamp) > audioConverter.audioConversionTTL;
+                const isExpired = (now - cacheInfo.timestamp) > (cacheInfo.ttl || audioConverter.audioConversionTTL);
                 if (isExpired) expiredCount++;
 
                 totalCacheSize += cacheInfo.convertedSize || 0;
@@ -476,12 +557,13 @@ function setupMediaRoutes(app, sessionManager, audioConverter) {
                 cacheDirectory: audioConverter.audioConversionDir,
                 supportedFormats: [
                     'audio/ogg', 'audio/opus', 'audio/webm',
-                    'audio/aac', 'audio/m4a', 'audio/wav', 'audio/flac'
+                    'audio/aac', 'audio/m4a', 'audio/wav', 'audio/flac',
+                    'image/*', 'video/*'
                 ],
                 entries: cacheEntries.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
             });
         } catch (error) {
-            console.error('Error getting audio cache stats:', error);
+            req.log.error('Error getting audio cache stats', { err: error });
             res.status(500).json({ error: error.message });
         }
     });
@@ -0,0 +1,163 @@
+const { getReadySession, handleActionError, getOwnParticipant } = require('../services/send.service');
+
+/**
+ * Setup message action routes (react, edit, delete)
+ * @param {Express} app - Express app instance
+ * @param {Object} sessionManager - Session manager with sessions Map and middleware functions
+ */
+function setupMessageRoutes(app, sessionManager) {
+    // Look up a message for an action, sending the error response if anything is missing
+    const getMessageForAction = async (req, res) => {
+        const { sessionId, messageId } = req.params;
+
+        const check = getReadySession(sessionManager, sessionId);
+        if (check.error) {
+            res.status(check.status).json({ error: check.error });
+            return null;
+        }
+
+        const message = await check.session.client.getMessageById(messageId);
+        if (!message) {
+            res.status(404).json({ error: 'Message not found' });
+            return null;
+        }
+
+        return message;
+    };
+
+    // Whether we are an admin of the group a message was sent in
+    const isOwnGroupAdmin = async (message) => {
+        const chat = await message.getChat();
+        if (!chat.isGroup) {
+            return false;
+        }
+
+        const own = await getOwnParticipant(message.client, chat);
+        return Boolean(own && (own.isAdmin || own.isSuperAdmin));
+    };
+
+    // React to a message with an emoji (session token protected)
+    app.post('/session/:sessionId/message/:messageId/react', sessionManager.sessionAuthMiddleware, async (req, res) => {
+        try {
+            const { messageId } = req.params;
+            const { emoji } = req.body;
+
+            if (!emoji || typeof emoji !== 'string') {
+                return res.status(400).json({ error: 'Emoji required' });
+            }
+
+            const message = await getMessageForAction(req, res);
+            if (!message) {
+                return;
+            }
+
+            await message.react(emoji);
+
+            res.json({
+                success: true,
+                messageId: messageId,
+                reaction: emoji
+            });
+        } catch (error) {
+            handleActionError(sessionManager, error, req, res, 'reacting to message');
+        }
+    });
+
+    // Remove own reaction from a message (session token protected)
+    app.delete('/session/:sessionId/message/:messageId/react', sessionManager.sessionAuthMiddleware, async (req, res) => {
+        try {
+            const { messageId } = req.params;
+
+            const message = await getMessageForAction(req, res);
+            if (!message) {
+                return;
+            }
+
+            // An empty reaction removes the current one
+            await message.react('');
+
+            res.json({
+                success: true,
+                messageId: messageId,
+                reaction: null
+            });
+        } catch (error) {
+            handleActionError(sessionManager, error, req, res, 'removing reaction');
+        }
+    });
+
+    // Edit a sent text message (session token protected)
+    app.post('/session/:sessionId/message/:messageId/edit', sessionManager.sessionAuthMiddleware, async (req, res) => {
+        try {
+            const { sessionId } = req.params;
+            const { message: newBody } = req.body;
+
+            if (!newBody || typeof newBody !== 'string') {
+                return res.status(400).json({ error: 'Message required' });
+            }
+
+            const message = await getMessageForAction(req, res);
+            if (!message) {
+                return;
+            }
+
+            if (!message.fromMe) {
+                return res.status(403).json({ error: 'Only your own messages can be edited' });
+            }
+
+            // WhatsApp only allows editing recent text messages; edit() resolves null otherwise
+            const edited = await message.edit(newBody);
+            if (!edited) {
+                return res.status(400).json({ error: 'Message cannot be edited' });
+            }
+
+            const formattedMessage = await sessionManager.formatMessage(edited, sessionId, false, true);
+            await sessionManager.archive.storeMessages(sessionId, [formattedMessage]);
+
+            res.json({
+                success: true,
+                messageId: edited.id._serialized,
+                message: formattedMessage
+            });
+        } catch (error) {
+            handleActionError(sessionManager, error, req, res, 'editing message');
+        }
+    });
+
+    // Delete a message for me, or for everyone with ?everyone=true (session token protected)
+    app.delete('/session/:sessionId/message/:messageId', sessionManager.sessionAuthMiddleware, async (req, res) => {
+        try {
+            const { messageId } = req.params;
+            const { everyone = 'false' } = req.query;
+            const forEveryone = everyone === 'true';
+
+            const message = await getMessageForAction(req, res);
+            if (!message) {
+                return;
+            }
+
+            // Deleting for everyone requires being the sender or a group admin; WhatsApp Web reports
+            // anything else as a page error, so it is checked up front
+            if (forEveryone && !message.fromMe && !(await isOwnGroupAdmin(message))) {
+                return res.status(403).json({ error: 'Only your own messages, or messages in groups you admin, can be deleted for everyone' });
+            }
+
+            await message.delete(forEveryone);
+
+            // Deleting for everyone is recorded when the message_revoke event arrives
+            if (!forEveryone) {
+                await sessionManager.archive.removeMessage(req.params.sessionId, messageId);
+            }
+
+            res.json({
+                success: true,
+                messageId: messageId,
+                deletedForEveryone: forEveryone
+            });
+        } catch (error) {
+            handleActionError(sessionManager, error, req, res, 'deleting message');
+        }
+    });
+}
+
+module.exports = { setupMessageRoutes };
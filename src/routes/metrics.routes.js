@@ -0,0 +1,157 @@
+const fs = require('fs').promises;
+const { METRICS_CHROMIUM_TIMEOUT } = require('../config/constants');
+
+// Every state is exported, with 0 when no session is in it, so alerts don't see gaps
+const SESSION_STATES = ['ready', 'authenticated', 'waiting_for_qr', 'waiting_for_pairing_code', 'initializing', 'reconnecting', 'idle'];
+
+// State of a session for the whatsberry_sessions gauge
+const getSessionState = (session) => {
+    if (session.reconnecting) {
+        return 'reconnecting';
+    }
+    if (session.isReady) {
+        return 'ready';
+    }
+    // Authenticated but still syncing with the phone
+    if (session.isAuthenticated) {
+        return 'authenticated';
+    }
+    if (session.qrCode) {
+        return 'waiting_for_qr';
+    }
+    if (session.pairingCode) {
+        return 'waiting_for_pairing_code';
+    }
+    return session.client ? 'initializing' : 'idle';
+};
+
+/**
+ * Read the parent PID and resident memory of every process from /proc
+ * @returns {Promise<Map|null>} pid -> { ppid, rss } with rss in bytes, or null where /proc isn't available
+ */
+const readProcessTable = async () => {
+    let entries;
+    try {
+        entries = await fs.readdir('/proc');
+    } catch (error) {
+        return null;
+    }
+
+    const table = new Map();
+    await Promise.all(entries.filter(entry => /^\d+$/.test(entry)).map(async (pid) => {
+        try {
+            const status = await fs.readFile(`/proc/${pid}/status`, 'utf8');
+            const ppid = /^PPid:\s+(\d+)/m.exec(status);
+            const rss = /^VmRSS:\s+(\d+) kB/m.exec(status);
+            table.set(parseInt(pid), {
+                ppid: ppid ? parseInt(ppid[1]) : 0,
+                rss: rss ? parseInt(rss[1]) * 1024 : 0
+            });
+        } catch (error) {
+            // Process exited while reading
+        }
+    }));
+
+    return table;
+};
+
+// Total resident memory of a process and all of its descendants (Chromium runs a process per renderer, GPU, ...)
+const getProcessTreeRss = (table, rootPid) => {
+    const children = new Map();
+    for (const [pid, info] of table.entries()) {
+        if (!children.has(info.ppid)) {
+            children.set(info.ppid, []);
+        }
+        children.get(info.ppid).push(pid);
+    }
+
+    let total = 0;
+    const queue = [rootPid];
+    while (queue.length > 0) {
+        const pid = queue.pop();
+        const info = table.get(pid);
+        if (info) {
+            total += info.rss;
+        }
+        queue.push(...(children.get(pid) || []));
+    }
+
+    return total;
+};
+
+/**
+ * Setup the Prometheus metrics route
+ * @param {Express} app - Express app instance
+ * @param {Object} sessionManager - Session manager with sessions Map, metrics and middleware functions
+ * @param {Object} audioConverter - Audio converter, for the conversion cache size
+ */
+function setupMetricsRoutes(app, sessionManager, audioConverter) {
+    const metrics = sessionManager.metrics;
+
+    // Fill in the gauges that describe current state
+    const collect = async () => {
+        // Sessions by state
+        const counts = Object.fromEntries(SESSION_STATES.map(state => [state, 0]));
+        for (const session of sessionManager.sessions.values()) {
+            counts[getSessionState(session)]++;
+        }
+        for (const state of SESSION_STATES) {
+            metrics.sessions.set({ state: state }, counts[state]);
+        }
+
+        // WebSocket connections
+        metrics.websocketConnections.set({}, sessionManager.io ? sessionManager.io.engine.clientsCount : 0);
+
+        metrics.conversionCacheEntries.set({}, audioConverter.audioConversionCache.size);
+
+        // Chromium memory per session; sessions that went away drop out of the gauges
+        metrics.chromiumRss.reset();
+        metrics.chromiumJsHeap.reset();
+
+        const processTable = await readProcessTable();
+
+        await Promise.all(Array.from(sessionManager.sessions.entries()).map(async ([sessionId, session]) => {
+            const client = session.client;
+            if (!client || !client.pupBrowser) {
+                return;
+            }
+
+            const browserProcess = client.pupBrowser.process();
+            if (processTable && browserProcess && browserProcess.pid) {
+                metrics.chromiumRss.set({ session: sessionId }, getProcessTreeRss(processTable, browserProcess.pid));
+            }
+
+            if (!client.pupPage) {
+                return;
+            }
+
+            try {
+                const pageMetrics = await Promise.race([
+                    client.pupPage.metrics(),
+                    new Promise((_, reject) =>
+                        setTimeout(() => reject(new Error('Page metrics timeout')), METRICS_CHROMIUM_TIMEOUT)
+                    )
+                ]);
+                metrics.chromiumJsHeap.set({ session: sessionId, type: 'used' }, pageMetrics.JSHeapUsedSize);
+                metrics.chromiumJsHeap.set({ session: sessionId, type: 'total' }, pageMetrics.JSHeapTotalSize);
+            } catch (error) {
+                // Page busy or closing, leave the session out of this scrape
+            }
+        }));
+    };
+
+    // Prometheus scrape endpoint (API key protected, per-session series carry session IDs)
+    app.get('/metrics', sessionManager.apiKeyMiddleware, async (req, res) => {
+        try {
+            await collect();
+
+            res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+            res.send(metrics.render());
+        } catch (error) {
+            req.log.error('Error collecting metrics', { err: error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+}
+
+module.exports = { setupMetricsRoutes };
@@ -0,0 +1,222 @@
+const { SCHEDULED_MAX_PENDING, SCHEDULED_MAX_AHEAD } = require('../config/constants');
+const { mediaUploadMiddleware } = require('../middleware');
+const { toChatId, isValidMentions, resolveMediaInput, prepareVoiceNote } = require('../services/send.service');
+
+// Parse a send time: Unix milliseconds or an ISO 8601 date; undefined if invalid
+const parseSendAt = (value) => {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? Math.floor(value) : undefined;
+    }
+
+    if (typeof value !== 'string' || !value) {
+        return undefined;
+    }
+
+    if (/^\d+$/.test(value)) {
+        return parseInt(value);
+    }
+
+    const ms = Date.parse(value);
+    return isNaN(ms) ? undefined : ms;
+};
+
+/**
+ * Setup scheduled message and outbox routes
+ * Scheduled messages are sent by the session manager's MessageScheduler through the same path as
+ * send-message and send-media; results arrive as scheduled_sent/scheduled_failed socket events.
+ * The outbox holds send-message requests queued with a clientMessageId (see chat routes)
+ * @param {Express} app - Express app instance
+ * @param {Object} sessionManager - Session manager with sessions Map and middleware functions
+ * @param {Object} audioConverter - Audio converter, voice notes are converted when scheduled
+ */
+function setupScheduledRoutes(app, sessionManager, audioConverter) {
+    const scheduler = sessionManager.scheduler;
+
+    // Parse multipart requests with a "media" file
+    const parseMediaUpload = mediaUploadMiddleware();
+
+    // Schedule a text or media message (session token protected)
+    // A body with message is sent like send-message; one with media, a multipart file or an uploadId like send-media
+    app.post('/session/:sessionId/scheduled', sessionManager.sessionAuthMiddleware, parseMediaUpload, async (req, res) => {
+        try {
+            const { sessionId } = req.params;
+            const { to, message, quotedMessageId, mentions, media, caption = '', filename, uploadId } = req.body;
+            const sendAudioAsVoice = req.body.sendAudioAsVoice === true || req.body.sendAudioAsVoice === 'true';
+            const hasMedia = Boolean(media || req.file || uploadId);
+
+            if (!to) {
+                return res.status(400).json({ error: 'Recipient (to) required' });
+            }
+
+            if (!message && !hasMedia) {
+                return res.status(400).json({ error: 'Message or media required' });
+            }
+
+            if (message && hasMedia) {
+                return res.status(400).json({ error: 'Send either a message or media, use caption for text with media' });
+            }
+
+            if (!isValidMentions(mentions)) {
+                return res.status(400).json({ error: 'Mentions must be an array of contact IDs' });
+            }
+
+            // WhatsApp voice notes cannot carry a caption
+            if (sendAudioAsVoice && caption) {
+                return res.status(400).json({ error: 'Caption is not supported for voice notes' });
+            }
+
+            const sendAt = parseSendAt(req.body.sendAt);
+            if (sendAt === undefined) {
+                return res.status(400).json({ error: 'sendAt required as a Unix timestamp (milliseconds) or ISO 8601 date' });
+            }
+
+            if (sendAt <= Date.now()) {
+                return res.status(400).json({ error: 'sendAt must be in the future' });
+            }
+
+            if (sendAt - Date.now() > SCHEDULED_MAX_AHEAD) {
+                return res.status(400).json({ error: `sendAt can be at most ${SCHEDULED_MAX_AHEAD / 86400000} days ahead` });
+            }
+
+            const session = sessionManager.sessions.get(sessionId);
+
+            if (!session) {
+                return res.status(404).json({ error: 'Session not found' });
+            }
+
+            // Sending happens later, so the WhatsApp client doesn't need to be ready now
+            session.lastActivity = Date.now();
+
+            const pending = scheduler.getSessionJobs(sessionId).filter(job => !job.clientMessageId && job.status === 'pending');
+            if (pending.length >= SCHEDULED_MAX_PENDING) {
+                return res.status(429).json({ error: `Too many scheduled messages, maximum is ${SCHEDULED_MAX_PENDING}` });
+            }
+
+            let messageMedia = null;
+            let upload = null;
+            if (hasMedia) {
+                const resolved = await resolveMediaInput(sessionManager, sessionId, { file: req.file, uploadId, media, filename });
+                if (resolved.error) {
+                    const body = { error: resolved.error };
+                    if (resolved.upload) {
+                        body.upload = resolved.upload;
+                    }
+                    return res.status(resolved.status).json(body);
+                }
+                messageMedia = resolved.media;
+                upload = resolved.upload;
+
+                // Convert now so bad audio is rejected up front instead of failing at send time
+                if (sendAudioAsVoice) {
+                    const voiceNote = await prepareVoiceNote(audioConverter, messageMedia);
+                    if (voiceNote.error) {
+                        return res.status(voiceNote.status).json({ error: voiceNote.error });
+                    }
+                    messageMedia = voiceNote.media;
+                }
+            }
+
+            const job = await scheduler.schedule(sessionId, {
+                chatId: toChatId(to),
+                sendAt: sendAt,
+                message: message || null,
+                quotedMessageId: quotedMessageId || null,
+                mentions: mentions || null,
+                media: messageMedia,
+                caption: caption,
+                sendAudioAsVoice: sendAudioAsVoice
+            });
+
+            // The scheduler keeps its own copy of a chunked upload
+            if (upload) {
+                sessionManager.uploads.deleteUpload(upload.id).catch(err => {
+                    req.log.error('Failed to remove upload', { uploadId: upload.id, err: err });
+                });
+            }
+
+            res.status(201).json({
+                success: true,
+                scheduled: scheduler.describeJob(job)
+            });
+        } catch (error) {
+            req.log.error('Error scheduling message', { err: error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // List the session's scheduled messages, soonest first; ?status= filters (session token protected)
+    app.get('/session/:sessionId/scheduled', sessionManager.sessionAuthMiddleware, (req, res) => {
+        const { sessionId } = req.params;
+        const { status } = req.query;
+
+        if (status !== undefined && !['pending', 'sending', 'sent', 'failed'].includes(status)) {
+            return res.status(400).json({ error: 'Status must be pending, sending, sent or failed' });
+        }
+
+        res.json({
+            scheduled: scheduler.getSessionJobs(sessionId)
+                .filter(job => !job.clientMessageId && (!status || job.status === status))
+                .map(job => scheduler.describeJob(job))
+        });
+    });
+
+    // Get a scheduled message (session token protected)
+    app.get('/session/:sessionId/scheduled/:scheduledId', sessionManager.sessionAuthMiddleware, (req, res) => {
+        const { sessionId, scheduledId } = req.params;
+
+        const job = scheduler.getJob(sessionId, scheduledId);
+        if (!job) {
+            return res.status(404).json({ error: 'Scheduled message not found' });
+        }
+
+        res.json({ scheduled: scheduler.describeJob(job) });
+    });
+
+    // Cancel a pending scheduled message, or remove a sent or failed one from the list (session token protected)
+    app.delete('/session/:sessionId/scheduled/:scheduledId', sessionManager.sessionAuthMiddleware, async (req, res) => {
+        try {
+            const { sessionId, scheduledId } = req.params;
+
+            const job = scheduler.getJob(sessionId, scheduledId);
+            if (!job) {
+                return res.status(404).json({ error: 'Scheduled message not found' });
+            }
+
+            if (job.status === 'sending') {
+                return res.status(409).json({ error: 'Scheduled message is being sent', scheduled: scheduler.describeJob(job) });
+            }
+
+            await scheduler.deleteJob(scheduledId);
+
+            res.json({ success: true });
+        } catch (error) {
+            req.log.error('Error cancelling scheduled message', { err: error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // List queued send-message requests that haven't been sent yet (session token protected)
+    app.get('/session/:sessionId/outbox', sessionManager.sessionAuthMiddleware, (req, res) => {
+        const { sessionId } = req.params;
+
+        res.json({
+            outbox: scheduler.getSessionJobs(sessionId)
+                .filter(job => job.clientMessageId && (job.status === 'pending' || job.status === 'sending'))
+                .map(job => scheduler.describeJob(job))
+        });
+    });
+
+    // Status of a queued send-message by its clientMessageId, for clients that missed the outbox_ack event (session token protected)
+    app.get('/session/:sessionId/outbox/:clientMessageId', sessionManager.sessionAuthMiddleware, (req, res) => {
+        const { sessionId, clientMessageId } = req.params;
+
+        const job = scheduler.getQueuedJob(sessionId, clientMessageId);
+        if (!job) {
+            return res.status(404).json({ error: 'Queued message not found' });
+        }
+
+        res.json({ outbox: scheduler.describeJob(job) });
+    });
+}
+
+module.exports = { setupScheduledRoutes };
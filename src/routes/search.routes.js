@@ -0,0 +1,89 @@
+const { SEARCH_PAGE_MAX_LIMIT } = require('../config/constants');
+
+// Parse a since/until filter: Unix seconds or an ISO 8601 date; undefined if invalid
+const parseTime = (value) => {
+    if (value === undefined || value === '') {
+        return null;
+    }
+
+    if (/^\d+$/.test(value)) {
+        return parseInt(value);
+    }
+
+    const ms = Date.parse(value);
+    return isNaN(ms) ? undefined : Math.floor(ms / 1000);
+};
+
+/**
+ * Setup message search routes
+ * Searches the session's local message archive, so results come back without going
+ * through WhatsApp Web and include messages it no longer has loaded
+ * @param {Express} app - Express app instance
+ * @param {Object} sessionManager - Session manager with sessions Map and middleware functions
+ */
+function setupSearchRoutes(app, sessionManager) {
+    // Full-text search across chats (session token protected)
+    app.get('/session/:sessionId/search', sessionManager.sessionAuthMiddleware, async (req, res) => {
+        try {
+            const { sessionId } = req.params;
+            const { q = '', chatId, sender, type, limit = '20', before } = req.query;
+
+            if (typeof q !== 'string') {
+                return res.status(400).json({ error: 'Query (q) must be a single string' });
+            }
+
+            // Without a query, at least one filter is needed so the whole archive isn't listed by accident
+            if (!q.trim() && !chatId && !sender && !type && !req.query.since && !req.query.until) {
+                return res.status(400).json({ error: 'Query (q) or at least one filter required' });
+            }
+
+            const limitNum = parseInt(limit);
+            if (isNaN(limitNum) || limitNum < 1) {
+                return res.status(400).json({ error: 'Limit must be a positive number' });
+            }
+
+            const since = parseTime(req.query.since);
+            const until = parseTime(req.query.until);
+            if (since === undefined || until === undefined) {
+                return res.status(400).json({ error: 'since and until must be Unix timestamps (seconds) or ISO 8601 dates' });
+            }
+
+            const session = sessionManager.sessions.get(sessionId);
+
+            if (!session) {
+                return res.status(404).json({ error: 'Session not found' });
+            }
+
+            // The archive is local, so the WhatsApp client doesn't need to be ready
+            session.lastActivity = Date.now();
+
+            const result = await sessionManager.archive.search(sessionId, {
+                query: q,
+                chatId: chatId || null,
+                sender: sender || null,
+                type: type || null,
+                since: since,
+                until: until,
+                limit: Math.min(limitNum, SEARCH_PAGE_MAX_LIMIT),
+                before: before || null
+            });
+
+            if (result.cursorNotFound) {
+                return res.status(404).json({ error: 'Cursor message not found in search results' });
+            }
+
+            res.json({
+                query: q,
+                messages: result.messages,
+                total: result.total,
+                nextCursor: result.nextCursor,
+                hasMore: result.hasMore
+            });
+        } catch (error) {
+            req.log.error('Error searching messages', { err: error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+}
+
+module.exports = { setupSearchRoutes };
@@ -0,0 +1,174 @@
+const express = require('express');
+const {
+    MEDIA_UPLOAD_MAX_SIZE,
+    UPLOAD_CHUNK_MAX_SIZE,
+    UPLOAD_MAX_PENDING,
+    UPLOAD_MAX_SESSION_BYTES
+} = require('../config/constants');
+
+/**
+ * Setup chunked media upload routes
+ * Large files are uploaded in pieces that can be retried after a dropped connection,
+ * then sent with send-media by passing the uploadId
+ * @param {Express} app - Express app instance
+ * @param {Object} sessionManager - Session manager with sessions Map and middleware functions
+ */
+function setupUploadRoutes(app, sessionManager) {
+    const uploads = sessionManager.uploads;
+
+    // Chunks are sent as raw bytes; limit errors are answered as JSON like every other route
+    const rawChunkParser = express.raw({ type: () => true, limit: UPLOAD_CHUNK_MAX_SIZE });
+    const parseChunk = (req, res, next) => {
+        rawChunkParser(req, res, (error) => {
+            if (error) {
+                const status = error.type === 'entity.too.large' ? 413 : 400;
+                return res.status(status).json({
+                    error: status === 413 ? `Chunk too large, maximum is ${UPLOAD_CHUNK_MAX_SIZE} bytes` : error.message
+                });
+            }
+            next();
+        });
+    };
+
+    // Start a chunked upload (session token protected)
+    app.post('/session/:sessionId/uploads', sessionManager.sessionAuthMiddleware, async (req, res) => {
+        try {
+            const { sessionId } = req.params;
+            const { filename = null, mimetype = null } = req.body;
+            const size = Number(req.body.size);
+
+            const session = sessionManager.sessions.get(sessionId);
+            if (!session) {
+                return res.status(404).json({ error: 'Session not found' });
+            }
+
+            if (!Number.isInteger(size) || size < 1) {
+                return res.status(400).json({ error: 'Size must be a positive integer (bytes)' });
+            }
+
+            if (size > MEDIA_UPLOAD_MAX_SIZE) {
+                return res.status(413).json({ error: `File too large, maximum is ${MEDIA_UPLOAD_MAX_SIZE} bytes` });
+            }
+
+            // Completed uploads that were never sent still hold disk space until they expire, so they count too
+            const held = uploads.getSessionUploads(sessionId);
+            if (held.length >= UPLOAD_MAX_PENDING) {
+                return res.status(429).json({ error: `Too many uploads held, maximum is ${UPLOAD_MAX_PENDING} per session` });
+            }
+
+            const heldBytes = held.reduce((total, upload) => total + upload.size, 0);
+            if (heldBytes + size > UPLOAD_MAX_SESSION_BYTES) {
+                return res.status(429).json({ error: `Upload space exhausted, maximum is ${UPLOAD_MAX_SESSION_BYTES} bytes per session` });
+            }
+
+            session.lastActivity = Date.now();
+
+            const upload = await uploads.createUpload(sessionId, { filename, size, mimetype });
+
+            res.status(201).json({
+                success: true,
+                upload: uploads.describeUpload(upload),
+                chunkSize: UPLOAD_CHUNK_MAX_SIZE
+            });
+        } catch (error) {
+            req.log.error('Error starting upload', { err: error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Upload status; `received` is the offset to resume from (session token protected)
+    app.get('/session/:sessionId/uploads/:uploadId', sessionManager.sessionAuthMiddleware, (req, res) => {
+        const { sessionId, uploadId } = req.params;
+
+        const upload = uploads.getUpload(sessionId, uploadId);
+        if (!upload) {
+            return res.status(404).json({ error: 'Upload not found' });
+        }
+
+        res.json({ upload: uploads.describeUpload(upload) });
+    });
+
+    // Upload one chunk with "Content-Range: bytes <start>-<end>/<size>" (session token protected)
+    app.put('/session/:sessionId/uploads/:uploadId', sessionManager.sessionAuthMiddleware, parseChunk, async (req, res) => {
+        try {
+            const { sessionId, uploadId } = req.params;
+
+            const upload = uploads.getUpload(sessionId, uploadId);
+            if (!upload) {
+                return res.status(404).json({ error: 'Upload not found' });
+            }
+
+            if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+                return res.status(400).json({ error: 'Chunk body required (send it as application/octet-stream)' });
+            }
+
+            const range = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(req.header('Content-Range') || '');
+            if (!range) {
+                return res.status(400).json({ error: 'Content-Range header required: bytes <start>-<end>/<size>' });
+            }
+
+            const start = parseInt(range[1]);
+            const end = parseInt(range[2]);
+            const total = parseInt(range[3]);
+
+            if (total !== upload.size) {
+                return res.status(400).json({ error: `Content-Range size must be ${upload.size}` });
+            }
+
+            if (end - start + 1 !== req.body.length || end >= upload.size) {
+                return res.status(400).json({ error: 'Content-Range does not match the chunk length' });
+            }
+
+            if (upload.complete) {
+                return res.status(409).json({ error: 'Upload already complete', upload: uploads.describeUpload(upload) });
+            }
+
+            if (upload.writing) {
+                return res.status(409).json({ error: 'Another chunk is still being written', upload: uploads.describeUpload(upload) });
+            }
+
+            // Chunks must arrive in order; the client resumes from upload.received
+            if (start !== upload.received) {
+                return res.status(409).json({
+                    error: `Expected chunk at offset ${upload.received}`,
+                    upload: uploads.describeUpload(upload)
+                });
+            }
+
+            await uploads.appendChunk(upload, req.body);
+
+            const session = sessionManager.sessions.get(sessionId);
+            if (session) {
+                session.lastActivity = Date.now();
+            }
+
+            res.json({
+                success: true,
+                upload: uploads.describeUpload(upload)
+            });
+        } catch (error) {
+            req.log.error('Error uploading chunk', { err: error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Cancel an upload (session token protected)
+    app.delete('/session/:sessionId/uploads/:uploadId', sessionManager.sessionAuthMiddleware, async (req, res) => {
+        try {
+            const { sessionId, uploadId } = req.params;
+
+            if (!uploads.getUpload(sessionId, uploadId)) {
+                return res.status(404).json({ error: 'Upload not found' });
+            }
+
+            await uploads.deleteUpload(uploadId);
+
+            res.json({ success: true });
+        } catch (error) {
+            req.log.error('Error deleting upload', { err: error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+}
+
+module.exports = { setupUploadRoutes };
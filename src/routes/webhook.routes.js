@@ -0,0 +1,179 @@
+const WebhookDispatcher = require('../core/WebhookDispatcher');
+const { WEBHOOK_EVENTS, WEBHOOK_DELIVERY_LOG_SIZE } = require('../config/constants');
+
+/**
+ * Setup webhook configuration routes
+ * @param {Express} app - Express app instance
+ * @param {Object} sessionManager - Session manager with sessions Map and middleware functions
+ */
+function setupWebhookRoutes(app, sessionManager) {
+    // Webhook config as returned to clients - the secret is only shown when it is generated
+    const describeWebhook = (webhook) => {
+        if (!webhook) {
+            return null;
+        }
+
+        return {
+            url: webhook.url,
+            events: webhook.events,
+            createdAt: webhook.createdAt
+        };
+    };
+
+    // Set or replace the session's webhook (session token protected)
+    app.post('/session/:sessionId/webhook', sessionManager.sessionAuthMiddleware, async (req, res) => {
+        try {
+            const { sessionId } = req.params;
+            const { url, events = WEBHOOK_EVENTS } = req.body;
+
+            const session = sessionManager.sessions.get(sessionId);
+
+            if (!session) {
+                return res.status(404).json({ error: 'Session not found' });
+            }
+
+            let parsedUrl;
+            try {
+                parsedUrl = new URL(url);
+            } catch (error) {
+                return res.status(400).json({ error: 'Valid webhook URL required' });
+            }
+
+            if (parsedUrl.protocol !== 'http:' && parsedUrl.protocol !== 'https:') {
+                return res.status(400).json({ error: 'Webhook URL must use http or https' });
+            }
+
+            // Loopback, private and link-local targets would let session holders reach the server's network
+            const targetError = await WebhookDispatcher.checkTarget(parsedUrl);
+            if (targetError) {
+                return res.status(400).json({ error: targetError });
+            }
+
+            if (!Array.isArray(events) || events.length === 0) {
+                return res.status(400).json({ error: 'Events must be a non-empty array' });
+            }
+
+            const unknownEvents = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+            if (unknownEvents.length > 0) {
+                return res.status(400).json({
+                    error: `Unknown webhook events: ${unknownEvents.join(', ')}`,
+                    supportedEvents: WEBHOOK_EVENTS
+                });
+            }
+
+            // Retries still queued for the previous webhook would go to the old URL
+            sessionManager.webhooks.cancelPending(sessionId, 'Webhook replaced');
+
+            session.webhook = {
+                url: parsedUrl.toString(),
+                secret: WebhookDispatcher.generateSecret(),
+                events: [...new Set(events)],
+                createdAt: Date.now()
+            };
+            session.lastActivity = Date.now();
+            sessionManager.schedulePersist();
+
+            req.log.info('Webhook configured', { origin: parsedUrl.origin, events: session.webhook.events });
+
+            res.json({
+                success: true,
+                webhook: describeWebhook(session.webhook),
+                secret: session.webhook.secret
+            });
+        } catch (error) {
+            req.log.error('Error configuring webhook', { err: error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Get the session's webhook (session token protected)
+    app.get('/session/:sessionId/webhook', sessionManager.sessionAuthMiddleware, (req, res) => {
+        const { sessionId } = req.params;
+        const session = sessionManager.sessions.get(sessionId);
+
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        res.json({
+            webhook: describeWebhook(session.webhook),
+            supportedEvents: WEBHOOK_EVENTS
+        });
+    });
+
+    // Remove the session's webhook (session token protected)
+    app.delete('/session/:sessionId/webhook', sessionManager.sessionAuthMiddleware, (req, res) => {
+        const { sessionId } = req.params;
+        const session = sessionManager.sessions.get(sessionId);
+
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        if (!session.webhook) {
+            return res.status(404).json({ error: 'No webhook configured' });
+        }
+
+        sessionManager.webhooks.cancelPending(sessionId, 'Webhook removed');
+        session.webhook = null;
+        sessionManager.schedulePersist();
+
+        req.log.info('Webhook removed');
+
+        res.json({ success: true });
+    });
+
+    // Send a test event to the session's webhook (session token protected)
+    app.post('/session/:sessionId/webhook/test', sessionManager.sessionAuthMiddleware, (req, res) => {
+        const { sessionId } = req.params;
+        const session = sessionManager.sessions.get(sessionId);
+
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        if (!session.webhook) {
+            return res.status(404).json({ error: 'No webhook configured' });
+        }
+
+        const delivery = sessionManager.webhooks.dispatch(sessionId, session.webhook, 'test', {
+            message: 'Webhook test from WhatsBerry'
+        }, { force: true });
+
+        // Delivery continues in the background; check the delivery log for the result
+        res.status(202).json({
+            success: true,
+            deliveryId: delivery.id
+        });
+    });
+
+    // Recent webhook deliveries, newest first (session token protected)
+    app.get('/session/:sessionId/webhook/deliveries', sessionManager.sessionAuthMiddleware, (req, res) => {
+        const { sessionId } = req.params;
+        const { status } = req.query;
+        const session = sessionManager.sessions.get(sessionId);
+
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        let limit = WEBHOOK_DELIVERY_LOG_SIZE;
+        if (req.query.limit !== undefined) {
+            limit = parseInt(req.query.limit);
+            if (isNaN(limit) || limit < 1) {
+                return res.status(400).json({ error: 'Limit must be a positive integer' });
+            }
+        }
+
+        let deliveries = sessionManager.webhooks.getDeliveries(sessionId);
+        if (status) {
+            deliveries = deliveries.filter(delivery => delivery.status === status);
+        }
+
+        res.json({
+            deliveries: deliveries.slice(0, limit)
+        });
+    });
+}
+
+module.exports = { setupWebhookRoutes };
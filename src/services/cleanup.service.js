@@ -2,8 +2,16 @@ const {
     SESSION_CLEANUP_INTERVAL,
     UNFINISHED_CLEANUP_INTERVAL,
     AUDIO_CLEANUP_INTERVAL,
-    HEALTH_CHECK_INTERVAL
+    UPLOAD_CLEANUP_INTERVAL,
+    EXPORT_CLEANUP_INTERVAL,
+    SCHEDULED_CLEANUP_INTERVAL,
+    ARCHIVE_CLEANUP_INTERVAL,
+    HEALTH_CHECK_INTERVAL,
+    SESSION_PERSIST_INTERVAL
 } = require('../config/constants');
+const Logger = require('../core/Logger');
+
+const logger = Logger.forModule('cleanup');
 
 /**
  * Setup all cleanup intervals for the application
@@ -27,22 +35,67 @@ function setupCleanupIntervals(sessionManager, audioConverter) {
         audioConverter.cleanupAudioCache();
     }, AUDIO_CLEANUP_INTERVAL);
 
+    // Upload cleanup interval (remove abandoned chunked uploads)
+    const uploadCleanupInterval = setInterval(() => {
+        sessionManager.uploads.cleanupExpiredUploads().catch(err => {
+            logger.error('Failed to clean up uploads', { err: err });
+        });
+    }, UPLOAD_CLEANUP_INTERVAL);
+
+    // Export cleanup interval (remove chat exports past their download window)
+    const exportCleanupInterval = setInterval(() => {
+        sessionManager.exports.cleanupExpiredExports().catch(err => {
+            logger.error('Failed to clean up exports', { err: err });
+        });
+    }, EXPORT_CLEANUP_INTERVAL);
+
+    // Scheduled message cleanup interval (remove sent and failed messages from the list)
+    const scheduledCleanupInterval = setInterval(() => {
+        sessionManager.scheduler.cleanupFinishedJobs().catch(err => {
+            logger.error('Failed to clean up scheduled messages', { err: err });
+        });
+    }, SCHEDULED_CLEANUP_INTERVAL);
+
+    // Message archive interval (unload archives that haven't been searched or written to lately)
+    const archiveCleanupInterval = setInterval(() => {
+        sessionManager.archive.evictIdleArchives();
+    }, ARCHIVE_CLEANUP_INTERVAL);
+
     // Session health check interval (check every 5 minutes)
     const healthCheckInterval = setInterval(() => {
         sessionManager.checkSessionHealth();
     }, HEALTH_CHECK_INTERVAL);
 
-    console.log('Cleanup intervals initialized:');
-    console.log(`   - Session cleanup: every ${SESSION_CLEANUP_INTERVAL / 1000 / 60} minutes`);
-    console.log(`   - Unfinished session cleanup: every ${UNFINISHED_CLEANUP_INTERVAL / 1000 / 60} minutes`);
-    console.log(`   - Audio cache cleanup: every ${AUDIO_CLEANUP_INTERVAL / 1000 / 60} minutes`);
-    console.log(`   - Health check: every ${HEALTH_CHECK_INTERVAL / 1000 / 60} minutes`);
+    // Session persistence interval (flush lastActivity and metadata to disk)
+    const persistInterval = setInterval(() => {
+        sessionManager.persistSessions().catch(err => {
+            logger.error('Failed to persist sessions', { err: err });
+        });
+    }, SESSION_PERSIST_INTERVAL);
+
+    // Intervals in minutes, except persistence which runs every few seconds
+    logger.info('Cleanup intervals initialized', {
+        sessionCleanupMinutes: SESSION_CLEANUP_INTERVAL / 1000 / 60,
+        unfinishedSessionCleanupMinutes: UNFINISHED_CLEANUP_INTERVAL / 1000 / 60,
+        audioCacheCleanupMinutes: AUDIO_CLEANUP_INTERVAL / 1000 / 60,
+        uploadCleanupMinutes: UPLOAD_CLEANUP_INTERVAL / 1000 / 60,
+        exportCleanupMinutes: EXPORT_CLEANUP_INTERVAL / 1000 / 60,
+        scheduledCleanupMinutes: SCHEDULED_CLEANUP_INTERVAL / 1000 / 60,
+        archiveCleanupMinutes: ARCHIVE_CLEANUP_INTERVAL / 1000 / 60,
+        healthCheckMinutes: HEALTH_CHECK_INTERVAL / 1000 / 60,
+        persistSeconds: SESSION_PERSIST_INTERVAL / 1000
+    });
 
     return {
         sessionCleanupInterval,
         unfinishedCleanupInterval,
         audioCleanupInterval,
-        healthCheckInterval
+        uploadCleanupInterval,
+        exportCleanupInterval,
+        scheduledCleanupInterval,
+        archiveCleanupInterval,
+        healthCheckInterval,
+        persistInterval
     };
 }
 
@@ -60,9 +113,24 @@ function clearCleanupIntervals(intervals) {
     if (intervals.audioCleanupInterval) {
         clearInterval(intervals.audioCleanupInterval);
     }
+    if (intervals.uploadCleanupInterval) {
+        clearInterval(intervals.uploadCleanupInterval);
+    }
+    if (intervals.exportCleanupInterval) {
+        clearInterval(intervals.exportCleanupInterval);
+    }
+    if (intervals.scheduledCleanupInterval) {
+        clearInterval(intervals.scheduledCleanupInterval);
+    }
+    if (intervals.archiveCleanupInterval) {
+        clearInterval(intervals.archiveCleanupInterval);
+    }
     if (intervals.healthCheckInterval) {
         clearInterval(intervals.healthCheckInterval);
     }
+    if (intervals.persistInterval) {
+        clearInterval(intervals.persistInterval);
+    }
 }
 
 module.exports = {
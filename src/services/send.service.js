@@ -0,0 +1,329 @@
+const { MessageMedia } = require('whatsapp-web.js');
+const UploadManager = require('../core/UploadManager');
+const Logger = require('../core/Logger');
+
+const logger = Logger.forModule('send');
+
+// Error messages that mean the browser page or WhatsApp Web connection is gone
+// A bare "Evaluation failed" is not one of them: it is any exception thrown inside the page,
+// such as WhatsApp refusing an action, and reconnecting would only tear down a healthy client
+const DISCONNECT_ERRORS = ['Session closed', 'Protocol error', 'Target closed', 'Connection lost'];
+
+/**
+ * Check whether an error means the session is disconnected (a reconnection should be triggered)
+ * @param {Error} error - Error thrown by a WhatsApp action
+ * @returns {boolean} True if the session appears disconnected
+ */
+function isDisconnectError(error) {
+    const message = (error && error.message) || '';
+    return DISCONNECT_ERRORS.some(text => message.includes(text));
+}
+
+/**
+ * Get a session whose WhatsApp client is ready, and mark it active
+ * @param {Object} sessionManager - Session manager instance
+ * @param {string} sessionId - The session ID
+ * @returns {Object} { session } or { status, error }
+ */
+function getReadySession(sessionManager, sessionId) {
+    const session = sessionManager.sessions.get(sessionId);
+
+    if (!session) {
+        return { status: 404, error: 'Session not found' };
+    }
+
+    if (!session.isReady || !session.client) {
+        return { status: 400, error: 'WhatsApp client not ready' };
+    }
+
+    session.lastActivity = Date.now();
+    return { session };
+}
+
+/**
+ * Respond to an error thrown by a WhatsApp action
+ * Disconnect errors trigger a reconnection and get a 503 the client can retry after; anything else is a 500
+ * @param {Object} sessionManager - Session manager instance
+ * @param {Error} error - Error thrown by the action
+ * @param {Object} req - Express request (req.params.sessionId, req.log)
+ * @param {Object} res - Express response
+ * @param {string} action - What was being done, for the log (e.g. "reacting to message")
+ */
+function handleActionError(sessionManager, error, req, res, action) {
+    req.log.error(`Error ${action}`, { err: error });
+
+    if (!isDisconnectError(error)) {
+        return res.status(500).json({ error: error.message });
+    }
+
+    req.log.warn(`Session appears disconnected during ${action}, triggering reconnection`);
+    sessionManager.reconnectSession(req.params.sessionId).catch(reconnectError => {
+        req.log.error('Immediate reconnection failed', { err: reconnectError });
+    });
+
+    res.status(503).json({
+        error: 'Session disconnected, reconnection in progress. Please try again in a moment.',
+        reconnecting: true
+    });
+}
+
+/**
+ * Find our own entry in a group's participant list (groups may list us by phone ID or by LID)
+ * @param {Client} client - The session's whatsapp-web.js client
+ * @param {GroupChat} group - The group
+ * @returns {Promise<Object|null>} The participant, or null if we are not in the group
+ */
+async function getOwnParticipant(client, group) {
+    const ownId = client.info.wid._serialized;
+    const ownIds = new Set([ownId]);
+
+    try {
+        const [mapping] = await client.getContactLidAndPhone([ownId]);
+        if (mapping && mapping.lid) {
+            ownIds.add(mapping.lid);
+        }
+    } catch (error) {
+        // LID lookup failed, match on the phone ID only
+    }
+
+    return (group.participants || []).find(participant => ownIds.has(participant.id._serialized)) || null;
+}
+
+/**
+ * Normalize a recipient to a chat ID; bare numbers are individual (@c.us) chats
+ * @param {string} to - Phone number or chat ID (@c.us or @g.us)
+ * @returns {string} Chat ID
+ */
+function toChatId(to) {
+    return to.includes('@') ? to : `${to}@c.us`;
+}
+
+/**
+ * Get a session that can send right now
+ * An unhealthy session triggers a reconnection and is reported as reconnecting
+ * @param {Object} sessionManager - Session manager instance
+ * @param {string} sessionId - The session ID
+ * @param {string} action - What is being sent, for the log
+ * @returns {Promise<Object>} { session } or { status, error, reconnecting }
+ */
+async function getSendableSession(sessionManager, sessionId, action) {
+    const { session, status, error } = getReadySession(sessionManager, sessionId);
+    if (!session) {
+        return { status, error };
+    }
+
+    // Perform health check before operation
+    const isHealthy = await sessionManager.isSessionHealthy(sessionId);
+    if (!isHealthy) {
+        logger.warn('Session failed health check before sending, triggering reconnection', { sessionId: sessionId, userId: session.userId, action: action });
+        sessionManager.reconnectSession(sessionId).catch(err => {
+            logger.error('Reconnection failed', { sessionId: sessionId, err: err });
+        });
+        return {
+            status: 503,
+            error: 'Session is not healthy, reconnection in progress. Please try again in a moment.',
+            reconnecting: true
+        };
+    }
+
+    return { session };
+}
+
+/**
+ * Check a mentions list: contact IDs or phone numbers as non-empty strings
+ * @param {*} mentions - Value from the request body (optional)
+ * @returns {boolean} True if mentions is absent or a valid list
+ */
+function isValidMentions(mentions) {
+    return mentions === undefined ||
+        (Array.isArray(mentions) && mentions.every(id => typeof id === 'string' && id.length > 0));
+}
+
+/**
+ * Send a text message and archive it
+ * @param {Object} sessionManager - Session manager instance
+ * @param {string} sessionId - The session ID
+ * @param {Object} session - Ready session from getSendableSession
+ * @param {Object} options - Message options
+ * @param {string} options.to - Phone number or chat ID
+ * @param {string} options.message - Message text
+ * @param {string} [options.quotedMessageId] - Message to reply to
+ * @param {Array<string>} [options.mentions] - Mentioned contact IDs or numbers
+ * @returns {Promise<Object>} { result, message } with the formatted message, or { status, error }
+ */
+async function sendTextMessage(sessionManager, sessionId, session, { to, message, quotedMessageId = null, mentions = null }) {
+    const sendOptions = {};
+
+    // Reply to a specific message
+    if (quotedMessageId) {
+        const quoted = await session.client.getMessageById(quotedMessageId);
+        if (!quoted) {
+            return { status: 404, error: 'Quoted message not found' };
+        }
+        sendOptions.quotedMessageId = quoted.id._serialized;
+        sendOptions.ignoreQuoteErrors = false;
+    }
+
+    // Mentioned contacts (the message body should contain @<number> for each)
+    if (mentions && mentions.length > 0) {
+        sendOptions.mentions = mentions.map(id => id.includes('@') ? id : `${id}@c.us`);
+    }
+
+    const result = await session.client.sendMessage(toChatId(to), message, sendOptions);
+
+    // Return the sent message in the same shape as incoming messages
+    const formattedMessage = await sessionManager.formatMessage(result, sessionId, false, true);
+    sessionManager.archive.storeMessages(sessionId, [formattedMessage]).catch(err => {
+        logger.error('Error archiving sent message', { sessionId: sessionId, err: err });
+    });
+
+    return { result, message: formattedMessage };
+}
+
+/**
+ * Build the MessageMedia for a send-media style request body
+ * Media is a multipart file, the uploadId of a completed chunked upload, or a base64 data URL
+ * @param {Object} sessionManager - Session manager instance
+ * @param {string} sessionId - The session ID
+ * @param {Object} input - Request input
+ * @param {Object} [input.file] - Multer file from a multipart request
+ * @param {string} [input.uploadId] - Completed chunked upload ID
+ * @param {string} [input.media] - Base64 data URL
+ * @param {string} [input.filename] - Filename override
+ * @returns {Promise<Object>} { media, upload } (upload is null unless a chunked upload was used), or { status, error, upload }
+ */
+async function resolveMediaInput(sessionManager, sessionId, { file = null, uploadId = null, media = null, filename = null }) {
+    if (file) {
+        // The part's Content-Type is whatever the client guessed; the file's bytes decide
+        const mimeType = UploadManager.sniffMimeType(file.buffer, file.mimetype);
+        return {
+            media: new MessageMedia(mimeType, file.buffer.toString('base64'), filename || file.originalname),
+            upload: null
+        };
+    }
+
+    if (uploadId) {
+        const upload = sessionManager.uploads.getUpload(sessionId, uploadId);
+        if (!upload) {
+            return { status: 404, error: 'Upload not found' };
+        }
+
+        if (!upload.complete) {
+            return {
+                status: 409,
+                error: 'Upload not complete',
+                upload: sessionManager.uploads.describeUpload(upload)
+            };
+        }
+
+        const buffer = await sessionManager.uploads.readUpload(upload);
+        return {
+            media: new MessageMedia(upload.mimetype, buffer.toString('base64'), filename || upload.filename),
+            upload: upload
+        };
+    }
+
+    if (typeof media === 'string' && media.startsWith('data:')) {
+        const declaredMimeType = media.split(';')[0].split(':')[1];
+        const base64Data = media.split(',')[1] || '';
+        // As with uploads, the decoded bytes decide the type rather than the data URL's label
+        const mimeType = UploadManager.sniffMimeType(Buffer.from(base64Data, 'base64'), declaredMimeType);
+        return { media: new MessageMedia(mimeType, base64Data, filename), upload: null };
+    }
+
+    // Server filesystem paths are not accepted
+    return {
+        status: 400,
+        error: 'Media must be a base64 data URL; send files as multipart/form-data or as a chunked upload'
+    };
+}
+
+/**
+ * Convert audio for sending as a voice note
+ * Voice notes must be OGG/Opus for WhatsApp to play them inline with the right duration
+ * @param {Object} audioConverter - Audio converter instance
+ * @param {MessageMedia} messageMedia - Audio to send
+ * @returns {Promise<Object>} { media, duration } (duration is null if not converted), or { status, error }:
+ * 400 for non-audio media, 503 when FFmpeg is needed but not installed, 415 when the audio can't be decoded
+ */
+async function prepareVoiceNote(audioConverter, messageMedia) {
+    const baseMimetype = messageMedia.mimetype.toLowerCase().split(';')[0].trim();
+
+    if (!baseMimetype.startsWith('audio/')) {
+        return { status: 400, error: 'sendAudioAsVoice requires audio media' };
+    }
+
+    // Without FFmpeg only audio that is already Ogg can be sent as a voice note
+    if (!audioConverter.ffmpegAvailable) {
+        if (baseMimetype === 'audio/ogg') {
+            return { media: messageMedia, duration: null };
+        }
+        return { status: 503, error: 'FFmpeg is not available on this server, only audio/ogg can be sent as a voice note' };
+    }
+
+    let voiceNote;
+    try {
+        voiceNote = await audioConverter.convertAudioToVoiceNote(
+            Buffer.from(messageMedia.data, 'base64'),
+            messageMedia.mimetype
+        );
+    } catch (error) {
+        logger.warn('Voice note conversion failed', { mimetype: messageMedia.mimetype, err: error });
+        return { status: 415, error: `Audio could not be converted to a voice note: ${error.message}` };
+    }
+
+    return {
+        media: new MessageMedia(
+            voiceNote.mimetype,
+            voiceNote.buffer.toString('base64'),
+            (messageMedia.filename || 'voice').replace(/\.[^.]+$/, '') + '.ogg'
+        ),
+        duration: voiceNote.duration
+    };
+}
+
+/**
+ * Send a media message and archive it in the background (its caption is searchable)
+ * @param {Object} sessionManager - Session manager instance
+ * @param {string} sessionId - The session ID
+ * @param {Object} session - Ready session from getSendableSession
+ * @param {Object} options - Message options
+ * @param {string} options.to - Phone number or chat ID
+ * @param {MessageMedia} options.media - Media to send (already converted if it is a voice note)
+ * @param {string} [options.caption] - Caption, not supported for voice notes
+ * @param {boolean} [options.sendAudioAsVoice] - Send audio as a voice note
+ * @returns {Promise<Object>} { result, formatted } where formatted resolves to the formatted message
+ */
+async function sendMediaMessage(sessionManager, sessionId, session, { to, media, caption = '', sendAudioAsVoice = false }) {
+    const sendOptions = sendAudioAsVoice ? { sendAudioAsVoice: true } : { caption };
+    const result = await session.client.sendMessage(toChatId(to), media, sendOptions);
+
+    // Archive the sent message without delaying the caller
+    const formatted = sessionManager.formatMessage(result, sessionId, false, true)
+        .then(formattedMessage => {
+            sessionManager.archive.storeMessages(sessionId, [formattedMessage]).catch(err => {
+                logger.error('Error archiving sent media', { sessionId: sessionId, err: err });
+            });
+            return formattedMessage;
+        });
+
+    formatted.catch(err => {
+        logger.error('Error formatting sent media', { sessionId: sessionId, err: err });
+    });
+
+    return { result, formatted };
+}
+
+module.exports = {
+    isDisconnectError,
+    getReadySession,
+    handleActionError,
+    getOwnParticipant,
+    toChatId,
+    getSendableSession,
+    isValidMentions,
+    sendTextMessage,
+    resolveMediaInput,
+    prepareVoiceNote,
+    sendMediaMessage
+};
@@ -1,3 +1,7 @@
+const Logger = require('../core/Logger');
+
+const logger = Logger.forModule('socket');
+
 /**
  * Setup Socket.IO event handlers for WebSocket communication
  * @param {SocketIO.Server} io - Socket.IO server instance
@@ -5,30 +9,90 @@
  */
 function setupSocketHandlers(io, sessionManager) {
     io.on('connection', (socket) => {
-        console.log(`[WebSocket] Client connected: ${socket.id} at ${new Date().toISOString()}`);
-        console.log(`[WebSocket] Total connected clients: ${io.engine.clientsCount}`);
+        const log = logger.child({ socketId: socket.id });
+
+        log.info('Client connected', { clients: io.engine.clientsCount });
+        sessionManager.metrics.websocketConnectionsTotal.inc();
+
+        // Session-scoped events accept a sessionId, or { sessionId, token, ... }
+        const parsePayload = (data) => (data && typeof data === 'object' ? data : { sessionId: data });
+
+        // Check the connection may act on a session, using a token from the payload or one presented earlier
+        // (handshake or previous event). Emits 'unauthorized' and returns false otherwise.
+        const authorizeSession = (event, sessionId, token) => {
+            const knownToken = socket.data.sessionTokens.get(sessionId);
+
+            if (token && sessionManager.verifySessionToken(sessionId, token)) {
+                socket.data.sessionTokens.set(sessionId, token);
+                return true;
+            }
+
+            // Re-verify stored tokens so a token rotated by /create-session stops working here too
+            if (knownToken && sessionManager.verifySessionToken(sessionId, knownToken)) {
+                return true;
+            }
+
+            socket.data.sessionTokens.delete(sessionId);
+            log.warn('Socket not authorized for session', { event: event, sessionId: sessionId });
+            socket.emit('unauthorized', {
+                event: event,
+                sessionId: sessionId,
+                error: 'Invalid or missing session token'
+            });
+            return false;
+        };
 
         // Enhanced join session handling
-        socket.on('join_session', (sessionId) => {
-            console.log(`Socket ${socket.id} attempting to join session ${sessionId}`);
+        // Payload: { sessionId, token } plus optional { lastSeq, epoch } to replay events missed while offline.
+        // The token may be omitted if the connection authenticated with it in the handshake.
+        socket.on('join_session', (data) => {
+            const payload = parsePayload(data);
+            const { sessionId, token } = payload;
+            const lastSeq = parseInt(payload.lastSeq);
+            const epoch = payload.epoch || null;
+
+            log.debug('Socket attempting to join session', { sessionId: sessionId });
+
+            // Session token is required to receive a session's events
+            if (!authorizeSession('join_session', sessionId, token)) {
+                return;
+            }
 
             socket.join(`session_${sessionId}`);
 
-            // Emit join confirmation
-            socket.emit('session_joined', { sessionId, socketId: socket.id });
+            const session = sessionManager.sessions.get(sessionId);
+
+            // Emit join confirmation with the current event log position
+            const position = sessionManager.eventLog.getPosition(sessionId);
+            socket.emit('session_joined', {
+                sessionId,
+                socketId: socket.id,
+                epoch: position.epoch,
+                lastSeq: position.lastSeq
+            });
+
+            // Replay missed events before any live event reaches this socket
+            if (!isNaN(lastSeq)) {
+                const replayed = sessionManager.replaySessionEvents(socket, sessionId, lastSeq, epoch);
+                log.info('Replayed missed events', { sessionId: sessionId, count: replayed });
+            }
 
             // Send current session status if available
-            const session = sessionManager.sessions.get(sessionId);
             if (session) {
-                console.log(`Session ${sessionId} exists, status: ready=${session.isReady}, hasQR=${!!session.qrCode}`);
+                log.info('Socket joined session', { sessionId: sessionId, userId: session.userId, isReady: session.isReady, hasQR: !!session.qrCode });
 
                 if (session.qrCode) {
-                    console.log(`Sending existing QR code to socket ${socket.id}`);
+                    log.debug('Sending existing QR code', { sessionId: sessionId });
                     socket.emit('qr', session.qrCode);
                 }
 
+                if (session.pairingCode) {
+                    log.debug('Sending existing pairing code', { sessionId: sessionId });
+                    socket.emit('pairing_code', session.pairingCode);
+                }
+
                 if (session.isReady) {
-                    console.log(`[WebSocket] Session ${sessionId} is ready, notifying socket ${socket.id}`);
+                    log.debug('Session is ready, notifying socket', { sessionId: sessionId });
                     socket.emit('ready', {
                         phoneNumber: session.phoneNumber,
                         sessionId: sessionId
@@ -38,36 +102,68 @@ function setupSocketHandlers(io, sessionManager) {
                 // Update last activity
                 session.lastActivity = Date.now();
             } else {
-                console.log(`Session ${sessionId} not found for socket ${socket.id}`);
+                log.warn('Session not found for socket', { sessionId: sessionId });
             }
         });
 
         // Leave session room
-        socket.on('leave_session', (sessionId) => {
+        socket.on('leave_session', (data) => {
+            const { sessionId } = parsePayload(data);
             socket.leave(`session_${sessionId}`);
         });
 
         // Request QR code
-        socket.on('request_qr', (sessionId) => {
-            console.log(`QR code requested for session ${sessionId} by socket ${socket.id}`);
+        socket.on('request_qr', (data) => {
+            const { sessionId, token } = parsePayload(data);
+            log.debug('QR code requested', { sessionId: sessionId });
+
+            if (!authorizeSession('request_qr', sessionId, token)) {
+                return;
+            }
+
             const session = sessionManager.sessions.get(sessionId);
 
             if (session && session.qrCode) {
-                console.log(`Sending QR code to socket ${socket.id} for session ${sessionId}`);
+                log.debug('Sending QR code', { sessionId: sessionId });
                 socket.emit('qr', session.qrCode);
             } else {
-                console.log(`No QR code available for session ${sessionId}. Session exists: ${!!session}, Has QR: ${session ? !!session.qrCode : 'N/A'}`);
+                log.debug('No QR code available', { sessionId: sessionId, sessionExists: !!session });
+            }
+        });
+
+        // Request pairing code
+        socket.on('request_pairing_code', (data) => {
+            const { sessionId, token } = parsePayload(data);
+            log.debug('Pairing code requested', { sessionId: sessionId });
+
+            if (!authorizeSession('request_pairing_code', sessionId, token)) {
+                return;
+            }
+
+            const session = sessionManager.sessions.get(sessionId);
+
+            if (session && session.pairingCode) {
+                log.debug('Sending pairing code', { sessionId: sessionId });
+                socket.emit('pairing_code', session.pairingCode);
+            } else {
+                log.debug('No pairing code available', { sessionId: sessionId, sessionExists: !!session });
             }
         });
 
         // Debug ping-pong
         socket.on('ping', () => {
-            console.log(`🏓 Ping received from ${socket.id}`);
+            log.debug('Ping received');
             socket.emit('pong', { timestamp: Date.now() });
         });
 
         // Request session status
-        socket.on('request_session_status', (sessionId) => {
+        socket.on('request_session_status', (data) => {
+            const { sessionId, token } = parsePayload(data);
+
+            if (!authorizeSession('request_session_status', sessionId, token)) {
+                return;
+            }
+
             const session = sessionManager.sessions.get(sessionId);
 
             if (session) {
@@ -75,6 +171,7 @@ function setupSocketHandlers(io, sessionManager) {
                     sessionId: sessionId,
                     isReady: session.isReady,
                     hasQR: !!session.qrCode,
+                    hasPairingCode: !!session.pairingCode,
                     lastActivity: session.lastActivity,
                     phoneNumber: session.phoneNumber
                 });
@@ -87,12 +184,11 @@ function setupSocketHandlers(io, sessionManager) {
         });
 
         socket.on('disconnect', (reason) => {
-            console.log(`[WebSocket] Client disconnected: ${socket.id}, reason: ${reason} at ${new Date().toISOString()}`);
-            console.log(`[WebSocket] Remaining connected clients: ${io.engine.clientsCount}`);
+            log.info('Client disconnected', { reason: reason, clients: io.engine.clientsCount });
         });
 
         socket.on('error', (error) => {
-            console.error(`[WebSocket] Socket error for ${socket.id}:`, error);
+            log.error('Socket error', { err: error });
         });
     });
 }
@@ -12,9 +12,10 @@ const { API_KEY, DEFAULT_PORT } = require('./config/constants');
 const SessionManager = require('./core/SessionManager');
 const AudioConverter = require('./core/AudioConverter');
 const { initializeClient, initializeClientFallback } = require('./core/WhatsAppClient');
+const Logger = require('./core/Logger');
 
 // Import middleware
-const { setupMiddleware } = require('./middleware');
+const { setupMiddleware, sessionAuthMiddleware, socketAuthMiddleware } = require('./middleware');
 
 // Import routes
 const setupRoutes = require('./routes');
@@ -25,6 +26,8 @@ const { setupCleanupIntervals, clearCleanupIntervals } = require('./services/cle
 // Import socket handlers
 const setupSocketHandlers = require('./sockets/handlers');
 
+const logger = Logger.forModule('server');
+
 class MultiUserWWebServer {
     constructor(port = DEFAULT_PORT) {
         this.app = express();
@@ -44,14 +47,16 @@ class MultiUserWWebServer {
         this.sessionManager = new SessionManager();
         this.sessionManager.setIO(this.io);
 
-        this.audioConverter = new AudioConverter(path.join(__dirname, 'audio_cache'));
+        this.audioConverter = new AudioConverter(path.join(__dirname, 'audio_cache'), this.sessionManager.metrics);
 
         // Setup middleware and get middleware functions
-        const middleware = setupMiddleware(this.app, this.API_KEY);
+        const middleware = setupMiddleware(this.app, this.API_KEY, this.sessionManager.metrics);
         this.apiKeyMiddleware = middleware.apiKey;
 
         // Attach middleware to session manager for routes
+        // API key guards administrative routes, session tokens guard per-session routes
         this.sessionManager.apiKeyMiddleware = this.apiKeyMiddleware;
+        this.sessionManager.sessionAuthMiddleware = sessionAuthMiddleware(this.sessionManager);
 
         // Bind client initialization methods to session manager
         this.sessionManager.initializeClient = this.initializeClient.bind(this);
@@ -60,7 +65,8 @@ class MultiUserWWebServer {
         // Setup routes
         setupRoutes(this.app, this.sessionManager, this.audioConverter, this.io);
 
-        // Setup socket handlers
+        // Setup socket handlers, rejecting handshakes without an API key or session token
+        this.io.use(socketAuthMiddleware(this.API_KEY, this.sessionManager));
         setupSocketHandlers(this.io, this.sessionManager);
 
         // Setup cleanup intervals
@@ -74,7 +80,15 @@ class MultiUserWWebServer {
             throw new Error(`Session ${sessionId} not found`);
         }
         const sessionDir = path.join(__dirname, 'data', sessionId);
-        return await initializeClient(sessionId, session, this.sessionManager, this.io, sessionDir);
+        const endTimer = this.sessionManager.metrics.initializationDuration.startTimer({ method: 'primary' });
+        try {
+            const client = await initializeClient(sessionId, session, this.sessionManager, this.io, sessionDir);
+            endTimer({ result: 'success' });
+            return client;
+        } catch (error) {
+            endTimer({ result: 'failure' });
+            throw error;
+        }
     }
 
     // Initialize WhatsApp client with fallback (wrapper method)
@@ -85,43 +99,58 @@ class MultiUserWWebServer {
         }
         const sessionDir = path.join(__dirname, 'data', sessionId);
         const fallbackSessionDir = path.join(__dirname, 'data', `fallback_${sessionId}`);
-        return await initializeClientFallback(
-            sessionId,
-            session,
-            this.sessionManager,
-            this.io,
-            sessionDir,
-            fallbackSessionDir
-        );
+        const endTimer = this.sessionManager.metrics.initializationDuration.startTimer({ method: 'fallback' });
+        try {
+            const client = await initializeClientFallback(
+                sessionId,
+                session,
+                this.sessionManager,
+                this.io,
+                sessionDir,
+                fallbackSessionDir
+            );
+            endTimer({ result: 'success' });
+            return client;
+        } catch (error) {
+            endTimer({ result: 'failure' });
+            throw error;
+        }
     }
 
     start() {
         this.server.listen(this.port, () => {
-            console.log(`\n${'='.repeat(60)}`);
-            console.log(`WhatsBerry Server running on port ${this.port}`);
-            console.log(`${'='.repeat(60)}\n`);
-            console.log(`Login page: http://localhost:${this.port}/login`);
-            console.log(`API documentation: http://localhost:${this.port}/api`);
-            console.log(`WebSocket server ready for real-time communications\n`);
-            console.log(`${'='.repeat(60)}\n`);
+            logger.info('WhatsBerry Server running', {
+                port: this.port,
+                loginPage: `http://localhost:${this.port}/login`,
+                apiDocumentation: `http://localhost:${this.port}/api`
+            });
+
+            // Re-hydrate sessions from the previous run, then pick up their scheduled messages
+            this.sessionManager.restoreSessions().catch(err => {
+                logger.error('Failed to restore sessions', { err: err });
+            }).then(() => this.sessionManager.scheduler.start()).catch(err => {
+                logger.error('Failed to start message scheduler', { err: err });
+            });
         });
     }
 
     // Graceful shutdown
     async shutdown() {
-        console.log('\nShutting down server...');
+        logger.info('Shutting down server');
 
         // Clear all cleanup intervals
         clearCleanupIntervals(this.cleanupIntervals);
 
-        // Destroy all sessions
-        const sessionIds = Array.from(this.sessionManager.sessions.keys());
-        await Promise.all(sessionIds.map(id => this.sessionManager.destroySession(id)));
-        console.log('All sessions destroyed');
+        // Pending scheduled messages are already on disk and resume on next start
+        this.sessionManager.scheduler.stop();
+
+        // Close all clients but keep auth data so sessions are restored on next start
+        await this.sessionManager.shutdownSessions();
+        logger.info('All sessions closed and persisted');
 
         // Close server
         this.server.close();
-        console.log('Server closed');
+        logger.info('Server closed');
     }
 }
 